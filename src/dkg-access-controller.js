@@ -0,0 +1,388 @@
+import { EventEmitter } from 'events';
+import { IPFSAccessController, IPFSBlockStorage, Entry } from '@orbitdb/core';
+import createRoster from './roster.js';
+import { validateMessage, upgradeMessage, DEALER_MESSAGES } from './message-schemas.js';
+
+const type = 'dkg';
+
+// Where each message type sits in the protocol. An entry is late once its
+// past already reaches two stages beyond its own: its writer had seen the
+// protocol move on (e.g. group keys announced) before writing it. Types
+// with no stage may be written at any point.
+export const STAGES = {
+  session_manifest: 0,
+  public_commitment: 1,
+  share_distribution: 2,
+  share_receipt: 2,
+  share_verification: 3,
+  complaint: 3,
+  justification: 4,
+  justifications_closed: 4,
+  extraction_commitment: 5,
+  extraction_complaint: 5,
+  extraction_verified: 5,
+  reconstruction_share: 5,
+  group_key: 6,
+  equivocation: null,
+  frost_commitment: 7,
+  frost_signature_share: 7,
+  ecdsa_key: 7,
+  ecdsa_commitment: 7,
+  ecdsa_mta: 7,
+  ecdsa_delta: 7,
+  ecdsa_r_check: 7,
+  ecdsa_signature_share: 7,
+  refresh_commitment: 7,
+  refresh_verification: 7,
+  refresh_justification: 7,
+  refresh_justifications_closed: 7,
+  reshare_key: 1,
+  reshare_commitment: 2,
+  reshare_verification: 3,
+  reshare_justification: 4,
+  reshare_justifications_closed: 4,
+  enrollment: 7,
+  recovery_key: 7,
+  recovery_contribution: 7
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const requireGroupKey = (data, writer, past) =>
+  past.groupKeys.has(writer) ? null : `${writer} signs before announcing a group key`;
+
+const requireResharing = (data, writer, past) =>
+  past.dealers ? null : `${data.type} in a session that does not reshare`;
+
+// The roster member an identity writes for: itself, or the participant an
+// enrolled device replaces (see share-recovery.js)
+const senderOf = (signer, past) => (past.devices.has(signer) ? past.devices.get(signer).participant : signer);
+
+const replaced = (signer, past) => [...past.devices.values()].some(({ participant }) => participant === signer);
+
+// A resharing dealer leaving the group writes to the new log without being
+// in its roster, and only to deal its share
+const departing = (writer, past, roster) => !roster.has(writer) && Boolean(past.dealers) && past.dealers.includes(writer);
+
+// Per-type checks on the history a (schema-valid) entry builds on, see
+// message-schemas.js for its shape. Each returns the reason to refuse the
+// entry, or null to accept it.
+const RULES = {
+  session_manifest: (data, writer, past, roster) => {
+    if (past.stage >= 0) return 'the session manifest must be the first entry';
+    if (data.participants.join(',') !== roster.ids.join(',')) return 'session manifest roster differs from the log\'s writers';
+    if (data.threshold < 1 || data.threshold > roster.size) return `session manifest threshold ${data.threshold} is out of range`;
+    return null;
+  },
+
+  public_commitment: (data, writer, past) =>
+    past.commitments.has(writer) ? `${writer} has already published commitments` : null,
+
+  share_distribution: (data, writer, past) => {
+    if (data.to === writer) return `${writer} deals a share to itself`;
+    if (!past.commitments.has(writer)) return `${writer} deals a share before committing`;
+    if (!past.commitments.has(data.to)) return `${writer} deals a share before seeing ${data.to}'s encryption key`;
+    return null;
+  },
+
+  share_receipt: (data, writer, past) => {
+    if (data.dealer === writer) return `${writer} acknowledges a share from itself`;
+    if (!past.commitments.has(data.dealer)) return `${writer} acknowledges a share before ${data.dealer} committed`;
+    return null;
+  },
+
+  share_verification: () => null,
+
+  complaint: (data, writer) => (data.against === writer ? `${writer} complains against itself` : null),
+
+  justification: (data, writer, past) =>
+    past.complaints.has(`${data.to}->${writer}`) ? null : `justification without a complaint from ${data.to}`,
+
+  justifications_closed: () => null,
+
+  extraction_commitment: (data, writer, past) =>
+    past.commitments.has(writer) ? null : `${writer} extracts without having committed`,
+
+  extraction_complaint: (data, writer) => (data.against === writer ? `${writer} complains against itself` : null),
+
+  extraction_verified: () => null,
+
+  reconstruction_share: () => null,
+
+  group_key: () => null,
+
+  equivocation: (data, writer) => (data.accused === writer ? `${writer} accuses itself` : null),
+
+  frost_commitment: requireGroupKey,
+  frost_signature_share: requireGroupKey,
+  ecdsa_key: requireGroupKey,
+  ecdsa_commitment: requireGroupKey,
+  ecdsa_mta: requireGroupKey,
+  ecdsa_delta: requireGroupKey,
+  ecdsa_r_check: requireGroupKey,
+  ecdsa_signature_share: requireGroupKey,
+  refresh_commitment: (data, writer, past) =>
+    requireGroupKey(data, writer, past) || (writer in data.shares ? `${writer} deals a refresh share to itself` : null),
+  refresh_verification: requireGroupKey,
+  refresh_justification: (data, writer, past) =>
+    requireGroupKey(data, writer, past) || (data.to === writer ? `${writer} justifies a refresh share to itself` : null),
+  refresh_justifications_closed: requireGroupKey,
+
+  reshare_key: requireResharing,
+
+  reshare_commitment: (data, writer, past) => {
+    if (!past.dealers) return requireResharing(data, writer, past);
+    if (!past.dealers.includes(writer)) return `${writer} is not a resharing dealer`;
+    if (writer in data.shares) return `${writer} deals a share to itself`;
+    const unkeyed = Object.keys(data.shares).find(id => !past.keys.has(id));
+    return unkeyed ? `${writer} deals a share before seeing ${unkeyed}'s encryption key` : null;
+  },
+
+  reshare_verification: requireResharing,
+
+  reshare_justification: (data, writer, past) => {
+    if (!past.dealers) return requireResharing(data, writer, past);
+    return past.complaints.has(`${data.to}->${writer}`) ? null : `justification without a complaint from ${data.to}`;
+  },
+
+  reshare_justifications_closed: requireResharing,
+
+  enrollment: (data, writer, past) => {
+    if (past.devices.has(data.device)) return `${data.device} is already enrolled`;
+    if (data.participant === writer) return `${writer} enrolls a device for itself`;
+    if (!data.helpers.includes(writer)) return `${writer} enrolls a device without helping recover it`;
+    if (data.helpers.includes(data.participant)) return `${data.participant} cannot help recover its own share`;
+    if (data.helpers.length < past.threshold) return `recovery needs at least ${past.threshold} helpers`;
+    return requireGroupKey(data, writer, past);
+  },
+
+  recovery_key: (data, writer, past) =>
+    past.devices.has(data.device) && past.devices.get(data.device).participant === writer ? null : `${data.device} is not enrolled for ${writer}`,
+
+  recovery_contribution: (data, writer, past) => {
+    const recovery = past.devices.get(data.device);
+    if (!recovery) return `${data.device} is not enrolled`;
+    if (!recovery.helpers.includes(writer)) return `${writer} is not helping recover ${recovery.participant}`;
+    if (!past.recoveryKeys.has(data.device)) return `${writer} contributes before seeing ${data.device}'s encryption key`;
+    return requireGroupKey(data, writer, past);
+  }
+};
+
+// What the checks need to know about an entry's causal past
+export const emptyHistory = () => ({
+  stage: -1,
+  threshold: undefined, // as pinned by the session manifest
+  dealers: null, // resharing dealers, as pinned by the session manifest
+  keys: new Set(), // writers of a reshare_key
+  enrollments: new Map(), // `${helper}|${device}|${participant}|${helpers}` => enrollment
+  devices: new Map(), // enrolled device => { participant, helpers }
+  recoveryKeys: new Set(), // devices that published a recovery_key
+  manifests: new Set(), // hashes of session_manifest entries
+  commitments: new Set(), // writers of a public_commitment
+  complaints: new Set(), // `${complainer}->${dealer}`, in the DKG or a resharing
+  groupKeys: new Set() // writers of a group_key
+});
+
+const enrollmentKey = (helper, { device, participant, helpers }) => [helper, device, participant, helpers.join(',')].join('|');
+
+// A device is enrolled once every helper named the same recovery, whether
+// their enrollments came one after the other or concurrently
+const enrollDevices = (history) => {
+  for (const enrollment of history.enrollments.values()) {
+    const { device, participant, helpers } = enrollment;
+    if (!history.devices.has(device) && helpers.every(helper => history.enrollments.has(enrollmentKey(helper, enrollment)))) {
+      history.devices.set(device, { participant, helpers });
+    }
+  }
+  return history;
+};
+
+const mergeHistories = (histories) => {
+  const merged = emptyHistory();
+  for (const history of histories) {
+    merged.stage = Math.max(merged.stage, history.stage);
+    merged.threshold = merged.threshold ?? history.threshold;
+    merged.dealers = merged.dealers ?? history.dealers;
+    for (const key of ['manifests', 'commitments', 'complaints', 'groupKeys', 'keys', 'recoveryKeys']) {
+      for (const item of history[key]) merged[key].add(item);
+    }
+    for (const [key, enrollment] of history.enrollments) merged.enrollments.set(key, enrollment);
+    for (const [device, recovery] of history.devices) merged.devices.set(device, recovery);
+  }
+  return enrollDevices(merged);
+};
+
+export const extendHistory = (history, data, writer, hash) => {
+  const extended = mergeHistories([history]);
+  if (!isObject(data) || !(data.type in STAGES) || STAGES[data.type] === null) return extended;
+
+  extended.stage = Math.max(extended.stage, STAGES[data.type]);
+  if (data.type === 'session_manifest') {
+    extended.manifests.add(hash);
+    extended.threshold = data.threshold;
+    extended.dealers = isObject(data.previous) ? data.previous.dealers : null;
+  }
+  if (data.type === 'public_commitment') extended.commitments.add(writer);
+  if (data.type === 'complaint') extended.complaints.add(`${writer}->${data.against}`);
+  if (data.type === 'reshare_verification') {
+    for (const dealer of data.complaints) extended.complaints.add(`${writer}->${dealer}`);
+  }
+  if (data.type === 'group_key') extended.groupKeys.add(writer);
+  if (data.type === 'reshare_key') extended.keys.add(writer);
+  if (data.type === 'recovery_key') extended.recoveryKeys.add(data.device);
+  if (data.type === 'enrollment') {
+    const { device, participant, helpers } = data;
+    extended.enrollments.set(enrollmentKey(writer, data), { device, participant, helpers });
+    enrollDevices(extended);
+  }
+  return extended;
+};
+
+/**
+ * Checks a protocol message against the session rules.
+ *
+ * @param {Object} data The entry's payload value.
+ * @param {string} signer Identity id that signed the entry.
+ * @param {Object} past Summary of the entry's causal history, as built
+ * from the entries it points to.
+ * @param {Object} roster The session roster.
+ * @return {string|null} Why the entry must be refused, or null.
+ */
+export const checkMessage = (data, signer, past, roster) => {
+  if (!isObject(data)) return 'not a protocol message';
+  if (replaced(signer, past)) return `${signer} was replaced by an enrolled device`;
+  const writer = senderOf(signer, past);
+  if (data.from !== writer) return `claims to be from ${data.from} but was signed by ${signer}`;
+
+  const rule = RULES[data.type];
+  if (!rule) return `unknown message type ${data.type}`;
+  if (departing(writer, past, roster) && !DEALER_MESSAGES.includes(data.type)) return `${writer} is not in the roster and only deals its share`;
+  if (data.type !== 'session_manifest' && past.manifests.size !== 1) {
+    return past.manifests.size === 0 ? `${data.type} written before the session manifest` : 'builds on conflicting session manifests';
+  }
+  if (STAGES[data.type] !== null && past.stage >= STAGES[data.type] + 2) return `${data.type} written after the session moved on`;
+
+  const invalid = validateMessage(data, { roster, threshold: past.threshold, dealers: past.dealers });
+  if (invalid) return invalid;
+  return rule(upgradeMessage(data), writer, past, roster);
+};
+
+/**
+ * OrbitDB access controller for DKG session logs.
+ *
+ * Like IPFSAccessController it only lets the listed roster write (and
+ * devices enrolled to replace a member, in its place, and in a resharing
+ * session the old holders dealing their shares), but it
+ * also refuses entries that break the protocol: unknown messages, ones
+ * that fail their schema (see message-schemas.js), a `from` that is not the signer, a session_manifest that is
+ * not the first entry or names another roster, anything not built on
+ * exactly one manifest, a second commitment from the same dealer,
+ * messages whose prerequisites are missing, and messages written after the
+ * session moved past their phase.
+ *
+ * Peers may receive entries in any order, so every rule only looks at the
+ * entry itself and its causal history (the entries it points to). The
+ * verdict on an entry is then the same on every peer, and one built on a
+ * refused entry is refused too.
+ *
+ * Refused replicated entries are reported once each as 'refused' events,
+ * { entry, type, claimed, signer, reason }, on the controller's `events`.
+ * A refused local write makes db.add() throw.
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.write] Roster identity ids, when creating
+ * a new log. Opening an existing one reads them from its manifest.
+ * @param {Object} [options.storage] Storage for the manifest.
+ * @return {Function} An access controller factory for orbitdb.open().
+ */
+const DKGAccessController = ({ write, storage } = {}) => async ({ orbitdb, identities, address }) => {
+  const manifest = await IPFSAccessController({ write, storage })({
+    orbitdb,
+    identities,
+    address: address && address.replace(`/${type}/`, '/ipfs/')
+  });
+  const roster = createRoster(manifest.write);
+  const entries = await IPFSBlockStorage({ ipfs: orbitdb.ipfs });
+  const events = new EventEmitter();
+
+  const writers = new Map(); // identity hash => identity id, or null
+  const histories = new Map(); // entry hash => history up to and including it
+  const verdicts = new Map(); // entry hash => reason it was refused, or null
+
+  const load = async (hash) => Entry.decode(await entries.get(hash));
+
+  const writerOf = async (entry) => {
+    if (!writers.has(entry.identity)) {
+      const identity = await identities.getIdentity(entry.identity);
+      const valid = identity && identity.publicKey === entry.key && await identities.verifyIdentity(identity);
+      writers.set(entry.identity, valid ? identity.id : null);
+    }
+    return writers.get(entry.identity);
+  };
+
+  const historyThrough = (hash) => {
+    if (!histories.has(hash)) {
+      histories.set(hash, (async () => {
+        const entry = await load(hash);
+        const past = await pastOf(entry);
+        return extendHistory(past, entry.payload.value, senderOf(await writerOf(entry), past), hash);
+      })());
+    }
+    return histories.get(hash);
+  };
+
+  const pastOf = async (entry) => mergeHistories(await Promise.all(entry.next.map(historyThrough)));
+
+  const check = async (entry) => {
+    const signer = await writerOf(entry);
+    if (!signer) return 'unresolvable signing identity';
+    const past = await pastOf(entry);
+    const writer = senderOf(signer, past);
+    if (!roster.has(writer) && !departing(writer, past, roster)) return `signed by ${signer}, who is not in the roster`;
+
+    for (const hash of entry.next) {
+      if (await verdictOf(hash)) return `builds on refused entry ${hash}`;
+    }
+    return checkMessage(entry.payload.value, signer, past, roster);
+  };
+
+  const verdictOf = (hash, entry) => {
+    if (!verdicts.has(hash)) {
+      verdicts.set(hash, (entry ? Promise.resolve(entry) : load(hash)).then(refuse));
+    }
+    return verdicts.get(hash);
+  };
+
+  const refuse = async (entry) => {
+    const reason = await check(entry);
+    if (reason && entry.hash) {
+      const data = entry.payload.value;
+      events.emit('refused', {
+        entry: entry.hash,
+        type: isObject(data) ? data.type : undefined,
+        claimed: isObject(data) ? data.from : undefined,
+        signer: writers.get(entry.identity) || null,
+        reason
+      });
+    }
+    return reason;
+  };
+
+  // Entries being appended locally have no hash yet and are checked afresh
+  const canAppend = async (entry) => {
+    const reason = entry.hash ? await verdictOf(entry.hash, entry) : await check(entry);
+    return !reason;
+  };
+
+  return {
+    type,
+    address: `/${type}/${manifest.address.split('/').pop()}`,
+    write: manifest.write,
+    events,
+    canAppend
+  };
+};
+
+DKGAccessController.type = type;
+
+export default DKGAccessController;
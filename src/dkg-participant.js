@@ -0,0 +1,1272 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import * as field from './scalar-field.js';
+import * as feldman from './feldman-vss.js';
+import * as pedersen from './pedersen-vss.js';
+import * as ecies from './ecies.js';
+import * as groupKey from './group-key.js';
+import { interpolatePolynomial } from './lagrange.js';
+import { PROTOCOL_VERSION, DEALER_MESSAGES, validateMessage, upgradeMessage, encodeMessage } from './message-schemas.js';
+import canonical from './utils/canonical-json.js';
+
+const ec = new EC.ec('secp256k1');
+
+const MODES = ['feldman', 'pedersen'];
+
+// Messages a sender writes once per slot. Two different ones for the same
+// slot, e.g. two sets of commitments, are an equivocation.
+const SLOTS = {
+  public_commitment: data => data.from,
+  share_distribution: data => `${data.from}->${data.to}`,
+  justification: data => `${data.from}->${data.to}`,
+  extraction_commitment: data => data.from,
+  reconstruction_share: data => `${data.from}->${data.dealer}`
+};
+
+// DKG messages a participant writes at most once, keyed by what tells its
+// copies apart. A participant resuming from the log skips the ones it
+// wrote before it stopped (see publish).
+const ONCE = {
+  session_manifest: () => '',
+  public_commitment: () => '',
+  share_distribution: data => data.to,
+  share_receipt: data => data.dealer,
+  share_verification: data => data.about,
+  complaint: data => data.against,
+  justification: data => data.to,
+  extraction_commitment: () => '',
+  extraction_complaint: data => data.against,
+  justifications_closed: () => '',
+  extraction_verified: () => '',
+  reconstruction_share: data => data.dealer,
+  group_key: () => '',
+  equivocation: data => data.accused,
+  reshare_key: () => '',
+  reshare_commitment: () => '',
+  reshare_verification: () => '',
+  reshare_justification: data => data.to,
+  reshare_justifications_closed: () => '',
+  refresh_commitment: data => String(data.epoch),
+  refresh_verification: data => String(data.epoch),
+  refresh_justification: data => `${data.epoch}|${data.to}`,
+  refresh_justifications_closed: data => String(data.epoch),
+  enrollment: data => `${data.participant}|${data.device}`,
+  recovery_key: data => data.device,
+  recovery_contribution: data => data.device
+};
+
+const onceKey = (data) => (data.type in ONCE ? `${data.type}|${ONCE[data.type](data)}` : null);
+
+// What a message says, leaving out when it was written
+const contentOf = ({ timestamp, version, ...data }) => canonical(data);
+
+/**
+ * One participant's view of a DKG run over a shared OrbitDB events log.
+ *
+ * The participant reacts to entries written by its peers and exposes one
+ * method per protocol phase. It does not decide when to move between
+ * phases; that is the job of the session (see dkg-session.js), which
+ * listens for the 'message' event emitted after each entry is handled.
+ *
+ * In 'pedersen' mode (Gennaro–Jarecki–Krawczyk–Rabin) shares are dealt
+ * under hiding Pedersen commitments and the Feldman commitments g^{a_k}
+ * are only published in a late extraction phase, once QUAL is fixed, so
+ * no dealer can see the others' g^{a_0} in time to bias the group key.
+ */
+class DKGParticipant {
+  static MODES = MODES;
+
+  constructor({ participantId, db, identities, threshold, roster, mode = 'feldman', entropy = null, secrets = null, secretStore = null, log = console.log }) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`mode must be one of ${MODES.join(', ')}`);
+    }
+    if (!identities) {
+      throw new Error('An OrbitDB Identities instance is required to authenticate senders');
+    }
+    this.participantId = participantId;
+    this.db = db;
+    this.identities = identities;
+    this.threshold = threshold;
+    this.mode = mode;
+    this.version = PROTOCOL_VERSION; // the session's, once its manifest is known
+    this.roster = roster;
+    this.participants = roster.ids;
+    this.log = log;
+    this.entropy = entropy; // async (count) => words from an extra randomness source, or null
+    this.privateKey = ec.genKeyPair();
+    this.publicKey = this.privateKey.getPublic('hex');
+
+    // Separate key pair so peers can encrypt our shares (ECIES)
+    this.encryptionKey = ec.genKeyPair();
+
+    // DKG state
+    this.manifest = null; // the session_manifest entry pinning the agreed parameters
+    this.polynomial = null;
+    this.blindingPolynomial = null; // pedersen mode only
+    this.commitments = null; // our own Feldman (or Pedersen) commitments
+    this.shares = new Map(); // shares for other participants
+    this.receivedShares = new Map(); // shares received from others
+    this.publicCommitments = new Map(); // public commitments for verification
+    this.encryptionKeys = new Map(); // published encryption keys of peers
+    this.peerIds = new Map(); // libp2p peer ids of peers taking shares directly
+    this.directShares = new Map(); // dealer => share received over a stream, not the log
+    this.receipts = new Set(); // `${dealer}->${recipient}` for shares acknowledged in the log
+    this.verifications = new Map(); // `${from}->${about}` => valid
+    this.complaints = new Set(); // `${complainer}->${dealer}`
+    this.complaintsFiled = new Set(); // dealers we have complained about
+    this.justifications = new Map(); // `${complainer}->${dealer}` => revealed share
+    this.closedJustifications = new Set(); // participants done waiting for justifications
+    this.qualified = null; // QUAL: dealers whose polynomials make up the key
+    this.disqualified = new Map(); // dealer => reason
+
+    // Extraction phase state (pedersen mode)
+    this.feldmanCommitments = null; // our own g^{a_k}, withheld until extraction
+    this.extractionCommitments = new Map(); // dealer => published g^{a_k}
+    this.extractionComplaints = new Map(); // `${complainer}->${dealer}` => revealed share
+    this.extractionVerified = new Set(); // participants done checking extraction commitments
+    this.reconstructionShares = new Map(); // dealer => Map(participant => share)
+    this.extractedCommitments = new Map(); // QUAL dealer => g^{a_k} used for the key
+    this.finalShareValue = null;
+    this.groupPublicKey = null;
+    this.ethereumAddress = null;
+    this.verificationShares = new Map(); // participant => g^{final share}
+    this.groupKeyClaims = new Map(); // group keys announced by peers
+    this.refreshEpoch = 0; // last share refresh applied to our final share (see share-refresh.js)
+    this.refreshDeal = null; // { epoch, polynomial } we dealt in a refresh not yet applied
+
+    // Handlers for message types owned by other protocols run over the same
+    // log, e.g. threshold signing (see addMessageHandler)
+    this.messageHandlers = new Map();
+
+    // Point-to-point share delivery, when enabled (see share-delivery.js):
+    // our libp2p peer id, announced with our commitments, and the sender
+    this.peerId = null;
+    this.delivery = null;
+
+    // Emits 'message' with each entry's payload once it has been handled,
+    // 'violation' for entries rejected by checkSender() or their schema, and
+    // 'equivocation' { sender, entries } for proven conflicting messages
+    this.events = new EventEmitter();
+
+    // Equivocation detection: the first entry seen for each slot, and
+    // senders proven to have written two different ones
+    this.slots = new Map(); // `${type}|${slot}` => { hash, content }
+    this.equivocations = new Map(); // sender => [entry hash, entry hash]
+
+    // Entries whose claimed sender is not the identity that signed them
+    this.violations = [];
+    this.signers = new Map(); // identity hash => identity id
+    this.devices = new Map(); // enrolled device identity => participant it replaces (see share-recovery.js)
+    this.device = null; // our own identity, when we are a device standing in for participantId
+
+    // Hashes of log entries already handled, so entries that arrive as
+    // ancestors of a synced head are not lost or handled twice, and those
+    // being handled right now
+    this.processed = new Set();
+    this.handling = new Map(); // hash => promise settled once handled
+    this.logged = new Map(); // entry hash => message, for every valid entry handled
+
+    // Our own one-off messages found in the log (see ONCE)
+    this.written = new Set();
+
+    // Where our keys and polynomials are saved before we commit to them, so
+    // a restarted participant can pick up where it left off
+    this.secretStore = secretStore;
+    if (secrets) {
+      this.restoreSecrets(secrets);
+    }
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.onUpdate = async (entry) => {
+      try {
+        await this.ingest(entry);
+      } catch (error) {
+        this.log(`${this.participantId}: ❌ Failed to process entry ${entry.hash}: ${error.message}`);
+      }
+    };
+    this.db.events.on('update', this.onUpdate);
+  }
+
+  stop() {
+    this.db.events.off('update', this.onUpdate);
+  }
+
+  // Handle entries that were already in the log before we started
+  // listening, e.g. synced while it was opening or loaded from disk.
+  // Resolves once every entry reachable from the current heads has been
+  // handled, including those an update was already handling, or rejects
+  // after `timeout` ms if fetching or handling them hangs.
+  async catchUp(timeout = 30000) {
+    let timer = null;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timeout after ${timeout}ms catching up with the session log`)), timeout);
+    });
+    const caughtUp = (async () => {
+      for (const head of await this.db.log.heads()) {
+        await this.onUpdate(head);
+      }
+    })();
+    try {
+      await Promise.race([caughtUp, expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // OrbitDB only emits 'update' for the head it synced, so walk back through
+  // the entry's unseen ancestors and handle them oldest first. An entry
+  // counts as processed only once it has been handled, so one whose handler
+  // failed, e.g. because a write it made was refused, or whose ancestors
+  // could not be fetched is tried again from the next update that reaches
+  // it, and does not hold up the rest of the batch.
+  async ingest(entry) {
+    const pending = [];
+    const visited = new Set();
+    const stack = [entry];
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (this.processed.has(current.hash) || visited.has(current.hash)) continue;
+      visited.add(current.hash);
+      pending.push(current);
+
+      for (const hash of current.next) {
+        if (!this.processed.has(hash) && !visited.has(hash)) {
+          const parent = await this.db.log.get(hash);
+          if (parent) stack.push(parent);
+        }
+      }
+    }
+
+    pending.sort((a, b) => a.clock.time - b.clock.time);
+    for (const current of pending) {
+      // Another update may be handling the same entry: wait for it, so
+      // that once ingest() returns every entry it reached has been handled
+      if (this.handling.has(current.hash)) {
+        await this.handling.get(current.hash);
+        continue;
+      }
+      if (this.processed.has(current.hash)) continue;
+
+      const handled = this.handleEntry(current)
+        .then(() => {
+          this.processed.add(current.hash);
+        })
+        .catch(error => {
+          this.log(`${this.participantId}: ❌ Failed to process entry ${current.hash}: ${error.message}`);
+        })
+        .finally(() => {
+          this.handling.delete(current.hash);
+        });
+      this.handling.set(current.hash, handled);
+      await handled;
+    }
+  }
+
+  async handleEntry(entry) {
+    if (!(await this.checkSender(entry))) return;
+
+    const invalid = validateMessage(entry.payload.value, { roster: this.roster, threshold: this.threshold, dealers: this.dealers });
+    if (invalid) {
+      this.reject(entry, invalid);
+      return;
+    }
+
+    // Handlers only ever see the current message version, and only the
+    // first of conflicting messages
+    const message = upgradeMessage(entry.payload.value);
+    this.logged.set(entry.hash, message);
+    if (message.from === this.participantId && onceKey(message)) {
+      this.written.add(onceKey(message));
+    }
+    if (await this.checkEquivocation(entry.hash, message)) {
+      await this.handleMessage(message);
+    }
+    this.events.emit('message', message);
+  }
+
+  // Write a message to the log in the form of the session's version. A
+  // one-off message we already wrote, e.g. before a restart, is skipped.
+  async publish(message) {
+    const key = onceKey(message);
+    if (key && this.written.has(key)) {
+      this.log(`${this.participantId}: ⏭️  Already wrote ${message.type}, skipping`);
+      return null;
+    }
+    const hash = await this.db.add(encodeMessage(message, this.version));
+    if (key) this.written.add(key);
+    return hash;
+  }
+
+  /**
+   * The secret material behind our commitments, as hex strings: our
+   * signing and encryption keys and our polynomials, plus, once the DKG
+   * has finished, our share of the group key and what signing needs with
+   * it. Anyone holding it can sign for us, so store it accordingly (see
+   * keystore.js).
+   */
+  exportSecrets() {
+    const toHex = (polynomial) => (polynomial ? polynomial.map(field.toHex) : null);
+    return {
+      privateKey: this.privateKey.getPrivate('hex'),
+      encryptionKey: this.encryptionKey.getPrivate('hex'),
+      polynomial: toHex(this.polynomial),
+      blindingPolynomial: toHex(this.blindingPolynomial),
+      finalShare: this.finalShareValue,
+      groupPublicKey: this.groupPublicKey,
+      address: this.ethereumAddress,
+      verificationShares: Object.fromEntries(this.verificationShares),
+      qualified: this.qualified ? [...this.qualified] : null,
+      directShares: Object.fromEntries(this.directShares),
+      epoch: this.refreshEpoch,
+      refreshDeal: this.refreshDeal ? { epoch: this.refreshDeal.epoch, polynomial: toHex(this.refreshDeal.polynomial) } : null
+    };
+  }
+
+  // Takes back secret material from exportSecrets(), so that entries we
+  // wrote before a restart still match our state and a finished DKG's share
+  // can sign without running it again
+  restoreSecrets({ privateKey, encryptionKey, polynomial, blindingPolynomial, finalShare = null, groupPublicKey = null, address = null, verificationShares = {}, qualified = null, directShares = {}, epoch = 0, refreshDeal = null }) {
+    this.privateKey = ec.keyFromPrivate(privateKey, 'hex');
+    this.publicKey = this.privateKey.getPublic('hex');
+    this.encryptionKey = ec.keyFromPrivate(encryptionKey, 'hex');
+    this.polynomial = polynomial ? polynomial.map(field.fromHex) : null;
+    this.blindingPolynomial = blindingPolynomial ? blindingPolynomial.map(field.fromHex) : null;
+    if (this.polynomial) {
+      this.dealShares();
+    }
+
+    this.finalShareValue = finalShare;
+    this.groupPublicKey = groupPublicKey;
+    this.ethereumAddress = address;
+    this.verificationShares = new Map(Object.entries(verificationShares));
+    this.qualified = qualified ? new Set(qualified) : null;
+    this.refreshEpoch = epoch;
+    this.refreshDeal = refreshDeal ? { epoch: refreshDeal.epoch, polynomial: refreshDeal.polynomial.map(field.fromHex) } : null;
+
+    // Shares that never went through the log cannot be replayed from it
+    this.directShares = new Map(Object.entries(directShares));
+    for (const [dealer, share] of this.directShares) {
+      this.receivedShares.set(dealer, share);
+    }
+  }
+
+  // A keystore locked under a running session fails the phase saying so,
+  // rather than with the store's own error
+  async saveSecrets() {
+    if (!this.secretStore) return;
+    if (this.secretStore.locked) {
+      const error = new Error(`Keystore was locked while session ${this.db.address} was running; unlock it and join the session again to resume`);
+      error.keystoreLocked = true;
+      throw error;
+    }
+    await this.secretStore.set(this.db.address, this.exportSecrets());
+  }
+
+  // Id of the OrbitDB identity that signed `entry`, or null if its identity
+  // cannot be resolved or does not own the entry's signing key
+  async signerOf(entry) {
+    if (!this.signers.has(entry.identity)) {
+      const identity = await this.identities.getIdentity(entry.identity);
+      this.signers.set(entry.identity, identity && identity.publicKey === entry.key ? identity.id : null);
+    }
+    return this.signers.get(entry.identity);
+  }
+
+  // The roster member `signer` writes for: itself, or the participant it
+  // was enrolled to replace
+  senderOf(signer) {
+    return this.devices.get(signer) || signer;
+  }
+
+  // Old holders dealing their shares in a resharing session, who need not
+  // be in its roster (see resharing.js)
+  get dealers() {
+    return this.manifest && this.manifest.previous ? this.manifest.previous.dealers : [];
+  }
+
+  // Every protocol message names its sender in `from`; only accept it from
+  // that sender's own identity (or its enrolled device), and only from
+  // roster members or, for their deals and justifications, resharing dealers
+  async checkSender(entry) {
+    const data = entry.payload.value;
+    if (!data || typeof data !== 'object') return false;
+
+    const signer = await this.signerOf(entry);
+    let reason = null;
+    if (!signer) {
+      reason = 'unresolvable signing identity';
+    } else if (!this.roster.has(this.senderOf(signer)) && !(DEALER_MESSAGES.includes(data.type) && this.dealers.includes(signer))) {
+      reason = `signed by ${signer}, who is not in the roster`;
+    } else if ([...this.devices.values()].includes(signer)) {
+      reason = `${signer} was replaced by an enrolled device`;
+    } else if (data.from !== this.senderOf(signer)) {
+      reason = `claims to be from ${data.from} but was signed by ${signer}`;
+    }
+    if (!reason) return true;
+
+    this.reject(entry, reason);
+    return false;
+  }
+
+  // Record and report an entry that will not be handled
+  reject(entry, reason) {
+    const data = entry.payload.value;
+    const violation = {
+      entry: entry.hash,
+      type: data && data.type,
+      claimed: data && data.from,
+      signer: this.signers.get(entry.identity) || null,
+      reason
+    };
+    this.violations.push(violation);
+    this.log(`${this.participantId}: 🚨 Rejected ${violation.type} entry ${entry.hash}: ${reason}`);
+    this.events.emit('violation', violation);
+  }
+
+  // Returns false if `message` conflicts with an earlier one from its
+  // sender for the same slot, recording and publishing the proof
+  async checkEquivocation(hash, message) {
+    const slotOf = SLOTS[message.type];
+    if (!slotOf) return true;
+
+    const key = `${message.type}|${slotOf(message)}`;
+    const content = contentOf(message);
+    const first = this.slots.get(key);
+    // The same entry again, when its handler failed the first time
+    if (!first || first.hash === hash) {
+      this.slots.set(key, { hash, content });
+      return true;
+    }
+    if (first.content === content) return false;
+
+    if (!this.equivocations.has(message.from)) {
+      this.recordEquivocation(message.from, [first.hash, hash]);
+
+      // Version 1 peers do not know the message, so they detect it themselves
+      if (this.version >= 2 && message.from !== this.participantId) {
+        await this.publish({
+          type: 'equivocation',
+          from: this.participantId,
+          accused: message.from,
+          entries: [first.hash, hash],
+          timestamp: Date.now()
+        });
+      }
+    }
+    return false;
+  }
+
+  recordEquivocation(sender, entries) {
+    this.equivocations.set(sender, entries);
+    this.log(`${this.participantId}: 🚨 ${sender} equivocated: ${entries.join(' vs ')}`);
+    this.events.emit('equivocation', { sender, entries });
+  }
+
+  // A proof holds if both entries are in the log, signed by the accused and
+  // say different things for the same slot
+  async verifyEquivocation({ accused, entries }) {
+    const messages = [];
+    for (const hash of entries) {
+      const entry = await this.db.log.get(hash);
+      if (!entry || this.senderOf(await this.signerOf(entry)) !== accused) return false;
+      if (validateMessage(entry.payload.value, { roster: this.roster, threshold: this.threshold })) return false;
+      messages.push(upgradeMessage(entry.payload.value));
+    }
+
+    const [a, b] = messages;
+    const slotOf = SLOTS[a.type];
+    return !!slotOf && a.type === b.type && slotOf(a) === slotOf(b) && contentOf(a) !== contentOf(b);
+  }
+
+  async handleMessage(data) {
+    if (!data || typeof data !== 'object') return;
+
+    switch (data.type) {
+      case 'session_manifest':
+        if (!this.manifest) {
+          this.manifest = data;
+        }
+        break;
+
+      case 'public_commitment':
+        if (data.from !== this.participantId) {
+          if (data.mode !== this.mode) {
+            this.log(`${this.participantId}: ⚠️  Ignoring ${data.mode} commitment from ${data.from} in ${this.mode} mode`);
+            break;
+          }
+          this.publicCommitments.set(data.from, data.commitments);
+          this.encryptionKeys.set(data.from, data.encryptionKey);
+          if (data.peerId) {
+            this.peerIds.set(data.from, data.peerId);
+          }
+          this.log(`${this.participantId}: Received public commitment from ${data.from}`);
+        }
+        break;
+
+      case 'share_distribution':
+        // A device recovering our share cannot open the ones dealt to the lost one
+        if (data.to === this.participantId && data.from !== this.participantId && !this.directShares.has(data.from) && !this.device) {
+          await this.receiveShare(data);
+        }
+        break;
+
+      case 'share_receipt':
+        this.receipts.add(`${data.dealer}->${data.from}`);
+        break;
+
+      case 'share_verification':
+        this.verifications.set(`${data.from}->${data.about}`, data.valid);
+        if (data.from !== this.participantId) {
+          this.log(`${this.participantId}: Received verification from ${data.from}: ${data.valid ? 'VALID' : 'INVALID'}`);
+        }
+        break;
+
+      case 'complaint':
+        if (!this.roster.has(data.from) || !this.roster.has(data.against) || data.from === data.against) break;
+        if (data.against === this.participantId) {
+          this.log(`${this.participantId}: ⚠️  Complaint filed against me by ${data.from}`);
+        }
+        this.complaints.add(`${data.from}->${data.against}`);
+        break;
+
+      case 'justification': {
+        if (!this.roster.has(data.from) || !this.roster.has(data.to)) break;
+        const complaint = `${data.to}->${data.from}`;
+        if (!this.justifications.has(complaint)) {
+          this.justifications.set(complaint, data.share);
+          if (data.from !== this.participantId) {
+            this.log(`${this.participantId}: Received justification from ${data.from} for ${data.to}`);
+          }
+        }
+        break;
+      }
+
+      case 'justifications_closed':
+        this.closedJustifications.add(data.from);
+        break;
+
+      case 'extraction_commitment':
+        if (this.roster.has(data.from) && !this.extractionCommitments.has(data.from)) {
+          this.extractionCommitments.set(data.from, data.commitments);
+        }
+        break;
+
+      case 'extraction_complaint': {
+        if (!this.roster.has(data.from) || !this.roster.has(data.against)) break;
+        const complaint = `${data.from}->${data.against}`;
+        if (!this.extractionComplaints.has(complaint)) {
+          this.extractionComplaints.set(complaint, data.share);
+          this.log(`${this.participantId}: ⚠️  Extraction complaint from ${data.from} against ${data.against}`);
+        }
+        break;
+      }
+
+      case 'extraction_verified':
+        if (this.roster.has(data.from)) {
+          this.extractionVerified.add(data.from);
+        }
+        break;
+
+      case 'reconstruction_share': {
+        if (!this.roster.has(data.from) || !this.roster.has(data.dealer)) break;
+        if (!this.reconstructionShares.has(data.dealer)) {
+          this.reconstructionShares.set(data.dealer, new Map());
+        }
+        const shares = this.reconstructionShares.get(data.dealer);
+        if (!shares.has(data.from)) {
+          shares.set(data.from, data.share);
+        }
+        break;
+      }
+
+      case 'equivocation':
+        if (!this.equivocations.has(data.accused) && await this.verifyEquivocation(data)) {
+          this.recordEquivocation(data.accused, data.entries);
+        }
+        break;
+
+      case 'group_key':
+        if (data.from !== this.participantId) {
+          this.groupKeyClaims.set(data.from, {
+            groupPublicKey: data.groupPublicKey,
+            address: data.address
+          });
+          this.log(`${this.participantId}: Received group key from ${data.from}`);
+        }
+        break;
+
+      default: {
+        const handler = this.messageHandlers.get(data.type);
+        if (handler) {
+          await handler(data);
+        }
+      }
+    }
+  }
+
+  // Routes log entries of `type` to `handler`. Register before the entries
+  // can arrive: entries already processed are not replayed.
+  addMessageHandler(type, handler) {
+    this.messageHandlers.set(type, handler);
+  }
+
+  // Share x-coordinate of a participant, as assigned by the roster
+  indexOf(participantId) {
+    return this.roster.indexOf(participantId);
+  }
+
+  // Phase 1: Generate polynomial and create shares
+  async generatePolynomialAndShares() {
+    // A participant restored from its saved secrets keeps its polynomial,
+    // which its commitments in the log may already be bound to
+    if (!this.polynomial) {
+      this.log(`${this.participantId}: 🎲 Generating polynomial (threshold=${this.threshold})`);
+
+      // Random polynomial f(x) = a0 + a1*x + ... of degree threshold-1 over
+      // the scalar field, where a0 is our secret contribution
+      const secret = BigInt('0x' + this.privateKey.getPrivate().toString(16));
+      this.polynomial = field.randomPolynomial(this.threshold - 1, secret);
+      if (this.entropy) {
+        await this.mixEntropy(this.polynomial);
+      }
+      if (this.mode === 'pedersen') {
+        this.blindingPolynomial = field.randomPolynomial(this.threshold - 1);
+      }
+      await this.saveSecrets();
+    }
+    this.dealShares();
+
+    // Broadcast public commitments
+    await this.publish({
+      type: 'public_commitment',
+      from: this.participantId,
+      mode: this.mode,
+      commitments: this.commitments,
+      encryptionKey: this.encryptionKey.getPublic(true, 'hex'),
+      ...(this.peerId ? { peerId: this.peerId } : {}),
+      timestamp: Date.now()
+    });
+
+    this.log(`${this.participantId}: ✅ Generated polynomial and ${this.shares.size} shares`);
+  }
+
+  // Adds words from the session's extra randomness source, e.g. Chainlink
+  // VRF, to our coefficients a1.. in place. Each word is hashed with the
+  // session, our id and its position, and added rather than used, so a
+  // public or biased word leaves a coefficient as random as our CSPRNG made it.
+  async mixEntropy(coefficients) {
+    const count = coefficients.length - 1;
+    const words = await this.entropy(count);
+    if (!Array.isArray(words) || words.length < count) {
+      throw new Error(`The randomness source returned ${Array.isArray(words) ? words.length : 'no'} words, ${count} needed`);
+    }
+    for (let i = 1; i <= count; i++) {
+      const digest = crypto.createHash('sha256').update(`${this.db.address}|${this.participantId}|${i}|${words[i - 1]}`).digest('hex');
+      coefficients[i] = field.add(coefficients[i], field.fromHex(digest));
+    }
+  }
+
+  // Shares and commitments of our polynomial
+  dealShares() {
+    // Create shares for all participants using our polynomial
+    this.shares.clear();
+    for (const participantId of this.participants) {
+      const x = this.indexOf(participantId);
+      const share = {
+        x,
+        y: this.evaluatePolynomial(x)
+      };
+      if (this.blindingPolynomial) {
+        share.blinding = field.toHex(field.evaluatePolynomial(this.blindingPolynomial, x));
+      }
+      this.shares.set(participantId, share);
+    }
+
+    // Generate public commitments for verification: Feldman VSS, or
+    // Pedersen VSS with the Feldman ones kept back for extraction
+    this.feldmanCommitments = feldman.commit(this.polynomial);
+    this.commitments = this.mode === 'pedersen'
+      ? pedersen.commit(this.polynomial, this.blindingPolynomial)
+      : this.feldmanCommitments;
+  }
+
+  // Evaluate polynomial at point x, returned as fixed-width hex
+  evaluatePolynomial(x) {
+    return field.toHex(field.evaluatePolynomial(this.polynomial, x));
+  }
+
+  // Phase 2: Distribute shares to other participants
+  async distributeShares() {
+    this.log(`${this.participantId}: 📤 Distributing shares to ${this.participants.length} participants`);
+
+    for (const targetParticipant of this.participants) {
+      // Acknowledged shares were delivered before a restart
+      if (targetParticipant === this.participantId || this.receipts.has(`${this.participantId}->${targetParticipant}`)) continue;
+
+      const share = this.shares.get(targetParticipant);
+      const message = {
+        type: 'share_distribution',
+        from: this.participantId,
+        to: targetParticipant,
+        encryptedShare: this.encryptShare(share, targetParticipant),
+        timestamp: Date.now()
+      };
+
+      // Straight to the recipient if it takes shares that way and is
+      // reachable, otherwise through the log
+      if (!(this.delivery && this.peerIds.has(targetParticipant) && await this.delivery.send(targetParticipant, message))) {
+        await this.publish(message);
+      }
+    }
+
+    // Store our own share
+    const ownShare = this.shares.get(this.participantId);
+    this.receivedShares.set(this.participantId, ownShare);
+
+    this.log(`${this.participantId}: ✅ Distributed shares to all participants`);
+  }
+
+  // Decrypt and store a share addressed to us. A share that cannot be
+  // decrypted or is meant for another index is complained about instead.
+  async receiveShare(data) {
+    try {
+      const share = this.decryptShare(data.encryptedShare, data.from);
+      this.receivedShares.set(data.from, share);
+      this.log(`${this.participantId}: Received share from ${data.from}`);
+    } catch (error) {
+      this.log(`${this.participantId}: ❌ Unreadable share from ${data.from}: ${error.message}`);
+      await this.fileComplaint(data.from, `Share decryption failed: ${error.message}`);
+    }
+  }
+
+  // Take a share a dealer sent us directly, and acknowledge it in the log
+  // with the digest of what we got. Only the first share from a dealer
+  // counts. Resolves to whether we hold its share now.
+  async acceptDirectShare(data) {
+    if (!this.receivedShares.has(data.from)) {
+      await this.receiveShare(data);
+      if (this.receivedShares.has(data.from)) {
+        this.directShares.set(data.from, this.receivedShares.get(data.from));
+        await this.saveSecrets();
+      }
+    }
+
+    await this.publish({
+      type: 'share_receipt',
+      from: this.participantId,
+      dealer: data.from,
+      digest: crypto.createHash('sha256').update(canonical(data.encryptedShare)).digest('hex'),
+      timestamp: Date.now()
+    });
+    return this.receivedShares.has(data.from);
+  }
+
+  // Binds a ciphertext to this session, its dealer and its recipient
+  shareContext(fromParticipant, toParticipant) {
+    return `${this.db.address}|share|${fromParticipant}|${toParticipant}`;
+  }
+
+  // ECIES-encrypt a share to the key the target published with its commitment
+  encryptShare(share, targetParticipant) {
+    const recipientKey = this.encryptionKeys.get(targetParticipant);
+    if (!recipientKey) {
+      throw new Error(`No encryption key published by ${targetParticipant}`);
+    }
+    return ecies.encrypt(recipientKey, JSON.stringify(share), this.shareContext(this.participantId, targetParticipant));
+  }
+
+  decryptShare(encryptedShare, fromParticipant) {
+    const plaintext = ecies.decrypt(this.encryptionKey, encryptedShare, this.shareContext(fromParticipant, this.participantId));
+    const share = JSON.parse(plaintext.toString());
+
+    if (share.x !== this.indexOf(this.participantId)) {
+      throw new Error(`Share is for index ${share.x}, not ${this.indexOf(this.participantId)}`);
+    }
+    field.fromHex(share.y);
+    if (this.mode === 'pedersen') {
+      field.fromHex(share.blinding);
+    }
+
+    return share;
+  }
+
+  async fileComplaint(against, reason) {
+    if (this.complaintsFiled.has(against)) return;
+    this.complaintsFiled.add(against);
+
+    await this.publish({
+      type: 'complaint',
+      from: this.participantId,
+      against,
+      reason,
+      timestamp: Date.now()
+    });
+  }
+
+  // Phase 3: Verify received shares using public commitments
+  async verifyReceivedShares() {
+    this.log(`${this.participantId}: 🔍 Verifying received shares`);
+
+    let allValid = true;
+
+    for (const fromParticipant of this.participants) {
+      if (fromParticipant === this.participantId) continue;
+
+      const share = this.receivedShares.get(fromParticipant);
+      const commitments = this.publicCommitments.get(fromParticipant);
+
+      // A share we already complained about (e.g. undecryptable) counts as invalid
+      if (!(share && commitments) && !this.complaintsFiled.has(fromParticipant)) {
+        this.log(`${this.participantId}: ⏳ Still waiting for share/commitment from ${fromParticipant}`);
+        continue;
+      }
+
+      const isValid = !!(share && commitments) && this.verifyShare(share, commitments);
+
+      // Complain before publishing the verdict, so peers that have seen all
+      // verdicts have also seen every complaint
+      if (!isValid) {
+        allValid = false;
+        await this.fileComplaint(fromParticipant, 'Invalid share verification');
+        this.log(`${this.participantId}: ❌ Invalid share from ${fromParticipant}!`);
+      } else {
+        this.log(`${this.participantId}: ✅ Valid share from ${fromParticipant}`);
+      }
+
+      await this.publish({
+        type: 'share_verification',
+        from: this.participantId,
+        about: fromParticipant,
+        valid: isValid,
+        timestamp: Date.now()
+      });
+    }
+
+    return allValid;
+  }
+
+  // Verify a share using Feldman VSS, or Pedersen VSS in pedersen mode
+  verifyShare(share, commitments) {
+    try {
+      return this.mode === 'pedersen'
+        ? pedersen.verifyShare(share, commitments)
+        : feldman.verifyShare(share, commitments);
+    } catch (error) {
+      this.log(`Verification error: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Participants that complained about `dealer`
+  complaintsAgainst(dealer, complaints = this.complaints) {
+    return [...complaints]
+      .map(complaint => complaint.split('->'))
+      .filter(([, against]) => against === dealer)
+      .map(([from]) => from);
+  }
+
+  // Complaints whose accused dealer has not answered yet
+  pendingJustifications() {
+    return [...this.complaints].filter(complaint => !this.justifications.has(complaint));
+  }
+
+  // Phase 4a: Answer every complaint against us by revealing the disputed
+  // share in public, so every peer can check it against our commitments
+  async justifyComplaints() {
+    for (const complainer of this.complaintsAgainst(this.participantId)) {
+      if (this.justifications.has(`${complainer}->${this.participantId}`)) continue;
+
+      this.log(`${this.participantId}: 📢 Revealing share for ${complainer} to answer their complaint`);
+      await this.publish({
+        type: 'justification',
+        from: this.participantId,
+        to: complainer,
+        share: this.shares.get(complainer),
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  // Phase 4b: Tell the others we have stopped waiting for justifications.
+  // Every peer's entry fixes what QUAL is decided on (see
+  // qualificationInputs).
+  async closeJustifications() {
+    await this.publish({
+      type: 'justifications_closed',
+      from: this.participantId,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Hashes of the logged entries whose message matches `isRoot` and of
+   * every entry in their causal history, in hash order so that every peer
+   * goes through the same history alike.
+   */
+  async historyOf(isRoot) {
+    const history = new Set();
+    const stack = [...this.logged].filter(([, message]) => isRoot(message)).map(([hash]) => hash);
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (history.has(hash)) continue;
+      history.add(hash);
+      const entry = await this.db.log.get(hash);
+      if (entry) stack.push(...entry.next);
+    }
+    return [...history].sort();
+  }
+
+  /**
+   * What QUAL is decided on, read from the log rather than from the order
+   * entries happened to arrive in here: the equivocations, complaints and
+   * justifications in the causal history of every participant's
+   * justifications_closed entry. Once those are all in, each peer reads
+   * the same entries and disqualifies the same dealers.
+   *
+   * A dealer equivocated if two of its entries for one slot are in that
+   * history. One whose conflicting entry only comes later keeps its place:
+   * a peer writes its own justifications_closed entry after every entry it
+   * had already acted on, so no peer used the later one.
+   *
+   * @return {Object} { equivocations, complaints, justifications } in the
+   * shapes the participant keeps them in.
+   */
+  async qualificationInputs() {
+    const history = await this.historyOf(message => message.type === 'justifications_closed');
+
+    const slots = new Map(); // `${type}|${slot}` => { hash, content }
+    const equivocations = new Map();
+    const complaints = new Set();
+    const justifications = new Map();
+    // In hash order, so conflicting copies are reported the same everywhere
+    for (const hash of history) {
+      const message = this.logged.get(hash);
+      if (!message) continue;
+
+      const slotOf = SLOTS[message.type];
+      if (slotOf) {
+        const key = `${message.type}|${slotOf(message)}`;
+        const content = contentOf(message);
+        const first = slots.get(key);
+        if (!first) {
+          slots.set(key, { hash, content });
+        } else if (first.content !== content && !equivocations.has(message.from)) {
+          equivocations.set(message.from, [first.hash, hash]);
+        }
+      }
+      if (message.type === 'complaint' && message.from !== message.against) {
+        complaints.add(`${message.from}->${message.against}`);
+      }
+      if (message.type === 'justification' && !justifications.has(`${message.to}->${message.from}`)) {
+        justifications.set(`${message.to}->${message.from}`, message.share);
+      }
+    }
+    return { equivocations, complaints, justifications };
+  }
+
+  // Why `dealer` must be left out of QUAL, or null if it qualifies, judged
+  // on `inputs` (see qualificationInputs), by default what we have seen
+  disqualificationReason(dealer, { equivocations, complaints, justifications } = this) {
+    if (equivocations.has(dealer)) {
+      return `equivocated (${equivocations.get(dealer).join(' vs ')})`;
+    }
+
+    const commitments = dealer === this.participantId ? this.commitments : this.publicCommitments.get(dealer);
+    if (!Array.isArray(commitments) || commitments.length !== this.threshold) {
+      return 'missing or malformed commitments';
+    }
+
+    // `threshold` revealed shares would make the dealer's secret public
+    const complainers = this.complaintsAgainst(dealer, complaints);
+    if (complainers.length >= this.threshold) {
+      return `${complainers.length} complaints`;
+    }
+
+    for (const complainer of complainers) {
+      const share = justifications.get(`${complainer}->${dealer}`);
+      if (!share) {
+        return `no justification for ${complainer}`;
+      }
+      if (typeof share !== 'object' || share.x !== this.indexOf(complainer) || !this.verifyShare(share, commitments)) {
+        return `invalid justification for ${complainer}`;
+      }
+    }
+    return null;
+  }
+
+  // Phase 4c: Fix QUAL from the public log only, so every honest peer
+  // agrees on it. Shares revealed in valid justifications replace the ones
+  // we complained about.
+  determineQualified(inputs = this) {
+    this.qualified = new Set();
+    this.disqualified.clear();
+
+    for (const dealer of this.participants) {
+      const reason = this.disqualificationReason(dealer, inputs);
+      if (reason) {
+        this.disqualified.set(dealer, reason);
+        this.log(`${this.participantId}: 🚫 Disqualified ${dealer}: ${reason}`);
+      } else {
+        this.qualified.add(dealer);
+      }
+    }
+
+    if (this.qualified.size === 0) {
+      throw new Error('No qualified dealers');
+    }
+
+    for (const dealer of this.qualified) {
+      const revealed = inputs.justifications.get(`${this.participantId}->${dealer}`);
+      if (revealed) {
+        this.receivedShares.set(dealer, revealed);
+      }
+    }
+
+    this.log(`${this.participantId}: ✅ QUAL has ${this.qualified.size} of ${this.participants.length} dealers`);
+    return [...this.qualified];
+  }
+
+  // Phase 5: Compute final share value from the qualified dealers' shares
+  computeFinalShare() {
+    if (!this.qualified) {
+      throw new Error('Qualified dealers not determined yet');
+    }
+    this.log(`${this.participantId}: 🧮 Computing final share value`);
+
+    let finalValue = 0n;
+
+    for (const fromParticipant of this.qualified) {
+      const share = this.receivedShares.get(fromParticipant);
+      if (!share) {
+        throw new Error(`Missing share from qualified dealer ${fromParticipant}`);
+      }
+      finalValue = field.add(finalValue, field.fromHex(share.y));
+      this.log(`${this.participantId}: Adding share from ${fromParticipant}`);
+    }
+
+    this.finalShareValue = field.toHex(finalValue);
+    this.log(`${this.participantId}: ✅ Final share computed`);
+
+    return this.finalShareValue;
+  }
+
+  // Phase 6a (pedersen mode): Publish our Feldman commitments now that QUAL
+  // is fixed and the other dealers can no longer change their polynomials
+  async publishExtractionCommitments() {
+    if (!this.qualified.has(this.participantId)) return;
+
+    this.log(`${this.participantId}: 📢 Publishing extraction commitments`);
+    await this.publish({
+      type: 'extraction_commitment',
+      from: this.participantId,
+      commitments: this.feldmanCommitments,
+      timestamp: Date.now()
+    });
+  }
+
+  // Phase 6b (pedersen mode): Check our share from every qualified dealer
+  // against its Feldman commitments. A mismatch is complained about with
+  // the share revealed, then we mark ourselves done.
+  async verifyExtractionCommitments() {
+    for (const dealer of this.qualified) {
+      if (dealer === this.participantId) continue;
+
+      const share = this.receivedShares.get(dealer);
+      const commitments = this.extractionCommitments.get(dealer);
+      const valid = Array.isArray(commitments) && commitments.length === this.threshold &&
+        this.verifyFeldman(share, commitments);
+
+      if (!valid) {
+        this.log(`${this.participantId}: ❌ Extraction commitments from ${dealer} do not match our share`);
+        await this.publish({
+          type: 'extraction_complaint',
+          from: this.participantId,
+          against: dealer,
+          share,
+          timestamp: Date.now()
+        });
+      }
+    }
+
+    await this.publish({
+      type: 'extraction_verified',
+      from: this.participantId,
+      timestamp: Date.now()
+    });
+  }
+
+  verifyFeldman(share, commitments) {
+    try {
+      return feldman.verifyShare(share, commitments);
+    } catch {
+      return false;
+    }
+  }
+
+  // Qualified dealers whose secret must be reconstructed in public: those
+  // that published no Feldman commitments, or with a complaint whose share
+  // is valid under their Pedersen commitments but not their Feldman ones
+  reconstructionTargets() {
+    return [...this.qualified].filter(dealer => {
+      if (dealer === this.participantId) return false;
+
+      const commitments = this.extractionCommitments.get(dealer);
+      if (!Array.isArray(commitments) || commitments.length !== this.threshold) return true;
+
+      return [...this.extractionComplaints].some(([complaint, share]) => {
+        const [complainer, against] = complaint.split('->');
+        return against === dealer &&
+          share && share.x === this.indexOf(complainer) &&
+          this.verifyShare(share, this.publicCommitments.get(dealer)) &&
+          !this.verifyFeldman(share, commitments);
+      });
+    });
+  }
+
+  // Phase 6c (pedersen mode): Reveal our share from every dealer being
+  // reconstructed, so anyone with `threshold` of them can rebuild it
+  async publishReconstructionShares() {
+    for (const dealer of this.reconstructionTargets()) {
+      const posted = this.reconstructionShares.get(dealer);
+      if (posted && posted.has(this.participantId)) continue;
+
+      this.log(`${this.participantId}: 📢 Revealing share from ${dealer} for reconstruction`);
+      await this.publish({
+        type: 'reconstruction_share',
+        from: this.participantId,
+        dealer,
+        share: this.receivedShares.get(dealer),
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  // Revealed shares of `dealer` that verify against its Pedersen commitments
+  validReconstructionShares(dealer) {
+    const shares = this.reconstructionShares.get(dealer) || new Map();
+    return [...shares]
+      .filter(([from, share]) =>
+        share && share.x === this.indexOf(from) && this.verifyShare(share, this.publicCommitments.get(dealer)))
+      .map(([, share]) => share);
+  }
+
+  // Dealers being reconstructed that still lack `threshold` valid shares
+  pendingReconstructions() {
+    return this.reconstructionTargets()
+      .filter(dealer => this.validReconstructionShares(dealer).length < this.threshold);
+  }
+
+  // Phase 6d (pedersen mode): Settle the Feldman commitments of every
+  // qualified dealer, rebuilding the polynomial of any reconstructed one
+  extractCommitments() {
+    this.extractedCommitments.clear();
+    const targets = new Set(this.reconstructionTargets());
+
+    for (const dealer of this.qualified) {
+      if (dealer === this.participantId) {
+        this.extractedCommitments.set(dealer, this.feldmanCommitments);
+      } else if (targets.has(dealer)) {
+        const shares = this.validReconstructionShares(dealer).slice(0, this.threshold);
+        if (shares.length < this.threshold) {
+          throw new Error(`Not enough shares to reconstruct ${dealer}`);
+        }
+        const polynomial = interpolatePolynomial(shares.map(({ x, y }) => ({ x, y })));
+        this.extractedCommitments.set(dealer, feldman.commit(polynomial));
+        this.log(`${this.participantId}: 🔧 Reconstructed the contribution of ${dealer}`);
+      } else {
+        this.extractedCommitments.set(dealer, this.extractionCommitments.get(dealer));
+      }
+    }
+  }
+
+  // Feldman commitment vectors of the qualified dealers, whose polynomials
+  // make up the key
+  dealerCommitments() {
+    if (this.mode === 'pedersen') {
+      if (this.extractedCommitments.size === 0) {
+        throw new Error('Extraction phase not completed yet');
+      }
+      return [...this.qualified].map(id => this.extractedCommitments.get(id));
+    }
+    return [...this.qualified].map(id =>
+      id === this.participantId ? this.commitments : this.publicCommitments.get(id)
+    );
+  }
+
+  // Phase 7: Derive the joint public key and every participant's public
+  // verification share from the dealers' constant-term commitments
+  computeGroupKey() {
+    if (!this.finalShareValue) {
+      throw new Error('Final share not computed yet');
+    }
+
+    const commitments = this.dealerCommitments();
+    const key = groupKey.computeGroupKey(commitments);
+
+    this.verificationShares.clear();
+    for (const id of this.participants) {
+      const share = groupKey.computeVerificationShare(commitments, this.indexOf(id));
+      this.verificationShares.set(id, groupKey.encodePoint(share));
+    }
+
+    // Our own final share must match the public verification share
+    const ownShare = ec.g.mul(this.finalShareValue);
+    if (groupKey.encodePoint(ownShare) !== this.verificationShares.get(this.participantId)) {
+      throw new Error('Final share does not match its verification share');
+    }
+
+    this.groupPublicKey = groupKey.encodePoint(key);
+    this.ethereumAddress = groupKey.toEthereumAddress(key);
+    this.log(`${this.participantId}: 🔑 Group key ${this.groupPublicKey} (${this.ethereumAddress})`);
+
+    return {
+      groupPublicKey: this.groupPublicKey,
+      address: this.ethereumAddress
+    };
+  }
+
+  // Announce our view of the group key so peers can cross-check it
+  async publishGroupKey() {
+    await this.publish({
+      type: 'group_key',
+      from: this.participantId,
+      groupPublicKey: this.groupPublicKey,
+      address: this.ethereumAddress,
+      timestamp: Date.now()
+    });
+  }
+
+  // Peers whose announced group key differs from ours
+  groupKeyMismatches() {
+    return [...this.groupKeyClaims]
+      .filter(([, claim]) => claim.groupPublicKey !== this.groupPublicKey || claim.address !== this.ethereumAddress)
+      .map(([id]) => id);
+  }
+
+  getStatus() {
+    return {
+      participantId: this.participantId,
+      mode: this.mode,
+      hasPolynomial: !!this.polynomial,
+      sharesGenerated: this.shares.size,
+      sharesReceived: this.receivedShares.size,
+      commitmentsReceived: this.publicCommitments.size,
+      verificationsReceived: this.verifications.size,
+      hasFinalShare: !!this.finalShareValue,
+      groupPublicKey: this.groupPublicKey,
+      address: this.ethereumAddress,
+      complaints: this.complaints.size,
+      violations: this.violations.length,
+      equivocations: [...this.equivocations.keys()],
+      qualified: this.qualified ? [...this.qualified] : null,
+      disqualified: [...this.disqualified.keys()]
+    };
+  }
+}
+
+export default DKGParticipant;
@@ -0,0 +1,689 @@
+import { EventEmitter } from 'events';
+import { useAccessController } from '@orbitdb/core';
+import DKGAccessController from './dkg-access-controller.js';
+import DKGParticipant from './dkg-participant.js';
+import createSessionView from './session-view.js';
+import createRoster from './roster.js';
+import FROSTSigner from './frost-signing.js';
+import ECDSASigner from './ecdsa-signing.js';
+import ShareRefresher from './share-refresh.js';
+import Resharer from './resharing.js';
+import ShareRecovery from './share-recovery.js';
+import ShareDelivery from './share-delivery.js';
+import Presence from './presence.js';
+import waitForEvent from './utils/wait-for-event.js';
+import canonical from './utils/canonical-json.js';
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from './message-schemas.js';
+import { toEthereumAddress } from './group-key.js';
+import { checkPaillierBits } from './threshold-ecdsa.js';
+
+// Protocol phases in order; 'extract' only runs in pedersen mode, a
+// resharing session skips 'extract', and a device recovering
+// a lost share only waits for its contributions
+const PHASES = ['commit', 'distribute', 'verify', 'justify', 'extract', 'finalize'];
+const RESHARE_PHASES = ['commit', 'distribute', 'verify', 'justify', 'finalize'];
+const RECOVERY_PHASES = ['commit', 'distribute', 'finalize'];
+
+// Recorded in the session manifest; peers must agree on all of them, and
+// support its protocol version
+const CURVE = 'secp256k1';
+// Every participant samples its own polynomial locally, mixing in the words
+// of an extra source if it has one (recorded as `csprng+<source>`)
+const RANDOMNESS = 'csprng';
+
+// Peers opening a session by address look its access controller up by type
+useAccessController(DKGAccessController);
+
+// Fields of the session manifest that differ from the local options. Any
+// protocol version we can still speak will do. A session reshares another
+// one only if we meant to join a resharing of that one.
+const manifestMismatches = (manifest, expected) =>
+  [...new Set([...Object.keys(expected), 'previous'])].filter(field => field === 'version'
+    ? !(manifest.version >= MIN_PROTOCOL_VERSION && manifest.version <= expected.version)
+    : canonical(manifest[field]) !== canonical(expected[field]));
+
+// The manifest's link to the session a resharing session reshares, after
+// checking the `reshare` option against the new roster
+const reshareLink = ({ session, address, groupPublicKey, threshold, dealers }, roster, participantId) => {
+  if (session) {
+    address = session.address;
+    groupPublicKey = session.participant.groupPublicKey;
+    threshold = session.participant.threshold;
+    if (!groupPublicKey) {
+      throw new Error('The session to reshare has not completed');
+    }
+  }
+  if (!address || !groupPublicKey || !Number.isInteger(threshold) || threshold < 1) {
+    throw new Error('Resharing needs the old session, or its address, group public key and threshold');
+  }
+  if (!Array.isArray(dealers) || dealers.length === 0 || new Set(dealers).size !== dealers.length) {
+    throw new Error('Resharing needs a list of distinct dealers');
+  }
+  if (dealers.length < threshold || (session && dealers.some(id => !session.participant.roster.has(id)))) {
+    throw new Error(`Resharing needs at least ${threshold} dealers from the old roster`);
+  }
+  if (!session && dealers.includes(participantId)) {
+    throw new Error('A resharing dealer needs the old session to deal its share');
+  }
+  return { address, groupPublicKey, threshold, dealers: [...dealers].sort() };
+};
+
+// Waits for the session manifest and checks it pins the parameters we were
+// configured with
+const waitForManifest = async (participant, expected, timeout) => {
+  await waitForEvent(participant.events, 'message', () => participant.manifest !== null, {
+    timeout,
+    onTimeout: () => new Error(`Timeout after ${timeout}ms waiting for the session manifest`)
+  });
+
+  const mismatches = manifestMismatches(participant.manifest, expected);
+  if (mismatches.length > 0) {
+    const details = mismatches.map(field =>
+      `${field} (session ${JSON.stringify(participant.manifest[field])}, local ${JSON.stringify(expected[field])})`);
+    const error = new Error(`Session manifest does not match local config: ${details.join(', ')}`);
+    error.mismatches = mismatches;
+    throw error;
+  }
+};
+
+/**
+ * Creates (or joins) a DKG session backed by an OrbitDB events log.
+ *
+ * The creator passes a `name` and gets a new log writable by every
+ * participant; everyone else passes the creator's `address`. The creator
+ * writes a `session_manifest` as the log's first entry, pinning the curve,
+ * threshold, ordered roster, protocol version, mode, randomness source and
+ * phase deadlines. Joining peers wait for it and refuse to take part if it
+ * differs from their own options, throwing an error whose `mismatches`
+ * lists the fields that differ. A session started by an older client runs
+ * at its protocol version, which newer clients then write in (see
+ * message-schemas.js).
+ *
+ * run() advances through the phases as peers' entries arrive, and the
+ * session's `events` emitter reports on it:
+ *   'phase'     { phase, deadline }      a phase has started
+ *   'progress'  { phase, waiting, waitingFor }  who the phase still awaits
+ *   'complete'  result                   every phase finished
+ *   'failed'    { phase, error }         a phase failed or hit its deadline
+ *   'violation' { entry, type, claimed, signer, reason }  a peer's entry
+ *               was refused by the log's access controller (see
+ *               dkg-access-controller.js) or its `from` is not its signer
+ *   'equivocation' { sender, entries }  a peer wrote two conflicting
+ *               commitments or shares; it is disqualified if both were
+ *               in the log before every peer closed the justify phase
+ * A missed deadline fails with an error carrying `phase` and `waitingFor`.
+ *
+ * With `presence`, participants also send signed heartbeats on a pubsub
+ * topic of their own (see presence.js). onlineParticipants() then lists who
+ * is online, `events` emits 'presence' { participant, online } as peers
+ * come and go, and the commit phase only deals once every peer it still
+ * needs commitments from is online.
+ *
+ * Given `reshare`, the session instead moves the group key of a finished
+ * session to this session's roster and threshold (see resharing.js): its
+ * manifest links to the old session as `previous`, the listed dealers deal
+ * their old shares to the new roster, and run() resolves with a new share
+ * of the same group key. Old holders pass the old session; new members,
+ * which have none, pass its address, group public key and threshold. A
+ * dealer whose deal fails a holder's check must justify it, as in the DKG,
+ * and is left out if it cannot, the others going on without it.
+ *
+ * A participant whose device is lost gets its share back at the same
+ * index, in the same session (see share-recovery.js): at least threshold
+ * other holders call enrollDevice() naming its new device's identity, and
+ * the device opens the session by address with `recover`, standing in for
+ * the lost participant from then on. Its run() resolves with the recovered
+ * share once the helpers' contributions arrive.
+ *
+ * `view` answers queries about the log, such as commitments by dealer or
+ * open complaints, from indexes (see session-view.js).
+ *
+ * Given a `secretStore`, the participant saves its keys and polynomials
+ * there (under the log address) before committing to them, and its final
+ * share once the session completes. A participant that stops mid-protocol
+ * can then open the session again with the same store: it restores its
+ * secrets, rebuilds its state by replaying the log persisted in its
+ * OrbitDB directory, and run() continues from where it stopped, skipping
+ * whatever it had already written. One that finished can sign straight
+ * away. `resumed` tells whether saved secrets were found.
+ *
+ * @param {Object} options
+ * @param {Object} options.orbitdb The local OrbitDB instance.
+ * @param {number} options.threshold Number of shares needed to sign.
+ * @param {Array<string>} options.participants OrbitDB identity ids of every
+ * participant, including the local one, in any order.
+ * @param {string} [options.address] Address of an existing session log.
+ * @param {string} [options.name='dkg-session'] Name for a new session log.
+ * @param {string} [options.mode='feldman'] 'feldman', or 'pedersen' for
+ * the GJKR variant that stops a last-moving dealer from biasing the key.
+ * Every participant must use the same mode.
+ * @param {number} [options.timeout=30000] Default deadline in ms for each
+ * phase, and how long opening the session waits to catch up with the log
+ * and for the session manifest.
+ * @param {Object} [options.deadlines] Per-phase deadlines overriding
+ * `timeout`, e.g. { commit: 60000, justify: 10000 }. Phases are commit,
+ * distribute, verify, justify, extract (pedersen mode) and finalize.
+ * @param {Object} [options.secretStore] Where to keep the local secret
+ * material: anything with get(key) and set(key, value), synchronous or
+ * not, e.g. an unlocked keystore (see keystore.js) or, for tests, a Map.
+ * Without one a restarted participant cannot resume. A keystore locked
+ * while the session runs fails it with an error whose `keystoreLocked` is
+ * set.
+ * @param {boolean} [options.directDelivery=false] Take shares point to point
+ * over libp2p rather than through the log, and send them that way to peers
+ * that do too (see share-delivery.js). Only a receipt with the ciphertext's
+ * digest is logged; an unreachable recipient gets its share in the log.
+ * @param {boolean} [options.presence=false] Track which participants are
+ * online through heartbeats on the libp2p node's gossipsub.
+ * @param {Object} [options.reshare] Reshare a finished session: { session }
+ * (the old session, for its holders) or { address, groupPublicKey,
+ * threshold } (for new members), and `dealers`, at least the old threshold
+ * of old holders.
+ * A dealer need not be in the new roster: one leaving the group passes the
+ * old session and the new session's address, deals its share and is done
+ * once every new holder announced the unchanged group key.
+ * @param {Object} [options.recover] On a new device, recover a lost share:
+ * { participant, groupPublicKey }, the participant it replaces and the
+ * group key it expects. The device keeps passing it when it opens the
+ * session again.
+ * @param {Object} [options.randomness] An extra randomness source mixed
+ * into our polynomial's coefficients, on top of the local CSPRNG: { source,
+ * draw }, where `source` names it, e.g. 'chainlink-vrf', and draw(count)
+ * resolves with `count` random words (strings). The manifest records it, so
+ * every participant must pass one with the same source.
+ * @param {number} [options.paillierBits=2048] Paillier modulus size for
+ * threshold ECDSA signing: even, and at least 2048 bits, the least peers
+ * accept.
+ * @param {Function} [options.log=console.log] Progress logger.
+ * @return {Object} The session.
+ */
+const createDKGSession = async ({ orbitdb, threshold, participants, address, name = 'dkg-session', mode = 'feldman', timeout = 30000, deadlines: phaseDeadlines = {}, secretStore = null, directDelivery = false, presence: trackPresence = false, reshare = null, recover = null, randomness = null, paillierBits = 2048, log = console.log }) => {
+  if (!orbitdb) {
+    throw new Error('An OrbitDB instance is required');
+  }
+  const roster = createRoster(participants);
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > roster.size) {
+    throw new Error(`threshold must be an integer between 1 and ${roster.size}`);
+  }
+  if (!DKGParticipant.MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${DKGParticipant.MODES.join(', ')}`);
+  }
+  for (const [name, ms] of Object.entries(phaseDeadlines)) {
+    if (!PHASES.includes(name)) {
+      throw new Error(`Unknown phase ${name}, expected one of ${PHASES.join(', ')}`);
+    }
+    if (!Number.isFinite(ms) || ms <= 0) {
+      throw new Error(`Deadline for ${name} must be a positive number of ms`);
+    }
+  }
+  const deadlines = Object.fromEntries(PHASES.map(name => [name, phaseDeadlines[name] || timeout]));
+
+  if (recover) {
+    if (!address) {
+      throw new Error('A recovering device joins an existing session by address');
+    }
+    if (roster.has(orbitdb.identity.id)) {
+      throw new Error('A recovering device needs an identity outside the roster');
+    }
+    if (!recover.groupPublicKey) {
+      throw new Error('Recovery needs the group public key of the session');
+    }
+    if (trackPresence) {
+      throw new Error('Presence is not available on a recovering device');
+    }
+  }
+  const participantId = recover ? recover.participant : orbitdb.identity.id;
+  // An old holder can hand over its share in a resharing without staying
+  const departing = Boolean(reshare) && !roster.has(participantId) && Array.isArray(reshare.dealers) && reshare.dealers.includes(participantId);
+  if (!roster.has(participantId) && !departing) {
+    throw new Error(`Local identity ${participantId} is not a session participant`);
+  }
+  if (departing && (!address || trackPresence)) {
+    throw new Error('A dealer leaving the group joins the resharing session by address, without presence');
+  }
+  if (reshare && mode !== 'feldman') {
+    throw new Error('Resharing runs in feldman mode');
+  }
+  if (randomness && (typeof randomness.source !== 'string' || randomness.source.length === 0 || typeof randomness.draw !== 'function')) {
+    throw new Error('A randomness source needs a name and a draw(count) function');
+  }
+  const bitsError = checkPaillierBits(paillierBits);
+  if (bitsError) {
+    throw new Error(bitsError);
+  }
+  const previous = reshare ? reshareLink(reshare, roster, participantId) : null;
+
+  const db = address
+    ? await orbitdb.open(address)
+    : await orbitdb.open(name, {
+      AccessController: DKGAccessController({ write: roster.ids })
+    });
+
+  const secrets = secretStore ? await secretStore.get(db.address) : null;
+  if (secrets) {
+    log(`${participantId}: ♻️  Resuming session ${db.address} from saved secrets`);
+  }
+
+  const participant = new DKGParticipant({
+    participantId, db, identities: orbitdb.identities, threshold, roster, mode, secrets, secretStore, log,
+    entropy: randomness ? (count) => randomness.draw(count) : null
+  });
+  const resharer = previous ? new Resharer({ participant, oldSession: reshare.session || null, log }) : null;
+  const recovery = new ShareRecovery({ participant, timeout, log });
+  if (recover) {
+    participant.device = orbitdb.identity.id;
+  }
+  const delivery = directDelivery ? new ShareDelivery({ participant, libp2p: orbitdb.ipfs.libp2p, log }) : null;
+  const presence = trackPresence
+    ? new Presence({ pubsub: orbitdb.ipfs.libp2p.services.pubsub, topic: `${db.address}/presence`, identity: orbitdb.identity, identities: orbitdb.identities, roster, log })
+    : null;
+
+  const expected = {
+    version: PROTOCOL_VERSION,
+    curve: CURVE,
+    threshold,
+    participants: roster.ids,
+    mode,
+    randomness: randomness ? `${RANDOMNESS}+${randomness.source}` : RANDOMNESS,
+    deadlines,
+    ...(previous ? { previous } : {})
+  };
+
+  let view = null;
+  try {
+    if (delivery) await delivery.start();
+    if (presence) await presence.start();
+    await participant.catchUp(timeout);
+    if (!address && !participant.manifest) {
+      await participant.publish({ type: 'session_manifest', from: participantId, ...expected, timestamp: Date.now() });
+    }
+    await waitForManifest(participant, expected, timeout);
+    participant.version = participant.manifest.version;
+    view = await createSessionView({ db, log });
+  } catch (error) {
+    participant.stop();
+    if (delivery) await delivery.stop();
+    if (presence) presence.stop();
+    await db.close();
+    throw error;
+  }
+  const others = roster.others(participantId);
+  const schnorrSigner = new FROSTSigner({ participant, timeout, log });
+  const ecdsaSigner = new ECDSASigner({ participant, timeout, paillierBits, log });
+  const refresher = new ShareRefresher({ participant, timeout, log });
+
+  let running = null;
+  let phase = 'idle';
+  // Aborted by close(), failing whatever run() is waiting for at once
+  const closing = new AbortController();
+  let phaseDeadline = 0;
+  const events = new EventEmitter();
+  participant.events.on('violation', violation => events.emit('violation', violation));
+  participant.events.on('equivocation', equivocation => events.emit('equivocation', equivocation));
+  if (db.access.events) {
+    db.access.events.on('refused', violation => events.emit('violation', violation));
+  }
+  if (presence) {
+    presence.events.on('online', id => {
+      log(`${participantId}: 🟢 ${id} is online`);
+      events.emit('presence', { participant: id, online: true });
+    });
+    presence.events.on('offline', id => {
+      log(`${participantId}: 🔴 ${id} went offline`);
+      events.emit('presence', { participant: id, online: false });
+    });
+  }
+
+  // Resolves once `missing()` is empty, re-checked as log entries arrive
+  // (or as `emitter` emits `event`). Past the phase deadline it fails naming
+  // who is still missing, unless `soft`, where the phase goes on without them.
+  const waitUntil = (label, missing, { soft = false, emitter = participant.events, event = 'message' } = {}) => {
+    let reported = null;
+    return waitForEvent(emitter, event, () => {
+      const waitingFor = missing();
+      if (waitingFor.join(',') !== reported) {
+        reported = waitingFor.join(',');
+        events.emit('progress', { phase, waiting: label, waitingFor });
+      }
+      return waitingFor.length === 0;
+    }, {
+      timeout: Math.max(0, phaseDeadline - Date.now()),
+      onTimeout: () => {
+        const waitingFor = missing();
+        const error = new Error(`${phase} phase deadline (${deadlines[phase]}ms) passed waiting for ${label} from ${waitingFor.join(', ')}`);
+        error.phase = phase;
+        error.waitingFor = waitingFor;
+        return error;
+      },
+      signal: closing.signal
+    }).catch(error => {
+      if (!soft || !error.waitingFor) throw error;
+      log(`${participantId}: ⏰ ${error.message}`);
+    });
+  };
+
+  const missingPeers = (isDone, peers = others) => () => peers.filter(id => !isDone(id));
+
+  let qualified = null;
+  let finalShare = null;
+
+  const phases = {
+    // Generate polynomial and broadcast commitments
+    commit: async () => {
+      // Dealing needs all n; don't start while a peer we still need
+      // commitments from is unreachable
+      if (presence) {
+        await waitUntil('presence', missingPeers(id => participant.publicCommitments.has(id) || presence.isOnline(id)), {
+          emitter: presence.events,
+          event: 'online'
+        });
+      }
+      await participant.generatePolynomialAndShares();
+      await waitUntil('public commitments', missingPeers(id => participant.publicCommitments.has(id)));
+    },
+
+    // Distribute shares
+    distribute: async () => {
+      await participant.distributeShares();
+      await waitUntil('shares', missingPeers(id => participant.receivedShares.has(id) || participant.complaintsFiled.has(id)));
+    },
+
+    // Verify shares and wait for everyone else's verdicts
+    verify: async () => {
+      await participant.verifyReceivedShares();
+      await waitUntil('share verifications', missingPeers(id =>
+        roster.ids.every(about => about === id || participant.verifications.has(`${id}->${about}`))
+      ));
+    },
+
+    // Answer complaints against us and give accused dealers until the
+    // deadline to answer theirs; silent dealers are disqualified. QUAL is
+    // decided on what the log holds once every peer has stopped waiting,
+    // so that all decide alike.
+    justify: async () => {
+      await participant.justifyComplaints();
+      await waitUntil('justifications', () => [...new Set(
+        participant.pendingJustifications().map(complaint => complaint.split('->')[1])
+      )], { soft: true });
+
+      // Version 1 peers do not know the message, so each decides on what it has seen
+      if (participant.version < 2) {
+        qualified = participant.determineQualified();
+        return;
+      }
+      await participant.closeJustifications();
+      // Peers stop waiting at their own deadlines; give them one more to follow
+      phaseDeadline = Date.now() + deadlines.justify;
+      await waitUntil('closed justify phases', missingPeers(id => participant.closedJustifications.has(id)));
+      qualified = participant.determineQualified(await participant.qualificationInputs());
+    },
+
+    // Pedersen mode: extract the Feldman commitments of QUAL, reconstructing
+    // in public any dealer whose commitments do not match
+    extract: async () => {
+      await participant.publishExtractionCommitments();
+      const dealers = qualified.filter(id => id !== participantId);
+      await waitUntil('extraction commitments', missingPeers(id => participant.extractionCommitments.has(id), dealers), { soft: true });
+
+      await participant.verifyExtractionCommitments();
+      await waitUntil('extraction verifications', missingPeers(id => participant.extractionVerified.has(id)));
+
+      await participant.publishReconstructionShares();
+      await waitUntil('reconstruction shares', () => participant.pendingReconstructions());
+      participant.extractCommitments();
+    },
+
+    // Compute the final share over QUAL, derive the group key and check
+    // every peer derived the same
+    finalize: async () => {
+      finalShare = participant.computeFinalShare();
+      participant.computeGroupKey();
+      await participant.publishGroupKey();
+
+      // Dealers we had to reconstruct are known to be faulty; don't wait on them
+      const faulty = mode === 'pedersen' ? participant.reconstructionTargets() : [];
+      await waitUntil('group keys', missingPeers(id => participant.groupKeyClaims.has(id), others.filter(id => !faulty.includes(id))));
+
+      const mismatches = participant.groupKeyMismatches();
+      if (mismatches.length > 0) {
+        throw new Error(`Group key mismatch with ${mismatches.join(', ')}`);
+      }
+
+      // Keep the share for signing later
+      await participant.saveSecrets();
+    }
+  };
+
+  // A resharing session's phases: holders publish encryption keys, dealers
+  // deal their old shares, holders check theirs, accused dealers justify
+  // their deals, and holders derive the same key from the ones that stand
+  const resharePhases = {
+    commit: async () => {
+      await resharer.publishKey();
+      await waitUntil('encryption keys', missingPeers(id => resharer.keyed.has(id)));
+    },
+
+    distribute: async () => {
+      await resharer.deal();
+      await waitUntil('reshared shares', missingPeers(id => resharer.dealt.has(id), previous.dealers));
+    },
+
+    verify: async () => {
+      await resharer.verify();
+      await waitUntil('reshare verifications', missingPeers(id => resharer.verifications.has(id)));
+    },
+
+    // As in the DKG's justify phase, QUAL is decided on what the log holds
+    // once every holder has stopped waiting for justifications
+    justify: async () => {
+      await resharer.justify();
+      await waitUntil('reshare justifications', () => resharer.unanswered(), { soft: true });
+      await resharer.closeJustifications();
+      phaseDeadline = Date.now() + deadlines.justify;
+      await waitUntil('closed justify phases', missingPeers(id => resharer.closed.has(id)));
+      qualified = await resharer.qualify();
+    },
+
+    finalize: async () => {
+      finalShare = resharer.finalize(qualified);
+      await participant.publishGroupKey();
+      await waitUntil('group keys', missingPeers(id => participant.groupKeyClaims.has(id)));
+
+      const mismatches = participant.groupKeyMismatches();
+      if (mismatches.length > 0) {
+        throw new Error(`Group key mismatch with ${mismatches.join(', ')}`);
+      }
+      await participant.saveSecrets();
+    }
+  };
+
+  // A departing dealer's phases: deal our old share once the new holders
+  // published their keys, answer complaints against it, and wait for every
+  // holder to decide on the dealers and announce the group key
+  const departPhases = {
+    commit: async () => {
+      await waitUntil('encryption keys', missingPeers(id => resharer.keyed.has(id)));
+    },
+
+    distribute: async () => {
+      await resharer.deal();
+    },
+
+    verify: async () => {
+      await waitUntil('reshared shares', missingPeers(id => resharer.dealt.has(id), previous.dealers));
+      await waitUntil('reshare verifications', missingPeers(id => resharer.verifications.has(id)));
+    },
+
+    justify: async () => {
+      await resharer.justify();
+      await waitUntil('reshare justifications', () => resharer.unanswered(), { soft: true });
+      phaseDeadline = Date.now() + deadlines.justify;
+      await waitUntil('closed justify phases', missingPeers(id => resharer.closed.has(id)));
+      qualified = await resharer.qualify();
+    },
+
+    finalize: async () => {
+      participant.groupPublicKey = previous.groupPublicKey;
+      participant.ethereumAddress = toEthereumAddress(previous.groupPublicKey);
+      await waitUntil('group keys', missingPeers(id => participant.groupKeyClaims.has(id)));
+
+      const mismatches = participant.groupKeyMismatches();
+      if (mismatches.length > 0) {
+        throw new Error(`Group key mismatch with ${mismatches.join(', ')}`);
+      }
+      log(`${participantId}: 👋 Handed our share over to ${roster.size} holders`);
+    }
+  };
+
+  // A recovering device's phases: wait until the helpers enroll it,
+  // publish its key and add up their contributions
+  const device = participant.device;
+  const recoveryPhases = {
+    commit: async () => {
+      await waitUntil('enrollments', () => recovery.pendingHelpers(device));
+      const { participant: replaced } = recovery.recoveryOf(device);
+      if (replaced !== participantId) {
+        throw new Error(`${device} was enrolled in place of ${replaced}, not ${participantId}`);
+      }
+      await recovery.publishKey();
+    },
+
+    distribute: async () => {
+      const { helpers } = recovery.recoveryOf(device);
+      await waitUntil('recovery contributions', missingPeers(id => recovery.contributed(device, id), helpers));
+    },
+
+    finalize: async () => {
+      finalShare = await recovery.finalize(recover.groupPublicKey);
+    }
+  };
+
+  const execute = async () => {
+    const [steps, order] = recover ? [recoveryPhases, RECOVERY_PHASES]
+      : previous ? [departing ? departPhases : resharePhases, RESHARE_PHASES]
+        : [phases, PHASES];
+    for (const name of order) {
+      if (name === 'extract' && mode !== 'pedersen') continue;
+      if (closing.signal.aborted) throw closing.signal.reason;
+
+      phase = name;
+      phaseDeadline = Date.now() + deadlines[name];
+      events.emit('phase', { phase, deadline: deadlines[name] });
+      await steps[name]();
+    }
+
+    phase = 'done';
+    const result = {
+      participantId,
+      mode,
+      index: roster.has(participantId) ? roster.indexOf(participantId) : null,
+      finalShare,
+      qualified,
+      groupPublicKey: participant.groupPublicKey,
+      address: participant.ethereumAddress,
+      verificationShares: Object.fromEntries(participant.verificationShares)
+    };
+    events.emit('complete', result);
+    return result;
+  };
+
+  /**
+   * Runs every phase of the protocol. Resolves with the local participant's
+   * result once all peers have verified each other's shares. Calling run()
+   * again returns the same promise.
+   */
+  const run = () => {
+    running = running || execute().catch(error => {
+      // Whatever a closed session was doing fails for that reason
+      if (closing.signal.aborted) error = closing.signal.reason;
+      const failedIn = phase;
+      phase = 'failed';
+      events.emit('failed', { phase: failedIn, error });
+      throw error;
+    });
+    return running;
+  };
+
+  /**
+   * Signs `message` with FROST together with `options.signers` (at least
+   * threshold participants, each calling this with the same arguments).
+   * Resolves with a Schnorr signature { R, z } valid under the group key.
+   */
+  const signSchnorr = (message, options) => schnorrSigner.sign(message, options);
+
+  /**
+   * Signs a 32-byte `digest` with threshold ECDSA together with
+   * `options.signers`. Resolves with { r, s, v, signature } that
+   * ethers.utils.recoverAddress(digest, signature) maps to the group address.
+   */
+  const signECDSA = (digest, options) => ecdsaSigner.sign(digest, options);
+
+  /**
+   * Replaces the local share with a fresh one for the same group key,
+   * together with every other participant (see share-refresh.js). Shares
+   * from before the refresh no longer combine with those after it.
+   * Resolves with { epoch, finalShare, verificationShares }.
+   */
+  const refresh = (options) => refresher.refresh(options);
+
+  /**
+   * Helps recover a lost participant's share onto its new device (see
+   * share-recovery.js), together with every helper in `options.helpers`.
+   * Resolves once our contribution is written; the device's run() then
+   * completes. Refresh afterwards so the lost device's share stops working.
+   */
+  const enrollDevice = (options) => recovery.enroll(options);
+
+  /**
+   * Participants whose heartbeats arrived within the last few seconds,
+   * ourselves included, in roster order. Needs the `presence` option.
+   */
+  const onlineParticipants = () => {
+    if (!presence) {
+      throw new Error('Presence is not enabled for this session');
+    }
+    return presence.online();
+  };
+
+  /**
+   * Closes the session's log and helpers. A run() still in progress fails
+   * at once with a 'Session closed' error instead of waiting for its
+   * deadline.
+   */
+  const close = async () => {
+    const error = new Error('Session closed');
+    error.phase = phase;
+    closing.abort(error);
+    if (running) await running.catch(() => {});
+    view.close();
+    participant.stop();
+    if (delivery) await delivery.stop();
+    if (presence) presence.stop();
+    await db.close();
+  };
+
+  return {
+    address: db.address,
+    db,
+    participant,
+    view,
+    roster,
+    manifest: participant.manifest,
+    previous: participant.manifest.previous || null,
+    resumed: Boolean(secrets),
+    events,
+    get phase() {
+      return phase;
+    },
+    run,
+    signSchnorr,
+    signECDSA,
+    refresh,
+    enrollDevice,
+    onlineParticipants,
+    getStatus: () => participant.getStatus(),
+    close
+  };
+};
+
+export default createDKGSession;
@@ -0,0 +1,422 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import * as field from './scalar-field.js';
+import * as paillier from './paillier.js';
+import * as proofs from './paillier-proofs.js';
+import * as tecdsa from './threshold-ecdsa.js';
+import waitForEvent from './utils/wait-for-event.js';
+import canonical from './utils/canonical-json.js';
+
+const ec = new EC.ec('secp256k1');
+
+const toHex = (value) => value.toString(16);
+
+const fromHex = (hex) => {
+  if (typeof hex !== 'string' || !/^[0-9a-f]+$/i.test(hex)) {
+    throw new Error(`Invalid hex value: ${hex}`);
+  }
+  return BigInt('0x' + hex);
+};
+
+// The first protocol version whose ECDSA rounds carry their proofs
+const ECDSA_VERSION = 3;
+
+// An error saying `what` is wrong, naming the signers at fault
+const cheating = (what, cheaters) => {
+  const error = new Error(`${what} from ${cheaters.join(', ')}`);
+  error.cheaters = cheaters;
+  return error;
+};
+
+/**
+ * Runs threshold ECDSA signing rounds (see threshold-ecdsa.js) over a
+ * finished DKG session's log, producing Ethereum-compatible (r, s, v)
+ * signatures for the group address.
+ *
+ *   0. ecdsa_key              Paillier key, with its key proof
+ *   1. ecdsa_commitment       Enc(k_i) with a range proof for each signer,
+ *                             commitment to Γ_i
+ *   2. ecdsa_mta              MtA responses for k_i·γ_j and k_i·w_j, with
+ *                             their proofs
+ *   3. ecdsa_delta            δ_i and the opening of Γ_i
+ *   4. ecdsa_r_check          R^{k_i}, proven against Enc(k_i)
+ *   5. ecdsa_signature_share  s_i, once the R^{k_i} add up to g
+ *
+ * A signer whose key or proof does not check out fails the signature, with
+ * an error whose `cheaters` names it, before anyone reveals s_i. A request's
+ * messages are dropped once it succeeds or fails, and its id is not used
+ * again.
+ */
+class ECDSASigner {
+  constructor({ participant, timeout = 30000, paillierBits = 2048, log = console.log }) {
+    const bitsError = tecdsa.checkPaillierBits(paillierBits);
+    if (bitsError) {
+      throw new Error(bitsError);
+    }
+    this.participant = participant;
+    this.timeout = timeout;
+    this.paillierBits = paillierBits;
+    this.log = log;
+    this.paillierKey = null;
+    this.keyProof = null;
+    this.verifiedKeys = new Set(); // peers' ecdsa_key contents already checked
+    this.requests = new Map(); // requestId => received round messages, while signing
+    this.settled = new Set(); // request ids signed or failed, never used again
+
+    const rounds = {
+      ecdsa_key: 'keys',
+      ecdsa_commitment: 'commitments',
+      ecdsa_mta: 'mta',
+      ecdsa_delta: 'deltas',
+      ecdsa_r_check: 'rChecks',
+      ecdsa_signature_share: 'shares'
+    };
+    for (const [type, round] of Object.entries(rounds)) {
+      participant.addMessageHandler(type, data => this.onRoundMessage(round, data));
+    }
+  }
+
+  request(requestId) {
+    if (!this.requests.has(requestId)) {
+      this.requests.set(requestId, {
+        keys: new Map(),
+        commitments: new Map(),
+        mta: new Map(),
+        deltas: new Map(),
+        rChecks: new Map(),
+        shares: new Map()
+      });
+    }
+    return this.requests.get(requestId);
+  }
+
+  onRoundMessage(round, data) {
+    if (!this.participant.roster.has(data.from) || this.settled.has(data.requestId)) return;
+
+    const messages = this.request(data.requestId)[round];
+    if (!messages.has(data.from)) {
+      messages.set(data.from, data);
+    }
+  }
+
+  // Binds a proof to this session and request, and to who proves what to whom
+  context(requestId, prover, verifier, what) {
+    return `${this.participant.db.address}|ecdsa|${requestId}|${prover}|${verifier}|${what}`;
+  }
+
+  // Our key proof is bound to the session and us, not to a request, so
+  // we make it, and peers check it, once
+  keyContext(signer) {
+    return `${this.participant.db.address}|ecdsa-key|${signer}`;
+  }
+
+  // What is wrong with a signer's ecdsa_key, or null
+  checkKey(id, { paillierN, keyProof }) {
+    const seen = canonical({ id, paillierN, keyProof });
+    if (this.verifiedKeys.has(seen)) return null;
+    const N = fromHex(paillierN);
+    const error = tecdsa.checkPaillierKey(N) || proofs.verifyKey(N, keyProof, this.keyContext(id));
+    if (!error) {
+      this.verifiedKeys.add(seen);
+    }
+    return error;
+  }
+
+  // Resolves once every signer's entry has arrived, checked as entries come in
+  waitForSigners(label, signers, isDone) {
+    const missing = () => signers.filter(id => !isDone(id));
+    return waitForEvent(this.participant.events, 'message', () => missing().length === 0, {
+      timeout: this.timeout,
+      onTimeout: () => {
+        const error = new Error(`Timeout after ${this.timeout}ms waiting for ${label} from ${missing().join(', ')}`);
+        error.waitingFor = missing();
+        return error;
+      }
+    });
+  }
+
+  /**
+   * Signs a 32-byte digest together with the other `signers`, e.g. an
+   * Ethereum transaction hash or ethers.utils.hashMessage(message).
+   *
+   * @param {string} digest 0x-prefixed 32-byte hex.
+   * @param {Object} options
+   * @param {Array<string>} options.signers Identity ids of at least
+   * `threshold` participants, including the local one.
+   * @param {string} [options.requestId] Shared id for this signature. The
+   * default is derived from the digest and signers, so signing the same
+   * digest with the same signers twice needs an explicit id.
+   * @return {Object} { r, s, v, signature, requestId, signers }
+   */
+  async sign(digest, { signers, requestId } = {}) {
+    const { participant } = this;
+    const { roster, participantId } = participant;
+
+    if (!participant.finalShareValue || !participant.ethereumAddress) {
+      throw new Error('DKG has not completed');
+    }
+    if (participant.version < ECDSA_VERSION) {
+      throw new Error(`Threshold ECDSA needs a session at protocol version ${ECDSA_VERSION} or later`);
+    }
+    if (!ethers.utils.isHexString(digest, 32)) {
+      throw new Error('digest must be 0x-prefixed 32-byte hex');
+    }
+    if (!Array.isArray(signers) || signers.length < participant.threshold) {
+      throw new Error(`At least ${participant.threshold} signers are required`);
+    }
+    for (const id of signers) {
+      roster.indexOf(id);
+    }
+    const signerIds = [...new Set(signers)].sort((a, b) => roster.indexOf(a) - roster.indexOf(b));
+    if (signerIds.length !== signers.length) {
+      throw new Error('Duplicate signers');
+    }
+    if (!signerIds.includes(participantId)) {
+      throw new Error(`${participantId} is not one of the signers`);
+    }
+
+    const others = signerIds.filter(id => id !== participantId);
+    const messageDigest = digest.slice(2).toLowerCase();
+    requestId = requestId || crypto.createHash('sha256').update(`ecdsa|${messageDigest}|${signerIds.join(',')}`).digest('hex');
+    // Round messages of a settled request are dropped: its id cannot sign again
+    if (this.settled.has(requestId)) {
+      throw new Error(`ECDSA request ${requestId} already signed or failed; use a new requestId`);
+    }
+    const state = this.request(requestId);
+
+    // Whatever happens, the request's messages go; its k_i, γ_i and MtA
+    // shares live only in this call
+    try {
+      // Paillier keys and their proofs are expensive to make, so one is kept
+      // per signer
+      if (!this.paillierKey) {
+        this.paillierKey = paillier.generateKeyPair(this.paillierBits);
+        this.keyProof = proofs.proveKey(this.paillierKey.privateKey, this.keyContext(participantId));
+      }
+      const { publicKey, privateKey } = this.paillierKey;
+      const ownSetup = proofs.ringPedersen(publicKey.N, this.keyProof);
+
+      // Round 0: Paillier keys, checked before anything is encrypted under them
+      await participant.publish({
+        type: 'ecdsa_key',
+        from: participantId,
+        requestId,
+        paillierN: toHex(publicKey.N),
+        keyProof: this.keyProof,
+        timestamp: Date.now()
+      });
+
+      await this.waitForSigners('ECDSA Paillier keys', signerIds, id => state.keys.has(id));
+
+      const keyErrors = new Map(others.map(id => [id, this.checkKey(id, state.keys.get(id))]).filter(([, error]) => error));
+      if (keyErrors.size > 0) {
+        throw cheating(`Invalid Paillier key (${[...keyErrors.values()].join('; ')})`, [...keyErrors.keys()]);
+      }
+      const peers = new Map(others.map(id => {
+        const { paillierN, keyProof } = state.keys.get(id);
+        const N = fromHex(paillierN);
+        return [id, { publicKey: { N }, setup: proofs.ringPedersen(N, keyProof) }];
+      }));
+
+      const k = field.random();
+      const gamma = field.random();
+      const Gamma = ec.g.mul(field.toHex(gamma)).encode('hex', true);
+      const blind = crypto.randomBytes(32).toString('hex');
+      const indices = signerIds.map(id => roster.indexOf(id));
+      const w = tecdsa.additiveShare(roster.indexOf(participantId), indices, participant.finalShareValue);
+      const kNonce = paillier.randomUnit(publicKey.N);
+      const encryptedK = paillier.encrypt(publicKey, k, kNonce);
+
+      // Round 1: encrypted k_i, proven in range to each signer against its
+      // ring-Pedersen parameters, and a commitment to Γ_i
+      const rangeProofs = {};
+      for (const [id, { setup }] of peers) {
+        rangeProofs[id] = proofs.proveEncryption({
+          N: publicKey.N, c: encryptedK, x: k, r: kNonce, verifier: setup, context: this.context(requestId, participantId, id, 'k')
+        });
+      }
+      await participant.publish({
+        type: 'ecdsa_commitment',
+        from: participantId,
+        requestId,
+        digest: messageDigest,
+        signers: signerIds,
+        encryptedK: toHex(encryptedK),
+        rangeProofs,
+        gammaCommitment: tecdsa.commitPoint(Gamma, blind),
+        timestamp: Date.now()
+      });
+
+      await this.waitForSigners('ECDSA commitments', signerIds, id => state.commitments.has(id));
+
+      for (const [id, commitment] of state.commitments) {
+        if (commitment.digest !== messageDigest || !Array.isArray(commitment.signers) || commitment.signers.join(',') !== signerIds.join(',')) {
+          throw new Error(`${id} committed to a different digest or signer set`);
+        }
+      }
+      const encryptedKs = new Map(others.map(id => [id, fromHex(state.commitments.get(id).encryptedK)]));
+      const outOfRange = others.filter(id => !proofs.verifyEncryption({
+        N: peers.get(id).publicKey.N,
+        c: encryptedKs.get(id),
+        verifier: ownSetup,
+        context: this.context(requestId, id, participantId, 'k'),
+        proof: state.commitments.get(id).rangeProofs[participantId]
+      }));
+      if (outOfRange.length > 0) {
+        throw cheating('Invalid range proof for Enc(k)', outOfRange);
+      }
+
+      // Round 2: answer every other signer's Enc(k_j) with MtA responses for
+      // k_j·γ_i and k_j·w_i, proven against its parameters, the w_i one
+      // against g^{w_i}, keeping our additive halves β
+      let delta = field.mul(k, gamma);
+      let sigma = field.mul(k, w);
+      const responses = {};
+
+      for (const [id, { publicKey: peerKey, setup }] of peers) {
+        const encryptedPeerK = encryptedKs.get(id);
+        const gammaResponse = tecdsa.mtaRespond(peerKey, encryptedPeerK, gamma, {
+          verifier: setup, context: this.context(requestId, participantId, id, 'gamma')
+        });
+        const wResponse = tecdsa.mtaRespond(peerKey, encryptedPeerK, w, {
+          verifier: setup, check: true, context: this.context(requestId, participantId, id, 'w')
+        });
+        delta = field.add(delta, gammaResponse.beta);
+        sigma = field.add(sigma, wResponse.beta);
+
+        responses[id] = {
+          gamma: toHex(gammaResponse.ciphertext),
+          w: toHex(wResponse.ciphertext),
+          gammaProof: gammaResponse.proof,
+          wProof: wResponse.proof
+        };
+      }
+
+      await participant.publish({
+        type: 'ecdsa_mta',
+        from: participantId,
+        requestId,
+        responses,
+        timestamp: Date.now()
+      });
+
+      await this.waitForSigners('ECDSA MtA responses', others, id => state.mta.has(id));
+
+      // Check and decrypt the responses addressed to us to get our α halves
+      const badResponses = [];
+      for (const id of others) {
+        const response = (state.mta.get(id).responses || {})[participantId];
+        if (!response) {
+          throw new Error(`${id} sent no MtA response to ${participantId}`);
+        }
+        const W = tecdsa.additivePublicShare(roster.indexOf(id), indices, participant.verificationShares.get(id));
+        const checks = [
+          { d: fromHex(response.gamma), proof: response.gammaProof, what: 'gamma', X: null },
+          { d: fromHex(response.w), proof: response.wProof, what: 'w', X: W }
+        ];
+        if (!checks.every(({ d, proof, what, X }) => proofs.verifyAffine({
+          N: publicKey.N, c: encryptedK, d, verifier: ownSetup, X, context: this.context(requestId, id, participantId, what), proof
+        }))) {
+          badResponses.push(id);
+          continue;
+        }
+        delta = field.add(delta, tecdsa.mtaFinalize(privateKey, checks[0].d));
+        sigma = field.add(sigma, tecdsa.mtaFinalize(privateKey, checks[1].d));
+      }
+      if (badResponses.length > 0) {
+        throw cheating('Invalid MtA response proof', badResponses);
+      }
+
+      // Round 3: publish δ_i and open Γ_i
+      await participant.publish({
+        type: 'ecdsa_delta',
+        from: participantId,
+        requestId,
+        delta: field.toHex(delta),
+        Gamma,
+        blind,
+        timestamp: Date.now()
+      });
+
+      await this.waitForSigners('ECDSA delta shares', signerIds, id => state.deltas.has(id));
+
+      const cheaters = signerIds.filter(id => {
+        const { Gamma, blind } = state.deltas.get(id);
+        return tecdsa.commitPoint(Gamma, blind) !== state.commitments.get(id).gammaCommitment;
+      });
+      if (cheaters.length > 0) {
+        throw cheating('Γ commitment not opened correctly', cheaters);
+      }
+
+      const totalDelta = signerIds.reduce((sum, id) => field.add(sum, field.fromHex(state.deltas.get(id).delta)), 0n);
+      const R = tecdsa.computeR(signerIds.map(id => state.deltas.get(id).Gamma), totalDelta);
+      const r = field.mod(BigInt('0x' + R.getX().toString(16)));
+
+      // Round 4: R^{k_i}, proven against Enc(k_i) to each signer, so no s_i
+      // is revealed unless R and every δ_i are right
+      const rProofs = {};
+      for (const [id, { setup }] of peers) {
+        rProofs[id] = proofs.proveEncryption({
+          N: publicKey.N, c: encryptedK, x: k, r: kNonce, verifier: setup, base: R, context: this.context(requestId, participantId, id, 'R')
+        });
+      }
+      await participant.publish({
+        type: 'ecdsa_r_check',
+        from: participantId,
+        requestId,
+        Rk: R.mul(field.toHex(k)).encode('hex', true),
+        proofs: rProofs,
+        timestamp: Date.now()
+      });
+
+      await this.waitForSigners('ECDSA R checks', signerIds, id => state.rChecks.has(id));
+
+      const rPoints = new Map(signerIds.map(id => [id, ec.curve.decodePoint(state.rChecks.get(id).Rk, 'hex')]));
+      const unproven = others.filter(id => !proofs.verifyEncryption({
+        N: peers.get(id).publicKey.N,
+        c: encryptedKs.get(id),
+        verifier: ownSetup,
+        base: R,
+        X: rPoints.get(id),
+        context: this.context(requestId, id, participantId, 'R'),
+        proof: state.rChecks.get(id).proofs[participantId]
+      }));
+      if (unproven.length > 0) {
+        throw cheating('Invalid proof for R^k', unproven);
+      }
+      if (!tecdsa.checkR([...rPoints.values()])) {
+        throw new Error('R^k shares do not add up to g: a δ share is wrong');
+      }
+
+      // Round 5: publish s_i; k and σ are dropped afterwards
+      const s = tecdsa.signatureShare({ digest: messageDigest, k, sigma, r });
+
+      await participant.publish({
+        type: 'ecdsa_signature_share',
+        from: participantId,
+        requestId,
+        s: field.toHex(s),
+        timestamp: Date.now()
+      });
+
+      await this.waitForSigners('ECDSA signature shares', signerIds, id => state.shares.has(id));
+
+      const signature = tecdsa.combineSignature(R, signerIds.map(id => field.fromHex(state.shares.get(id).s)));
+      const serialized = ethers.utils.joinSignature(signature);
+
+      if (ethers.utils.recoverAddress(digest, serialized) !== participant.ethereumAddress) {
+        throw new Error('Threshold ECDSA signature does not recover to the group address');
+      }
+
+      this.log(`${participantId}: ✍️  ECDSA signature ${requestId.slice(0, 10)}... complete`);
+
+      return { ...signature, signature: serialized, requestId, signers: signerIds };
+    } finally {
+      this.requests.delete(requestId);
+      this.settled.add(requestId);
+    }
+  }
+}
+
+export default ECDSASigner;
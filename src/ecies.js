@@ -0,0 +1,94 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * ECIES over secp256k1: an ephemeral ECDH key agreement with the
+ * recipient's public key, HKDF-SHA256 to derive the key and AES-256-GCM to
+ * encrypt and authenticate. The optional `aad` is authenticated but not
+ * encrypted; the protocol uses it to bind a ciphertext to its sender and
+ * recipient so a copied or re-addressed entry fails to decrypt.
+ */
+
+const KDF_INFO = Buffer.from('dkg-orbitdb/ecies/v1');
+
+const deriveKey = (sharedPoint, ephemeralPublicKey) => {
+  const sharedSecret = Buffer.from(sharedPoint.getX().toArray('be', 32));
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.from(ephemeralPublicKey, 'hex'), KDF_INFO, 32));
+};
+
+// Decodes a hex public key, rejecting encodings that are not on the curve
+const decodePublicKey = (publicKey) => {
+  let key;
+  try {
+    key = ec.keyFromPublic(publicKey, 'hex');
+  } catch {
+    throw new Error('Invalid public key encoding');
+  }
+  if (!key.validate().result) {
+    throw new Error('Public key is not on secp256k1');
+  }
+  return key.getPublic();
+};
+
+const toKeyPair = (privateKey) =>
+  typeof privateKey === 'string' ? ec.keyFromPrivate(privateKey, 'hex') : privateKey;
+
+/**
+ * Encrypts `plaintext` to the holder of `recipientPublicKey`.
+ * @param {string} recipientPublicKey Recipient's public key as hex.
+ * @param {string|Buffer} plaintext Data to encrypt.
+ * @param {string} [aad=''] Additional authenticated data.
+ * @return {Object} { ephemeralPublicKey, iv, ciphertext, tag }, all hex.
+ */
+export const encrypt = (recipientPublicKey, plaintext, aad = '') => {
+  const recipient = decodePublicKey(recipientPublicKey);
+  const ephemeral = ec.genKeyPair();
+  const ephemeralPublicKey = ephemeral.getPublic(true, 'hex');
+  const key = deriveKey(recipient.mul(ephemeral.getPrivate()), ephemeralPublicKey);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    ephemeralPublicKey,
+    iv: iv.toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex')
+  };
+};
+
+/**
+ * Decrypts a payload produced by encrypt(). Throws if the payload is
+ * malformed, was encrypted to another key, or fails authentication.
+ * @param {Object|string} privateKey Elliptic key pair or private key hex.
+ * @param {Object} payload { ephemeralPublicKey, iv, ciphertext, tag }.
+ * @param {string} [aad=''] The additional data used when encrypting.
+ * @return {Buffer} The plaintext.
+ */
+export const decrypt = (privateKey, payload, aad = '') => {
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Malformed ECIES payload');
+  }
+  const { ephemeralPublicKey, iv, ciphertext, tag } = payload;
+  for (const field of [ephemeralPublicKey, iv, ciphertext, tag]) {
+    if (typeof field !== 'string' || !/^[0-9a-fA-F]*$/.test(field)) {
+      throw new Error('Malformed ECIES payload');
+    }
+  }
+
+  const ephemeral = decodePublicKey(ephemeralPublicKey);
+  const key = deriveKey(ephemeral.mul(toKeyPair(privateKey).getPrivate()), ephemeralPublicKey);
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+  } catch {
+    throw new Error('ECIES authentication failed');
+  }
+};
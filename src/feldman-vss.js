@@ -0,0 +1,49 @@
+import EC from 'elliptic';
+import { toHex, mod } from './scalar-field.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Feldman verifiable secret sharing over secp256k1: a dealer publishes
+ * C_i = g^{a_i} for each coefficient of its polynomial, and anyone can then
+ * check a share (x, f(x)) against those commitments without learning f.
+ */
+
+// Public commitments g^{a_i} for each polynomial coefficient
+export const commit = (coefficients) =>
+  coefficients.map(coeff => ec.g.mul(toHex(coeff)).encode('hex'));
+
+// Evaluates the committed polynomial "in the exponent": ∏ C_i^{x^i} = g^{f(x)}
+export const evaluateCommitments = (commitments, x) => {
+  const point = mod(x);
+  let result = ec.curve.point(null, null); // Point at infinity (identity)
+  for (let i = commitments.length - 1; i >= 0; i--) {
+    const commitment = ec.curve.decodePoint(commitments[i], 'hex');
+    result = result.mul(toHex(point)).add(commitment);
+  }
+  return result;
+};
+
+// Checks g^{share.y} == ∏ C_i^{share.x^i}
+export const verifyShare = (share, commitments) => {
+  const leftSide = ec.g.mul(share.y);
+  const rightSide = evaluateCommitments(commitments, share.x);
+  return leftSide.eq(rightSide);
+};
+
+// A polynomial with a zero constant term, as dealt in a share refresh, is
+// committed without C_0: g^0 is the point at infinity, which has no point
+// encoding. Its commitments are g^{a_1}, ..., g^{a_{t-1}}.
+export const commitZero = (coefficients) => {
+  if (mod(coefficients[0]) !== 0n) {
+    throw new Error('Polynomial has a non-zero constant term');
+  }
+  return commit(coefficients.slice(1));
+};
+
+// ∏_{i>=1} C_i^{x^i} = (∏_{i>=1} C_i^{x^(i-1)})^x
+export const evaluateZeroCommitments = (commitments, x) => evaluateCommitments(commitments, x).mul(toHex(mod(x)));
+
+// Checks g^{share.y} == ∏_{i>=1} C_i^{share.x^i}
+export const verifyZeroShare = (share, commitments) =>
+  ec.g.mul(share.y).eq(evaluateZeroCommitments(commitments, share.x));
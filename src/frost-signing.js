@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import * as field from './scalar-field.js';
+import * as frost from './frost.js';
+import waitForEvent from './utils/wait-for-event.js';
+
+/**
+ * Runs FROST signing rounds over a finished DKG session's log.
+ *
+ * Every signer calls sign() with the same message and signer set. Nonce
+ * commitments and signature shares are exchanged as log entries, keyed by
+ * a request id so several signatures can be produced over one session.
+ * A request's messages are dropped once it succeeds or fails, and its id
+ * is not used again.
+ */
+class FROSTSigner {
+  constructor({ participant, timeout = 30000, log = console.log }) {
+    this.participant = participant;
+    this.timeout = timeout;
+    this.log = log;
+    this.requests = new Map(); // requestId => { commitments, shares }, while signing
+    this.settled = new Set(); // request ids signed or failed, never used again
+
+    participant.addMessageHandler('frost_commitment', data => this.onCommitment(data));
+    participant.addMessageHandler('frost_signature_share', data => this.onSignatureShare(data));
+  }
+
+  request(requestId) {
+    if (!this.requests.has(requestId)) {
+      this.requests.set(requestId, { commitments: new Map(), shares: new Map() });
+    }
+    return this.requests.get(requestId);
+  }
+
+  onCommitment(data) {
+    if (!this.participant.roster.has(data.from) || this.settled.has(data.requestId)) return;
+
+    const { commitments } = this.request(data.requestId);
+    if (commitments.has(data.from)) {
+      this.log(`${this.participant.participantId}: ⚠️  Ignoring repeated FROST commitment from ${data.from}`);
+      return;
+    }
+    commitments.set(data.from, {
+      digest: data.digest,
+      signers: data.signers,
+      D: data.D,
+      E: data.E
+    });
+  }
+
+  onSignatureShare(data) {
+    if (!this.participant.roster.has(data.from) || this.settled.has(data.requestId)) return;
+
+    const { shares } = this.request(data.requestId);
+    if (!shares.has(data.from)) {
+      shares.set(data.from, data.z);
+    }
+  }
+
+  // Resolves once every signer's entry has arrived, checked as entries come in
+  waitForSigners(label, signers, isDone) {
+    const missing = () => signers.filter(id => !isDone(id));
+    return waitForEvent(this.participant.events, 'message', () => missing().length === 0, {
+      timeout: this.timeout,
+      onTimeout: () => {
+        const error = new Error(`Timeout after ${this.timeout}ms waiting for ${label} from ${missing().join(', ')}`);
+        error.waitingFor = missing();
+        return error;
+      }
+    });
+  }
+
+  /**
+   * Produces a Schnorr signature on `message` together with the other
+   * `signers`. Resolves once every signer's share has been verified.
+   *
+   * @param {string|Buffer} message The message to sign.
+   * @param {Object} options
+   * @param {Array<string>} options.signers Identity ids of at least
+   * `threshold` participants, including the local one.
+   * @param {string} [options.requestId] Shared id for this signature. The
+   * default is derived from the message and signers, so signing the same
+   * message with the same signers twice needs an explicit id.
+   * @return {Object} { R, z, requestId, signers, groupPublicKey }
+   */
+  async sign(message, { signers, requestId } = {}) {
+    const { participant } = this;
+    const { roster, participantId, groupPublicKey } = participant;
+
+    if (!participant.finalShareValue || !groupPublicKey) {
+      throw new Error('DKG has not completed');
+    }
+    if (!Array.isArray(signers) || signers.length < participant.threshold) {
+      throw new Error(`At least ${participant.threshold} signers are required`);
+    }
+    for (const id of signers) {
+      roster.indexOf(id);
+    }
+    const signerIds = [...new Set(signers)].sort((a, b) => roster.indexOf(a) - roster.indexOf(b));
+    if (signerIds.length !== signers.length) {
+      throw new Error('Duplicate signers');
+    }
+    if (!signerIds.includes(participantId)) {
+      throw new Error(`${participantId} is not one of the signers`);
+    }
+
+    const digest = frost.messageDigest(message);
+    requestId = requestId || crypto.createHash('sha256').update(`frost|${digest}|${signerIds.join(',')}`).digest('hex');
+    // A request's nonces are used once: its id cannot sign again
+    if (this.settled.has(requestId)) {
+      throw new Error(`FROST request ${requestId} already signed or failed; use a new requestId`);
+    }
+    const state = this.request(requestId);
+    const nonces = frost.createNonces();
+
+    // Whatever happens, the nonces and the request's messages go
+    try {
+      // Round 1: publish single-use nonce commitments
+      await participant.publish({
+        type: 'frost_commitment',
+        from: participantId,
+        requestId,
+        digest,
+        signers: signerIds,
+        D: nonces.D,
+        E: nonces.E,
+        timestamp: Date.now()
+      });
+
+      await this.waitForSigners('FROST commitments', signerIds, id => state.commitments.has(id));
+
+      for (const [id, commitment] of state.commitments) {
+        if (commitment.digest !== digest || !Array.isArray(commitment.signers) || commitment.signers.join(',') !== signerIds.join(',')) {
+          throw new Error(`${id} committed to a different message or signer set`);
+        }
+      }
+
+      const commitments = signerIds.map(id => ({
+        index: roster.indexOf(id),
+        D: state.commitments.get(id).D,
+        E: state.commitments.get(id).E
+      }));
+
+      // Round 2: publish our signature share; the nonces are never reused
+      const z = frost.signShare({
+        index: roster.indexOf(participantId),
+        secretShare: participant.finalShareValue,
+        nonces,
+        digest,
+        commitments,
+        groupPublicKey
+      });
+      nonces.d = null;
+      nonces.e = null;
+
+      await participant.publish({
+        type: 'frost_signature_share',
+        from: participantId,
+        requestId,
+        z: field.toHex(z),
+        timestamp: Date.now()
+      });
+
+      await this.waitForSigners('FROST signature shares', signerIds, id => state.shares.has(id));
+
+      // Check every share against its signer's verification share
+      const cheaters = signerIds.filter(id => !frost.verifySignatureShare({
+        index: roster.indexOf(id),
+        z: state.shares.get(id),
+        verificationShare: participant.verificationShares.get(id),
+        digest,
+        commitments,
+        groupPublicKey
+      }));
+
+      if (cheaters.length > 0) {
+        const error = new Error(`Invalid FROST signature shares from ${cheaters.join(', ')}`);
+        error.cheaters = cheaters;
+        throw error;
+      }
+
+      const signature = frost.aggregate({
+        digest,
+        commitments,
+        groupPublicKey,
+        shares: signerIds.map(id => field.fromHex(state.shares.get(id)))
+      });
+
+      if (!frost.verify(signature, message, groupPublicKey)) {
+        throw new Error('Aggregated FROST signature does not verify');
+      }
+
+      this.log(`${participantId}: ✍️  FROST signature ${requestId.slice(0, 10)}... complete`);
+
+      return { ...signature, requestId, signers: signerIds, groupPublicKey };
+    } finally {
+      nonces.d = null;
+      nonces.e = null;
+      this.requests.delete(requestId);
+      this.settled.add(requestId);
+    }
+  }
+}
+
+export default FROSTSigner;
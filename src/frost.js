@@ -0,0 +1,175 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+import * as field from './scalar-field.js';
+import { lagrangeCoefficient } from './lagrange.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * FROST two-round threshold Schnorr signatures over secp256k1
+ * (Komlo–Goldberg), using the shares produced by the DKG.
+ *
+ * Round 1: every signer i publishes nonce commitments (D_i, E_i).
+ * Round 2: with binding factors ρ_i, group commitment R = Σ D_i + ρ_i·E_i
+ * and challenge c = H(R, Y, m), signer i publishes
+ *   z_i = d_i + e_i·ρ_i + λ_i·s_i·c
+ * The signature is (R, z = Σ z_i) and verifies as g^z = R + c·Y.
+ *
+ * Hashes are SHA-256 with a per-purpose domain tag, reduced mod n.
+ */
+
+const CONTEXT = 'FROST-secp256k1-SHA256-dkg-orbitdb-v1';
+
+const hashToScalar = (tag, ...parts) => {
+  const hash = crypto.createHash('sha256').update(`${CONTEXT}/${tag}`);
+  for (const part of parts) {
+    const bytes = Buffer.from(part);
+    hash.update(Buffer.from(bytes.length.toString(16).padStart(8, '0'), 'hex'));
+    hash.update(bytes);
+  }
+  return field.mod(BigInt('0x' + hash.digest('hex')));
+};
+
+const encode = (point) => point.encode('hex', true);
+
+const decode = (hex) => {
+  const point = ec.curve.decodePoint(hex, 'hex');
+  if (!point.validate() || point.isInfinity()) {
+    throw new Error('Invalid curve point');
+  }
+  return point;
+};
+
+// Digest of the message being signed; everything below signs this digest
+export const messageDigest = (message) =>
+  crypto.createHash('sha256').update(Buffer.from(message)).digest('hex');
+
+/**
+ * Round 1: fresh single-use nonces and their public commitments.
+ * @return {Object} { d, e } secret scalars and { D, E } compressed hex.
+ */
+export const createNonces = () => {
+  const d = field.random();
+  const e = field.random();
+  return {
+    d,
+    e,
+    D: encode(ec.g.mul(field.toHex(d))),
+    E: encode(ec.g.mul(field.toHex(e)))
+  };
+};
+
+// Commitment list in a canonical order, so every signer hashes the same bytes
+const sortCommitments = (commitments) =>
+  [...commitments].sort((a, b) => a.index - b.index);
+
+const encodeCommitmentList = (commitments) =>
+  sortCommitments(commitments).map(({ index, D, E }) => `${index}:${D}:${E}`).join(',');
+
+/**
+ * Binding factor ρ_i = H(Y, m, B, i) tying each signer's nonces to the
+ * message and the full commitment list B.
+ */
+export const bindingFactor = (index, digest, commitments, groupPublicKey) =>
+  hashToScalar('rho', groupPublicKey, digest, encodeCommitmentList(commitments), String(index));
+
+/**
+ * Group commitment R = Σ D_i + ρ_i·E_i and each signer's binding factor.
+ * @return {Object} { R (point), bindingFactors (Map index => bigint) }
+ */
+export const groupCommitment = (digest, commitments, groupPublicKey) => {
+  const bindingFactors = new Map();
+  let R = ec.curve.point(null, null);
+  for (const { index, D, E } of sortCommitments(commitments)) {
+    const rho = bindingFactor(index, digest, commitments, groupPublicKey);
+    bindingFactors.set(index, rho);
+    R = R.add(decode(D)).add(decode(E).mul(field.toHex(rho)));
+  }
+  if (R.isInfinity()) {
+    throw new Error('Group commitment is the point at infinity');
+  }
+  return { R, bindingFactors };
+};
+
+// Schnorr challenge c = H(R, Y, m)
+export const challenge = (R, groupPublicKey, digest) =>
+  hashToScalar('challenge', typeof R === 'string' ? R : encode(R), groupPublicKey, digest);
+
+/**
+ * Round 2: signer `index` computes its signature share z_i.
+ * @param {Object} params
+ * @param {number} params.index The signer's share index.
+ * @param {string} params.secretShare The signer's final DKG share (hex).
+ * @param {Object} params.nonces The nonces from createNonces().
+ * @param {string} params.digest messageDigest() of the message.
+ * @param {Array<Object>} params.commitments { index, D, E } of every signer.
+ * @param {string} params.groupPublicKey Compressed group key.
+ * @return {bigint} z_i
+ */
+export const signShare = ({ index, secretShare, nonces, digest, commitments, groupPublicKey }) => {
+  const own = commitments.find(c => c.index === index);
+  if (!own || own.D !== nonces.D || own.E !== nonces.E) {
+    throw new Error('Own nonce commitments missing from the commitment list');
+  }
+
+  const { R, bindingFactors } = groupCommitment(digest, commitments, groupPublicKey);
+  const c = challenge(R, groupPublicKey, digest);
+  const lambda = lagrangeCoefficient(index, commitments.map(c => c.index));
+
+  return field.add(
+    field.add(nonces.d, field.mul(nonces.e, bindingFactors.get(index))),
+    field.mul(field.mul(lambda, field.fromHex(secretShare)), c)
+  );
+};
+
+/**
+ * Checks g^{z_i} = D_i + ρ_i·E_i + c·λ_i·Y_i against the signer's public
+ * verification share Y_i, so a bad share can be pinned on its signer.
+ * `z` may be a bigint or hex; malformed input simply fails the check.
+ */
+export const verifySignatureShare = ({ index, z, verificationShare, digest, commitments, groupPublicKey }) => {
+  try {
+    const own = commitments.find(c => c.index === index);
+    const { R, bindingFactors } = groupCommitment(digest, commitments, groupPublicKey);
+    const c = challenge(R, groupPublicKey, digest);
+    const lambda = lagrangeCoefficient(index, commitments.map(c => c.index));
+
+    const expected = decode(own.D)
+      .add(decode(own.E).mul(field.toHex(bindingFactors.get(index))))
+      .add(decode(verificationShare).mul(field.toHex(field.mul(c, lambda))));
+
+    const share = typeof z === 'string' ? field.fromHex(z) : z;
+    return ec.g.mul(field.toHex(share)).eq(expected);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Combines signature shares into a Schnorr signature (R, z).
+ * @return {Object} { R: compressed hex, z: scalar hex }
+ */
+export const aggregate = ({ digest, commitments, groupPublicKey, shares }) => {
+  const { R } = groupCommitment(digest, commitments, groupPublicKey);
+  const z = shares.reduce((sum, share) => field.add(sum, share), 0n);
+  return { R: encode(R), z: field.toHex(z) };
+};
+
+/**
+ * Verifies a Schnorr signature against the group public key.
+ * @param {Object} signature { R, z } as returned by aggregate().
+ * @param {string|Buffer} message The signed message.
+ * @param {string} groupPublicKey Compressed group key.
+ * @return {boolean}
+ */
+export const verify = (signature, message, groupPublicKey) => {
+  try {
+    const digest = messageDigest(message);
+    const R = decode(signature.R);
+    const c = challenge(signature.R, groupPublicKey, digest);
+    const expected = R.add(decode(groupPublicKey).mul(field.toHex(c)));
+    return ec.g.mul(field.toHex(field.fromHex(signature.z))).eq(expected);
+  } catch {
+    return false;
+  }
+};
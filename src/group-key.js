@@ -0,0 +1,58 @@
+import EC from 'elliptic';
+import { ethers } from 'ethers';
+import { evaluateCommitments } from './feldman-vss.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * The joint public key of a DKG run and each participant's public
+ * verification share, derived only from the dealers' Feldman commitments.
+ *
+ * With dealer polynomials f_j and commitments C_{j,k} = g^{a_{j,k}}:
+ *   group key       Y   = ∏_j C_{j,0}       = g^{Σ_j f_j(0)}
+ *   verification    Y_i = ∏_j g^{f_j(i)}    = g^{s_i}
+ * where s_i is participant i's final share.
+ */
+
+const identity = () => ec.curve.point(null, null);
+
+// Compressed hex encoding, the wire format for group-level keys
+export const encodePoint = (point) => point.encode('hex', true);
+
+export const decodePoint = (hex) => ec.curve.decodePoint(hex, 'hex');
+
+/**
+ * @param {Iterable<Array<string>>} dealerCommitments Commitment vectors of
+ * the dealers that count towards the key.
+ * @return {Object} The group public key as an elliptic point.
+ */
+export const computeGroupKey = (dealerCommitments) => {
+  let key = identity();
+  for (const commitments of dealerCommitments) {
+    key = key.add(decodePoint(commitments[0]));
+  }
+  if (key.isInfinity()) {
+    throw new Error('Group key is the point at infinity');
+  }
+  return key;
+};
+
+/**
+ * @param {Iterable<Array<string>>} dealerCommitments Commitment vectors of
+ * the dealers that count towards the key.
+ * @param {number|bigint} x Share index of the participant.
+ * @return {Object} g^{s_x} as an elliptic point.
+ */
+export const computeVerificationShare = (dealerCommitments, x) => {
+  let share = identity();
+  for (const commitments of dealerCommitments) {
+    share = share.add(evaluateCommitments(commitments, x));
+  }
+  return share;
+};
+
+// Ethereum address (checksummed) controlled by a secp256k1 public key
+export const toEthereumAddress = (publicKey) => {
+  const point = typeof publicKey === 'string' ? decodePoint(publicKey) : publicKey;
+  return ethers.utils.computeAddress('0x' + point.encode('hex', false));
+};
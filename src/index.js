@@ -0,0 +1,16 @@
+export { default as createDKGSession } from './dkg-session.js';
+export { default as createSessionManager } from './session-manager.js';
+export { default as DKGParticipant } from './dkg-participant.js';
+export { default as createRoster } from './roster.js';
+export { default as DKGAccessController } from './dkg-access-controller.js';
+export { default as createSessionView } from './session-view.js';
+export { default as createKeystore } from './keystore.js';
+export { PROTOCOL_VERSION, SCHEMAS, validateMessage, upgradeMessage, encodeMessage } from './message-schemas.js';
+export { lagrangeCoefficient, interpolate, interpolateAtZero, interpolatePoints } from './lagrange.js';
+export { computeGroupKey, computeVerificationShare, toEthereumAddress } from './group-key.js';
+export { default as FROSTSigner } from './frost-signing.js';
+export { verify as verifySchnorr } from './frost.js';
+export { default as ECDSASigner } from './ecdsa-signing.js';
+export { default as ShareRefresher } from './share-refresh.js';
+export { default as Resharer } from './resharing.js';
+export { default as ShareRecovery } from './share-recovery.js';
@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { mkdir, readFile, writeFile, rename, rm } from 'fs/promises';
+import path from 'path';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Passphrase-protected storage for a participant's secrets: DKG secrets in
+ * progress and the long-term share a finished session leaves behind.
+ *
+ * Everything lives in one keystore.json file. Its key is derived from the
+ * passphrase with scrypt, and each entry is encrypted on its own with
+ * AES-256-GCM, using the entry's name as additional data so entries cannot
+ * be swapped around in the file. The derived key only stays in memory
+ * between unlock() and lock().
+ *
+ * get(name) and set(name, value) make a keystore usable as a session's
+ * `secretStore` (see dkg-session.js).
+ */
+
+const FILE = 'keystore.json';
+const FORMAT = 1;
+
+// scrypt cost; 2^15 * 8 * 128 bytes is 32MiB of memory per derivation
+const KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+
+// Encrypted under the derived key to tell a wrong passphrase from a good one
+const CHECK = 'dkg-orbitdb/keystore/v1';
+
+const encrypt = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex')
+  };
+};
+
+const decrypt = (key, { iv, ciphertext, tag }, aad) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString();
+};
+
+const deriveKey = ({ salt, N, r, p }, passphrase) =>
+  scrypt(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), 32, { N, r, p, maxmem: 256 * N * r });
+
+/**
+ * Creates a keystore. It starts locked; the first unlock() of a new
+ * keystore sets its passphrase.
+ *
+ * @param {Object} options
+ * @param {string} [options.directory] Where to keep the keystore.
+ * @param {Object} [options.orbitdb] An OrbitDB instance; without a
+ * `directory` the keystore goes next to its directory, in
+ * `${orbitdb.directory}-keystore`.
+ * @return {Object} The keystore.
+ */
+const createKeystore = ({ directory, orbitdb } = {}) => {
+  directory = directory || (orbitdb && `${orbitdb.directory}-keystore`);
+  if (!directory) {
+    throw new Error('A keystore directory or OrbitDB instance is required');
+  }
+  const file = path.join(directory, FILE);
+
+  let key = null;
+  let contents = null; // { format, kdf, check, entries }
+  let writing = Promise.resolve();
+
+  const load = async () => {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  // Writes go through a temporary file so a crash never leaves half a keystore
+  const save = () => {
+    const snapshot = JSON.stringify(contents);
+    writing = writing.catch(() => {}).then(async () => {
+      await mkdir(directory, { recursive: true, mode: 0o700 });
+      await writeFile(`${file}.tmp`, snapshot, { mode: 0o600 });
+      await rename(`${file}.tmp`, file);
+    });
+    return writing;
+  };
+
+  const unlocked = () => {
+    if (!key) {
+      throw new Error('Keystore is locked');
+    }
+  };
+
+  /**
+   * Derives the keystore key from `passphrase`, creating the keystore if
+   * there is none yet. Throws if the passphrase is wrong.
+   */
+  const unlock = async (passphrase) => {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      throw new Error('A passphrase is required');
+    }
+
+    const existing = await load();
+    if (!existing) {
+      const kdf = { ...KDF, salt: crypto.randomBytes(16).toString('hex') };
+      const derived = await deriveKey(kdf, passphrase);
+      contents = { format: FORMAT, kdf, check: encrypt(derived, CHECK, 'check'), entries: {} };
+      key = derived;
+      await save();
+      return;
+    }
+
+    if (existing.format !== FORMAT) {
+      throw new Error(`Unsupported keystore format ${existing.format}`);
+    }
+    const derived = await deriveKey(existing.kdf, passphrase);
+    try {
+      decrypt(derived, existing.check, 'check');
+    } catch {
+      throw new Error(`Wrong passphrase for keystore ${directory}`);
+    }
+    contents = existing;
+    key = derived;
+  };
+
+  // Forgets the derived key and the decrypted state
+  const lock = () => {
+    if (key) key.fill(0);
+    key = null;
+    contents = null;
+  };
+
+  /**
+   * The value stored as `name`, or undefined. Throws if the keystore is
+   * locked or the entry was tampered with.
+   */
+  const get = (name) => {
+    unlocked();
+    if (!Object.hasOwn(contents.entries, name)) return undefined;
+    const entry = contents.entries[name];
+    try {
+      return JSON.parse(decrypt(key, entry, name));
+    } catch {
+      throw new Error(`Keystore entry ${name} failed authentication`);
+    }
+  };
+
+  // Encrypts and stores `value`, which must survive JSON
+  const set = async (name, value) => {
+    unlocked();
+    contents.entries[name] = encrypt(key, JSON.stringify(value), name);
+    await save();
+  };
+
+  const remove = async (name) => {
+    unlocked();
+    delete contents.entries[name];
+    await save();
+  };
+
+  // Locks the keystore and deletes its file, along with every secret in it
+  const wipe = async () => {
+    lock();
+    await writing.catch(() => {});
+    await rm(file, { force: true });
+    await rm(`${file}.tmp`, { force: true });
+  };
+
+  return {
+    directory,
+    get locked() {
+      return key === null;
+    },
+    unlock,
+    lock,
+    wipe,
+    has: (name) => {
+      unlocked();
+      return Object.hasOwn(contents.entries, name);
+    },
+    get,
+    set,
+    delete: remove
+  };
+};
+
+export default createKeystore;
@@ -0,0 +1,122 @@
+import EC from 'elliptic';
+import * as field from './scalar-field.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Lagrange interpolation mod n, for scalars (shares) and "in the exponent"
+ * for curve points (verification shares, commitments). Any t shares of a
+ * degree t-1 polynomial f determine f(at) for every point:
+ *   f(at) = Σ_i λ_i(at)·f(x_i),   λ_i(at) = ∏_{j≠i} (at - x_j) / (x_i - x_j)
+ * Signing uses λ_i(0); recovering a lost share uses λ_i(x_lost).
+ * interpolatePolynomial() recovers every coefficient, e.g. to rebuild the
+ * commitments of a dealer whose secret had to be reconstructed.
+ */
+
+const toScalar = (value) => (typeof value === 'string' ? field.fromHex(value) : field.mod(value));
+
+const toPoint = (value) => {
+  const point = typeof value === 'string' ? ec.curve.decodePoint(value, 'hex') : value;
+  if (!point.validate()) {
+    throw new Error('Point is not on secp256k1');
+  }
+  return point;
+};
+
+const checkIndices = (indices) => {
+  const seen = new Set();
+  for (const x of indices) {
+    const key = field.mod(x);
+    if (seen.has(key)) {
+      throw new Error(`Duplicate share index ${x}`);
+    }
+    seen.add(key);
+  }
+};
+
+/**
+ * λ_index(at) over the given share indices.
+ * @param {number|bigint} index The share whose coefficient to compute.
+ * @param {Array<number|bigint>} indices Every share index taking part,
+ * including `index`.
+ * @param {number|bigint} [at=0] Point to interpolate at.
+ * @return {bigint}
+ */
+export const lagrangeCoefficient = (index, indices, at = 0) => {
+  checkIndices(indices);
+  const i = field.mod(index);
+  if (!indices.some(j => field.mod(j) === i)) {
+    throw new Error(`Index ${index} is not among the interpolation indices`);
+  }
+
+  let numerator = 1n;
+  let denominator = 1n;
+  for (const j of indices) {
+    const x = field.mod(j);
+    if (x === i) continue;
+    numerator = field.mul(numerator, field.sub(at, x));
+    denominator = field.mul(denominator, field.sub(i, x));
+  }
+  return field.mul(numerator, field.inv(denominator));
+};
+
+/**
+ * Interpolates shares { x, y } (y a bigint or hex scalar) at `at`.
+ * @return {bigint} f(at)
+ */
+export const interpolate = (shares, at = 0) => {
+  const indices = shares.map(share => share.x);
+  return shares.reduce(
+    (sum, { x, y }) => field.add(sum, field.mul(lagrangeCoefficient(x, indices, at), toScalar(y))),
+    0n
+  );
+};
+
+// Recovers the shared secret f(0) from any threshold of shares
+export const interpolateAtZero = (shares) => interpolate(shares, 0);
+
+/**
+ * Interpolates public shares { x, y } with y = g^{f(x)} (hex or elliptic
+ * point) in the exponent, giving g^{f(at)}. At zero with verification
+ * shares this is the group public key.
+ * @return {Object} g^{f(at)} as an elliptic point.
+ */
+export const interpolatePoints = (points, at = 0) => {
+  const indices = points.map(point => point.x);
+  let result = ec.curve.point(null, null);
+  for (const { x, y } of points) {
+    result = result.add(toPoint(y).mul(field.toHex(lagrangeCoefficient(x, indices, at))));
+  }
+  return result;
+};
+
+/**
+ * Recovers the coefficients of the unique polynomial of degree
+ * shares.length - 1 through shares { x, y }, constant term first.
+ * @return {Array<bigint>}
+ */
+export const interpolatePolynomial = (shares) => {
+  const indices = shares.map(share => share.x);
+  checkIndices(indices);
+  const coefficients = shares.map(() => 0n);
+
+  for (const { x, y } of shares) {
+    // Basis ∏_{j≠i} (X - x_j), built up one linear factor at a time
+    let basis = [1n];
+    for (const j of indices) {
+      if (field.mod(j) === field.mod(x)) continue;
+      const next = [...basis.map(c => field.neg(field.mul(c, j))), 0n];
+      basis.forEach((c, k) => {
+        next[k + 1] = field.add(next[k + 1], c);
+      });
+      basis = next;
+    }
+
+    // λ_i(X) = basis / basis(x_i); its value at 0 is λ_i(0)
+    const scale = field.mul(toScalar(y), field.inv(field.evaluatePolynomial(basis, x)));
+    basis.forEach((c, k) => {
+      coefficients[k] = field.add(coefficients[k], field.mul(c, scale));
+    });
+  }
+  return coefficients;
+};
@@ -0,0 +1,268 @@
+import EC from 'elliptic';
+import { ethers } from 'ethers';
+import { N } from './scalar-field.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Versioned schemas for every message written to a DKG session log.
+ *
+ * Messages carry the protocol version they were written in as `version`;
+ * version 1 predates the field (bar the manifest, whose `version` was
+ * already the protocol version), so a message without it is version 1. A
+ * session runs at the version its manifest names, and every participant
+ * writes that version (see encodeMessage), so newer clients can join a
+ * session started by an older one. Readers upgrade whatever arrives to the
+ * current version one step at a time before validating it, which means
+ * only the current schemas are needed here.
+ */
+
+export const PROTOCOL_VERSION = 3;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Step `i` turns a version i + 1 message into version i + 2, and back. A
+// session_manifest's `version` is the version its session runs at, so
+// upgrading one leaves it alone.
+const MIGRATIONS = [
+  {
+    // 1 -> 2: messages name their version; commitments always name their mode
+    up: (data) => {
+      if (data.type === 'session_manifest') return data;
+      return {
+        ...data,
+        version: 2,
+        ...(data.type === 'public_commitment' ? { mode: data.mode || 'feldman' } : {})
+      };
+    },
+    down: ({ version, ...data }) => (data.type === 'session_manifest' ? { ...data, version: 1 } : data)
+  },
+  {
+    // 2 -> 3: threshold ECDSA signers prove their Paillier keys, MtA ranges
+    // and R before revealing signature shares; no other message changes
+    up: (data) => (data.type === 'session_manifest' ? data : { ...data, version: 3 }),
+    down: (data) => ({ ...data, version: 2 })
+  }
+];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isHex = (value, length) =>
+  typeof value === 'string' && (length ? value.length === length : value.length > 0) && /^[0-9a-f]+$/i.test(value);
+
+const isPoint = (value) => {
+  if (!isHex(value)) return false;
+  try {
+    return ec.curve.decodePoint(value, 'hex').validate();
+  } catch {
+    return false;
+  }
+};
+
+// A field's check and how to describe what it expects
+const spec = (test, expected) => ({ test, expected });
+
+const optional = ({ test, expected }) => spec((value, context) => value === undefined || test(value, context), `${expected} or nothing`);
+
+const string = spec(value => typeof value === 'string' && value.length > 0, 'a non-empty string');
+const boolean = spec(value => typeof value === 'boolean', 'a boolean');
+const integer = spec(Number.isInteger, 'an integer');
+const object = spec(isObject, 'an object');
+const hex = spec(value => isHex(value), 'hex');
+const bytes32 = spec(value => isHex(value, 64), '32 bytes of hex');
+const scalar = spec(value => isHex(value, 64) && BigInt('0x' + value) < N, 'a scalar mod n as 64 hex digits');
+const point = spec(isPoint, 'a secp256k1 point');
+const address = spec(value => typeof value === 'string' && ethers.utils.isAddress(value), 'an Ethereum address');
+
+const participant = spec((value, { roster }) => typeof value === 'string' && roster.has(value), 'a roster member');
+
+const participants = spec((value, { roster }) =>
+  Array.isArray(value) && value.length > 0 && new Set(value).size === value.length && value.every(id => roster.has(id)),
+'distinct roster members');
+
+// A new device's identity, which must not already be a roster member
+const device = spec((value, { roster }) => typeof value === 'string' && value.length > 0 && !roster.has(value), 'an identity id outside the roster');
+
+const members = spec((value, { roster }) =>
+  Array.isArray(value) && new Set(value).size === value.length && value.every(id => roster.has(id)),
+'distinct roster members, possibly none');
+
+// Resharing dealers, who may be leaving the roster
+const dealerList = spec((value, { dealers }) =>
+  Array.isArray(value) && new Set(value).size === value.length && value.every(id => Array.isArray(dealers) && dealers.includes(id)),
+'distinct resharing dealers, possibly none');
+
+// One commitment per polynomial coefficient, so `threshold` of them
+const commitments = spec((value, { threshold }) =>
+  Array.isArray(value) && value.length > 0 && (threshold === undefined || value.length === threshold) && value.every(isPoint),
+'threshold secp256k1 points');
+
+// A zero-constant polynomial leaves out g^0, so `threshold` - 1 of them
+const zeroCommitments = spec((value, { threshold }) =>
+  Array.isArray(value) && (threshold === undefined || value.length === threshold - 1) && value.every(isPoint),
+'threshold - 1 secp256k1 points');
+
+const share = spec((value, { roster }) =>
+  isObject(value) && Number.isInteger(value.x) && value.x >= 1 && value.x <= roster.size &&
+  scalar.test(value.y) && optional(scalar).test(value.blinding),
+'a share { x, y, blinding? } with a roster index and scalars');
+
+const encryptedShare = spec(value =>
+  isObject(value) && isPoint(value.ephemeralPublicKey) && isHex(value.iv, 24) && isHex(value.ciphertext) && isHex(value.tag, 32),
+'an ECIES payload { ephemeralPublicKey, iv, ciphertext, tag }');
+
+const encryptedShares = spec((value, { roster }) =>
+  isObject(value) && Object.entries(value).every(([id, payload]) => roster.has(id) && encryptedShare.test(payload)),
+'ECIES payloads by recipient { [participant]: payload }');
+
+const pointsByMember = spec((value, { roster }) =>
+  isObject(value) && Object.keys(value).length === roster.size && Object.entries(value).every(([id, p]) => roster.has(id) && isPoint(p)),
+'a secp256k1 point per roster member { [participant]: point }');
+
+// Link from a resharing session's manifest to the session it reshares.
+// Its dealers are members of the old roster, which may be leaving.
+const previousSession = spec(value =>
+  isObject(value) && string.test(value.address) && isPoint(value.groupPublicKey) &&
+  Number.isInteger(value.threshold) && value.threshold >= 1 &&
+  Array.isArray(value.dealers) && value.dealers.length >= value.threshold && new Set(value.dealers).size === value.dealers.length &&
+  value.dealers.every(id => string.test(id)),
+'{ address, groupPublicKey, threshold, dealers } of the reshared session');
+
+// Who may write a message: a roster member, or for a reshared share, one of
+// the resharing dealers
+const sender = spec((value, context) =>
+  participant.test(value, context) || (Array.isArray(context.dealers) && context.dealers.includes(value)),
+'a roster member or resharing dealer');
+
+// Messages a resharing dealer outside the new roster writes
+export const DEALER_MESSAGES = ['reshare_commitment', 'reshare_justification'];
+
+const hexList = (value, length) => Array.isArray(value) && (length === undefined || value.length === length) && value.every(item => isHex(item));
+
+// Proof that a Paillier modulus is well-formed, with the ring-Pedersen
+// parameters range proofs to its owner are made against
+const keyProof = spec(value =>
+  isObject(value) && hexList(value.roots) && hexList(value.responses) && isHex(value.s) && isHex(value.t) && isHex(value.challenge, 64),
+'a Paillier key proof { roots, responses, s, t, challenge }');
+
+// A zero-knowledge proof made of hex numbers (see paillier-proofs.js), and
+// some of them by roster member
+const isProof = (value) => isObject(value) && Object.keys(value).length > 0 && Object.values(value).every(item => isHex(item));
+
+const proofs = spec((value, { roster }) =>
+  isObject(value) && Object.entries(value).every(([id, proof]) => roster.has(id) && isProof(proof)),
+'proofs by signer { [signer]: proof }');
+
+const mtaResponses = spec((value, { roster }) =>
+  isObject(value) && Object.entries(value).every(([id, response]) =>
+    roster.has(id) && isObject(response) && isHex(response.gamma) && isHex(response.w) && isProof(response.gammaProof) && isProof(response.wProof)),
+'MtA responses { [signer]: { gamma, w, gammaProof, wProof } }');
+
+const entryPair = spec(value =>
+  Array.isArray(value) && value.length === 2 && value.every(hash => string.test(hash)) && value[0] !== value[1],
+'two different entry hashes');
+
+// Fields every message of a type must have, besides `type` and `from`
+export const SCHEMAS = {
+  session_manifest: { version: integer, curve: string, threshold: integer, participants, mode: string, randomness: string, deadlines: object, previous: optional(previousSession) },
+  public_commitment: { mode: string, commitments, encryptionKey: point, peerId: optional(string) },
+  share_distribution: { to: participant, encryptedShare },
+  share_receipt: { dealer: participant, digest: bytes32 },
+  share_verification: { about: participant, valid: boolean },
+  complaint: { against: participant, reason: optional(string) },
+  justification: { to: participant, share },
+  justifications_closed: {},
+  extraction_commitment: { commitments },
+  extraction_complaint: { against: participant, share },
+  extraction_verified: {},
+  reconstruction_share: { dealer: participant, share },
+  group_key: { groupPublicKey: point, address },
+  equivocation: { accused: participant, entries: entryPair },
+  frost_commitment: { requestId: string, digest: bytes32, signers: participants, D: point, E: point },
+  frost_signature_share: { requestId: string, z: scalar },
+  ecdsa_key: { requestId: string, paillierN: hex, keyProof },
+  ecdsa_commitment: { requestId: string, digest: bytes32, signers: participants, encryptedK: hex, rangeProofs: proofs, gammaCommitment: bytes32 },
+  ecdsa_mta: { requestId: string, responses: mtaResponses },
+  ecdsa_delta: { requestId: string, delta: scalar, Gamma: point, blind: bytes32 },
+  ecdsa_r_check: { requestId: string, Rk: point, proofs },
+  ecdsa_signature_share: { requestId: string, s: scalar },
+  refresh_commitment: { epoch: integer, commitments: zeroCommitments, shares: encryptedShares },
+  refresh_verification: { epoch: integer, complaints: members },
+  refresh_justification: { epoch: integer, to: participant, share },
+  refresh_justifications_closed: { epoch: integer },
+  reshare_key: { encryptionKey: point },
+  reshare_commitment: { index: integer, commitments, shares: encryptedShares },
+  reshare_verification: { complaints: dealerList },
+  reshare_justification: { to: participant, share },
+  reshare_justifications_closed: {},
+  enrollment: { participant, device, helpers: participants },
+  recovery_key: { device, encryptionKey: point },
+  recovery_contribution: { device, contribution: encryptedShare, epoch: integer, groupPublicKey: point, verificationShares: pointsByMember }
+};
+
+export const messageVersion = (data) => (data.version === undefined ? 1 : data.version);
+
+const checkVersion = (version) => {
+  if (!Number.isInteger(version) || version < MIN_PROTOCOL_VERSION || version > PROTOCOL_VERSION) {
+    throw new Error(`Unsupported message version ${version}, expected ${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}`);
+  }
+};
+
+/**
+ * Upgrades a message of any supported version to the current one. Throws
+ * if its version is not supported.
+ */
+export const upgradeMessage = (data) => {
+  let version = messageVersion(data);
+  checkVersion(version);
+  while (version < PROTOCOL_VERSION) {
+    data = MIGRATIONS[version - 1].up(data);
+    version++;
+  }
+  return data;
+};
+
+/**
+ * Turns a current-version message into the form written in a session
+ * running at `version`.
+ */
+export const encodeMessage = (data, version = PROTOCOL_VERSION) => {
+  checkVersion(version);
+  data = { ...data, version: PROTOCOL_VERSION };
+  for (let step = PROTOCOL_VERSION; step > version; step--) {
+    data = MIGRATIONS[step - 2].down(data);
+  }
+  return data;
+};
+
+/**
+ * Checks a message, of any supported version, against its schema.
+ *
+ * @param {Object} data The message.
+ * @param {Object} context
+ * @param {Object} context.roster The session roster.
+ * @param {number} [context.threshold] The session threshold; commitment
+ * lists must have this many points.
+ * @param {Array<string>} [context.dealers] Resharing dealers, as pinned by
+ * the session manifest, who may deal without being in the roster.
+ * @return {string|null} What is wrong with the message, or null.
+ */
+export const validateMessage = (data, context) => {
+  if (!isObject(data)) return 'not a protocol message';
+
+  const schema = SCHEMAS[data.type];
+  if (!schema) return `unknown message type ${data.type}`;
+
+  let message;
+  try {
+    message = upgradeMessage(data);
+  } catch (error) {
+    return error.message;
+  }
+
+  const from = DEALER_MESSAGES.includes(data.type) ? sender : participant;
+  if (!from.test(message.from, context)) return `${data.type}.from must be ${from.expected}`;
+  for (const [name, { test, expected }] of Object.entries(schema)) {
+    if (!test(message[name], context)) return `${data.type}.${name} must be ${expected}`;
+  }
+  return null;
+};
@@ -0,0 +1,324 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+import * as field from './scalar-field.js';
+import { modPow, modInverse, gcd, randomBelow, randomUnit, bitLength } from './paillier.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Non-interactive zero-knowledge proofs that keep threshold ECDSA's
+ * Paillier MtA honest (see threshold-ecdsa.js), made non-interactive with
+ * Fiat–Shamir over SHA-256. Every proof takes a `context` string, e.g. the
+ * session, request, prover and verifier, so it cannot be replayed
+ * elsewhere.
+ *
+ * A signer's key proof shows its Paillier modulus N is well-formed, i.e.
+ * x -> x^N permutes Z*_N (Goldberg, Reyzin, Sagga, Baldimtsi: N-th roots of
+ * hashed challenges, and no prime factor below SMALL_PRIMES_BELOW), and
+ * sets up ring-Pedersen parameters s = t^λ on the same N, with a proof
+ * that s lies in the group t generates (binary challenges, as CGGMP's
+ * Π^prm). Commitments s^x·t^ρ under them hide x from the signer holding
+ * N's factors, and bind the other signers, who lack them.
+ *
+ * The range proofs are those of GG18's appendix, made against the
+ * verifier's ring-Pedersen parameters:
+ *   proveEncryption  c = Enc(x; r) with x < q³, and optionally X = B^x for
+ *                    a base point B (to tie R^{k_i} to Enc(k_i))
+ *   proveAffine      d = c^x·Enc(y; r) with x < q³ and y < q⁷, and
+ *                    optionally X = g^x (MtA with check)
+ * Values are hex strings in proofs and bigints everywhere else.
+ */
+
+const q = field.N;
+const Q3 = q ** 3n;
+const Q7 = q ** 7n;
+
+// N-th root challenges; with no factor below SMALL_PRIMES_BELOW they leave
+// a malformed N a 2^-128 chance (Goldberg et al., table 1)
+const ROOT_CHALLENGES = 11;
+const SMALL_PRIMES_BELOW = 319567;
+
+// One bit of soundness each
+const SETUP_CHALLENGES = 80;
+
+const toHex = (value) => value.toString(16);
+
+const fromHex = (hex) => {
+  if (typeof hex !== 'string' || !/^[0-9a-f]+$/i.test(hex)) {
+    throw new Error(`Invalid hex value: ${hex}`);
+  }
+  return BigInt('0x' + hex);
+};
+
+const hash = (...values) => crypto.createHash('sha256')
+  .update(values.map(value => (typeof value === 'bigint' ? toHex(value) : String(value))).join('|'))
+  .digest();
+
+// Fiat–Shamir challenge in Z_q
+const challenge = (...values) => field.mod(BigInt('0x' + hash(...values).toString('hex')));
+
+// A hash of `values` spread over Z_N
+const hashBelow = (N, ...values) => {
+  const blocks = [];
+  for (let i = 0; blocks.length * 256 < bitLength(N) + 128; i++) {
+    blocks.push(hash(...values, i).toString('hex'));
+  }
+  return BigInt('0x' + blocks.join('')) % N;
+};
+
+// (1 + N)^x mod N² = 1 + x·N
+const gammaPow = (N, x) => (1n + (x % N) * N) % (N * N);
+
+let smallPrimes = null;
+const primesBelow = (bound) => {
+  const sieve = new Uint8Array(bound);
+  const primes = [];
+  for (let i = 2; i < bound; i++) {
+    if (sieve[i]) continue;
+    primes.push(BigInt(i));
+    for (let j = i * i; j < bound; j += i) sieve[j] = 1;
+  }
+  return primes;
+};
+
+const hasSmallFactor = (N) => {
+  smallPrimes = smallPrimes || primesBelow(SMALL_PRIMES_BELOW);
+  return smallPrimes.some(p => N % p === 0n);
+};
+
+const rootChallenges = (N, context) =>
+  Array.from({ length: ROOT_CHALLENGES }, (_, i) => hashBelow(N, 'paillier-root', context, N, i));
+
+const setupDigest = (N, s, t, commitments, context) => hash('ring-pedersen', context, N, s, t, ...commitments);
+
+// The setup proof's challenge bits, from the first bytes of its digest
+const setupBits = (digest) => Array.from({ length: SETUP_CHALLENGES }, (_, i) => (digest[i >> 3] >> (i & 7)) & 1);
+
+// Ring-Pedersen commitment s^x·t^ρ mod N
+const commit = ({ N, s, t }, x, rho) => (modPow(s, x, N) * modPow(t, rho, N)) % N;
+
+const inRange = (value, bound) => typeof value === 'bigint' && value >= 0n && value < bound;
+
+const isUnit = (value, N) => inRange(value, N) && value > 0n && gcd(value, N) === 1n;
+
+/**
+ * Proves our Paillier key well-formed and sets up ring-Pedersen parameters
+ * on it for others to prove ranges against.
+ *
+ * @param {Object} privateKey { N, lambda } from paillier.generateKeyPair().
+ * @param {string} context Binds the proof, e.g. to the session and prover.
+ * @return {Object} { roots, s, t, challenge, responses } as hex.
+ */
+export const proveKey = ({ N, lambda }, context) => {
+  const inverse = modInverse(N, lambda);
+  const roots = rootChallenges(N, context).map(rho => modPow(rho, inverse, N));
+
+  const t = modPow(randomUnit(N), 2n, N);
+  const secret = randomBelow(lambda);
+  const s = modPow(t, secret, N);
+  const nonces = Array.from({ length: SETUP_CHALLENGES }, () => randomBelow(lambda));
+  const digest = setupDigest(N, s, t, nonces.map(a => modPow(t, a, N)), context);
+  const bits = setupBits(digest);
+  const responses = nonces.map((a, i) => (a + BigInt(bits[i]) * secret) % lambda);
+
+  return {
+    roots: roots.map(toHex),
+    s: toHex(s),
+    t: toHex(t),
+    challenge: digest.toString('hex'),
+    responses: responses.map(toHex)
+  };
+};
+
+/**
+ * Checks a peer's key proof for its Paillier modulus N.
+ *
+ * @return {string|null} What is wrong with it, or null.
+ */
+export const verifyKey = (N, proof, context) => {
+  let roots, s, t, responses;
+  try {
+    roots = proof.roots.map(fromHex);
+    s = fromHex(proof.s);
+    t = fromHex(proof.t);
+    responses = proof.responses.map(fromHex);
+  } catch {
+    return 'key proof is malformed';
+  }
+  if (roots.length !== ROOT_CHALLENGES || responses.length !== SETUP_CHALLENGES || !/^[0-9a-f]{64}$/.test(proof.challenge)) {
+    return 'key proof is malformed';
+  }
+  if (N % 2n === 0n || hasSmallFactor(N)) {
+    return `modulus has a factor below ${SMALL_PRIMES_BELOW}`;
+  }
+  const challenges = rootChallenges(N, context);
+  if (challenges.some((rho, i) => !isUnit(rho, N) || !inRange(roots[i], N) || modPow(roots[i], N, N) !== rho)) {
+    return 'modulus is not a valid Paillier modulus';
+  }
+
+  if (!isUnit(s, N) || !isUnit(t, N) || responses.some(z => !inRange(z, N))) {
+    return 'ring-Pedersen parameters are out of range';
+  }
+  // The commitments the responses imply, t^z·s^-e, must hash to the challenge
+  const sInverse = modInverse(s, N);
+  const bits = setupBits(Buffer.from(proof.challenge, 'hex'));
+  const commitments = responses.map((z, i) => (bits[i] ? (modPow(t, z, N) * sInverse) % N : modPow(t, z, N)));
+  if (setupDigest(N, s, t, commitments, context).toString('hex') !== proof.challenge) {
+    return 'ring-Pedersen parameters are not proven';
+  }
+  return null;
+};
+
+// A verifier's ring-Pedersen parameters { N, s, t } from its key proof
+export const ringPedersen = (N, proof) => ({ N, s: fromHex(proof.s), t: fromHex(proof.t) });
+
+const pointHex = (point) => point.encode('hex', true);
+
+/**
+ * Proves c = Enc_N(x; r) for x < q³ (GG18's range proof), and with
+ * `base`, that X = base^x too.
+ *
+ * @param {Object} options
+ * @param {bigint} options.N The prover's Paillier modulus.
+ * @param {bigint} options.c The ciphertext.
+ * @param {bigint} options.x Its plaintext, below q.
+ * @param {bigint} options.r Its encryption nonce.
+ * @param {Object} options.verifier The verifier's ring-Pedersen parameters.
+ * @param {Object} [options.base] An elliptic point B, for X = B^x.
+ * @param {string} options.context Binds the proof.
+ * @return {Object} The proof, as hex.
+ */
+export const proveEncryption = ({ N, c, x, r, verifier, base = null, context }) => {
+  const N2 = N * N;
+  const alpha = randomBelow(Q3);
+  const beta = randomUnit(N);
+  const gamma = randomBelow(Q3 * verifier.N);
+  const rho = randomBelow(q * verifier.N);
+
+  const z = commit(verifier, x, rho);
+  const u = (gammaPow(N, alpha) * modPow(beta, N, N2)) % N2;
+  const w = commit(verifier, alpha, gamma);
+  const Y = base ? pointHex(base.mul(field.toHex(alpha % q))) : '';
+  const X = base ? pointHex(base.mul(field.toHex(x))) : '';
+  const e = challenge('encryption', context, N, c, verifier.N, verifier.s, verifier.t, X, z, u, w, Y);
+
+  return {
+    z: toHex(z),
+    u: toHex(u),
+    w: toHex(w),
+    ...(base ? { Y } : {}),
+    s: toHex((modPow(r, e, N) * beta) % N),
+    s1: toHex(e * x + alpha),
+    s2: toHex(e * rho + gamma)
+  };
+};
+
+/**
+ * Checks a proof from proveEncryption(), against our own ring-Pedersen
+ * parameters `verifier`. With `base`, X is the point it claims is base^x.
+ *
+ * @return {boolean}
+ */
+export const verifyEncryption = ({ N, c, verifier, base = null, X = null, context, proof }) => {
+  try {
+    const N2 = N * N;
+    const [z, u, w, s, s1, s2] = ['z', 'u', 'w', 's', 's1', 's2'].map(name => fromHex(proof[name]));
+    if (!isUnit(z, verifier.N) || !isUnit(w, verifier.N) || !isUnit(u, N2) || !isUnit(s, N) || s1 > Q3) {
+      return false;
+    }
+    const Y = base ? proof.Y : '';
+    const e = challenge('encryption', context, N, c, verifier.N, verifier.s, verifier.t, base ? pointHex(X) : '', z, u, w, Y);
+
+    if ((u * modPow(c, e, N2)) % N2 !== (gammaPow(N, s1) * modPow(s, N, N2)) % N2) return false;
+    if ((w * modPow(z, e, verifier.N)) % verifier.N !== commit(verifier, s1, s2)) return false;
+    if (base) {
+      const expected = ec.curve.decodePoint(Y, 'hex').add(X.mul(field.toHex(e)));
+      if (!base.mul(field.toHex(s1 % q)).eq(expected)) return false;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Proves d = c^x·Enc_N(y; r) for x < q³ and y < q⁷ (GG18's MtA responder
+ * proof), and with `check`, that X = g^x too. N and c are the verifier's
+ * Paillier modulus and ciphertext.
+ *
+ * @param {Object} options
+ * @param {bigint} options.N The verifier's Paillier modulus.
+ * @param {bigint} options.c The verifier's ciphertext.
+ * @param {bigint} options.d Our response.
+ * @param {bigint} options.x Our secret factor, below q.
+ * @param {bigint} options.y Our mask.
+ * @param {bigint} options.r The mask's encryption nonce.
+ * @param {Object} options.verifier The verifier's ring-Pedersen parameters.
+ * @param {boolean} [options.check=false] Also prove X = g^x.
+ * @param {string} options.context Binds the proof.
+ * @return {Object} The proof, as hex.
+ */
+export const proveAffine = ({ N, c, d, x, y, r, verifier, check = false, context }) => {
+  const N2 = N * N;
+  const alpha = randomBelow(Q3);
+  const rho = randomBelow(q * verifier.N);
+  const rhoPrime = randomBelow(Q3 * verifier.N);
+  const sigma = randomBelow(q * verifier.N);
+  const beta = randomUnit(N);
+  const gamma = randomBelow(Q7);
+  const tau = randomBelow(Q3 * verifier.N);
+
+  const z = commit(verifier, x, rho);
+  const zPrime = commit(verifier, alpha, rhoPrime);
+  const t = commit(verifier, y, sigma);
+  const v = (modPow(c, alpha, N2) * gammaPow(N, gamma) * modPow(beta, N, N2)) % N2;
+  const w = commit(verifier, gamma, tau);
+  const U = check ? pointHex(ec.g.mul(field.toHex(alpha % q))) : '';
+  const X = check ? pointHex(ec.g.mul(field.toHex(x))) : '';
+  const e = challenge('affine', context, N, c, d, verifier.N, verifier.s, verifier.t, X, z, zPrime, t, v, w, U);
+
+  return {
+    z: toHex(z),
+    zPrime: toHex(zPrime),
+    t: toHex(t),
+    v: toHex(v),
+    w: toHex(w),
+    ...(check ? { U } : {}),
+    s: toHex((modPow(r, e, N) * beta) % N),
+    s1: toHex(e * x + alpha),
+    s2: toHex(e * rho + rhoPrime),
+    t1: toHex(e * y + gamma),
+    t2: toHex(e * sigma + tau)
+  };
+};
+
+/**
+ * Checks a proof from proveAffine() about a response `d` to our ciphertext
+ * `c`, against our own Paillier modulus N and ring-Pedersen parameters.
+ * With `X`, also checks X = g^x.
+ *
+ * @return {boolean}
+ */
+export const verifyAffine = ({ N, c, d, verifier, X = null, context, proof }) => {
+  try {
+    const N2 = N * N;
+    const [z, zPrime, t, v, w, s, s1, s2, t1, t2] =
+      ['z', 'zPrime', 't', 'v', 'w', 's', 's1', 's2', 't1', 't2'].map(name => fromHex(proof[name]));
+    if (![z, zPrime, t, w].every(value => isUnit(value, verifier.N)) || !isUnit(v, N2) || !isUnit(s, N) || s1 > Q3 || t1 > Q7) {
+      return false;
+    }
+    const U = X ? proof.U : '';
+    const e = challenge('affine', context, N, c, d, verifier.N, verifier.s, verifier.t, X ? pointHex(X) : '', z, zPrime, t, v, w, U);
+
+    if (commit(verifier, s1, s2) !== (modPow(z, e, verifier.N) * zPrime) % verifier.N) return false;
+    if (commit(verifier, t1, t2) !== (modPow(t, e, verifier.N) * w) % verifier.N) return false;
+    if ((modPow(c, s1, N2) * modPow(s, N, N2) * gammaPow(N, t1)) % N2 !== (modPow(d, e, N2) * v) % N2) return false;
+    if (X) {
+      const expected = ec.curve.decodePoint(U, 'hex').add(X.mul(field.toHex(e)));
+      if (!ec.g.mul(field.toHex(s1 % q)).eq(expected)) return false;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+};
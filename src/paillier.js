@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+
+/**
+ * Paillier additively homomorphic encryption, used by threshold ECDSA to
+ * turn products of secret scalars held by two signers into additive shares
+ * (multiplicative-to-additive conversion) without revealing either factor.
+ *
+ * Uses g = N + 1, so Enc(m; r) = (1 + m·N) · r^N mod N².
+ */
+
+// base^exponent mod modulus, with a 5-bit sliding window over the exponent
+export const modPow = (base, exponent, modulus) => {
+  const b = ((base % modulus) + modulus) % modulus;
+  // Odd powers b, b^3, ..., b^31
+  const b2 = (b * b) % modulus;
+  const odd = [b];
+  for (let i = 1; i < 16; i++) {
+    odd.push((odd[i - 1] * b2) % modulus);
+  }
+
+  const bits = exponent.toString(2);
+  let result = 1n % modulus;
+  let i = 0;
+  while (i < bits.length) {
+    if (bits[i] === '0') {
+      result = (result * result) % modulus;
+      i++;
+      continue;
+    }
+    let j = Math.min(i + 5, bits.length);
+    while (bits[j - 1] === '0') j--;
+    for (let k = i; k < j; k++) {
+      result = (result * result) % modulus;
+    }
+    result = (result * odd[parseInt(bits.slice(i, j), 2) >> 1]) % modulus;
+    i = j;
+  }
+  return result;
+};
+
+export const gcd = (a, b) => {
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+};
+
+export const modInverse = (a, modulus) => {
+  let [r0, r1] = [((a % modulus) + modulus) % modulus, modulus];
+  let [s0, s1] = [1n, 0n];
+  while (r1 !== 0n) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1];
+  }
+  if (r0 !== 1n) {
+    throw new Error('Value is not invertible');
+  }
+  return ((s0 % modulus) + modulus) % modulus;
+};
+
+// Uniform in [0, bound), up to a 2^-128 bias
+export const randomBelow = (bound) => {
+  const bytes = Math.ceil(bound.toString(16).length / 2) + 16;
+  return BigInt('0x' + crypto.randomBytes(bytes).toString('hex')) % bound;
+};
+
+// Random r in Z*_N
+export const randomUnit = (N) => {
+  while (true) {
+    const r = randomBelow(N);
+    if (r > 0n && gcd(r, N) === 1n) return r;
+  }
+};
+
+export const bitLength = (value) => value.toString(2).length;
+
+/**
+ * @param {number} [bits=2048] Size of the modulus N, an even number of bits.
+ * @return {Object} { publicKey: { N }, privateKey: { N, lambda, mu } },
+ * where N has exactly `bits` bits and lambda is φ(N).
+ */
+export const generateKeyPair = (bits = 2048) => {
+  if (!Number.isInteger(bits) || bits < 16 || bits % 2 !== 0) {
+    throw new Error(`Paillier modulus size must be an even number of bits, not ${bits}`);
+  }
+  while (true) {
+    const p = crypto.generatePrimeSync(bits / 2, { bigint: true });
+    const q = crypto.generatePrimeSync(bits / 2, { bigint: true });
+    if (p === q) continue;
+
+    const N = p * q;
+    if (bitLength(N) !== bits) continue;
+    const lambda = (p - 1n) * (q - 1n);
+    if (gcd(N, lambda) !== 1n) continue;
+
+    return {
+      publicKey: { N },
+      privateKey: { N, lambda, mu: modInverse(lambda, N) }
+    };
+  }
+};
+
+// Enc(m; r), with a fresh random r unless one is given (to prove things
+// about the ciphertext, see paillier-proofs.js)
+export const encrypt = ({ N }, m, r = randomUnit(N)) => {
+  const N2 = N * N;
+  const plaintext = ((m % N) + N) % N;
+  return ((1n + plaintext * N) * modPow(r, N, N2)) % N2;
+};
+
+export const decrypt = ({ N, lambda, mu }, c) => {
+  const N2 = N * N;
+  if (c <= 0n || c >= N2) {
+    throw new Error('Ciphertext out of range');
+  }
+  const u = modPow(c, lambda, N2);
+  return (((u - 1n) / N) * mu) % N;
+};
+
+// Enc(a) ⊕ Enc(b) = Enc(a + b)
+export const add = ({ N }, c1, c2) => (c1 * c2) % (N * N);
+
+// k ⊗ Enc(a) = Enc(k·a)
+export const multiply = ({ N }, c, k) => modPow(c, k, N * N);
+
+// Checks a ciphertext is a plausible element of Z*_{N²}
+export const isCiphertext = ({ N }, c) =>
+  typeof c === 'bigint' && c > 0n && c < N * N && gcd(c, N) === 1n;
@@ -0,0 +1,51 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+import { toHex } from './scalar-field.js';
+import { evaluateCommitments } from './feldman-vss.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Pedersen verifiable secret sharing over secp256k1: a dealer shares f with
+ * a random blinding polynomial f' and publishes C_i = g^{a_i}·h^{b_i}. A
+ * share (x, f(x), f'(x)) is checked the same way as with Feldman, but the
+ * commitments are perfectly hiding, so C_0 reveals nothing about f(0).
+ *
+ * h is a second generator whose discrete log to g nobody knows: it is
+ * derived by hashing a fixed tag onto the curve (try-and-increment).
+ */
+
+const H_TAG = 'dkg-orbitdb/pedersen-h/secp256k1';
+
+const deriveH = () => {
+  for (let counter = 0; ; counter++) {
+    const x = crypto.createHash('sha256').update(`${H_TAG}|${counter}`).digest('hex');
+    try {
+      const point = ec.curve.pointFromX(x, false);
+      if (point.validate() && !point.isInfinity()) {
+        return point;
+      }
+    } catch {
+      // x is not on the curve, try the next counter
+    }
+  }
+};
+
+export const H = deriveH();
+
+// Public commitments g^{a_i}·h^{b_i} for each coefficient pair
+export const commit = (coefficients, blindingCoefficients) => {
+  if (coefficients.length !== blindingCoefficients.length) {
+    throw new Error('Polynomial and blinding polynomial must have the same degree');
+  }
+  return coefficients.map((coeff, i) =>
+    ec.g.mul(toHex(coeff)).add(H.mul(toHex(blindingCoefficients[i]))).encode('hex')
+  );
+};
+
+// Checks g^{share.y}·h^{share.blinding} == ∏ C_i^{share.x^i}
+export const verifyShare = (share, commitments) => {
+  const leftSide = ec.g.mul(share.y).add(H.mul(share.blinding));
+  const rightSide = evaluateCommitments(commitments, share.x);
+  return leftSide.eq(rightSide);
+};
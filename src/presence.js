@@ -0,0 +1,131 @@
+import { EventEmitter } from 'events';
+import canonical from './utils/canonical-json.js';
+
+const INTERVAL = 1000;
+
+const encode = (value) => new TextEncoder().encode(JSON.stringify(value));
+const decode = (bytes) => JSON.parse(new TextDecoder().decode(bytes));
+
+/**
+ * Tracks which session participants are online through signed heartbeats
+ * on a gossipsub topic.
+ *
+ * Every `interval` ms each participant publishes { from, identity, time,
+ * signature }, signed with its OrbitDB identity over the topic, sender and
+ * time. A heartbeat counts only if that identity is in the roster and
+ * signed it, and if it is newer than the sender's last one and within
+ * `ttl` of our clock, so replayed heartbeats are ignored. A participant is
+ * online until `ttl` ms pass without one.
+ *
+ * `events` emits 'online' and 'offline' with the participant id as they
+ * come and go.
+ */
+class Presence {
+  constructor({ pubsub, topic, identity, identities, roster, interval = INTERVAL, ttl = 3 * interval, log = console.log }) {
+    this.pubsub = pubsub;
+    this.topic = topic;
+    this.identity = identity;
+    this.identities = identities;
+    this.roster = roster;
+    this.interval = interval;
+    this.ttl = ttl;
+    this.log = log;
+
+    this.lastSeen = new Map(); // participant => our time of its last heartbeat
+    this.lastSent = new Map(); // participant => `time` of its last heartbeat
+    this.signers = new Map(); // identity hash => verified identity, or null
+    this.events = new EventEmitter();
+    this.timer = null;
+    this.started = false; // we count as online from start() to stop()
+
+    this.onMessage = (event) => {
+      if (event.detail.topic !== this.topic) return;
+      this.receive(event.detail.data).catch(error => {
+        this.log(`${this.identity.id}: ❌ Bad heartbeat: ${error.message}`);
+      });
+    };
+  }
+
+  async start() {
+    this.started = true;
+    this.pubsub.addEventListener('message', this.onMessage);
+    this.pubsub.subscribe(this.topic);
+    await this.beat();
+    this.timer = setInterval(() => {
+      this.beat().catch(error => this.log(`${this.identity.id}: ❌ Heartbeat failed: ${error.message}`));
+      this.expire();
+    }, this.interval);
+  }
+
+  stop() {
+    this.started = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.pubsub.removeEventListener('message', this.onMessage);
+    this.pubsub.unsubscribe(this.topic);
+  }
+
+  // What a heartbeat's signature covers
+  statement({ from, time }) {
+    return canonical({ topic: this.topic, from, time });
+  }
+
+  async beat() {
+    const heartbeat = { from: this.identity.id, identity: this.identity.hash, time: Date.now() };
+    heartbeat.signature = await this.identity.sign(this.identity, this.statement(heartbeat));
+    await this.pubsub.publish(this.topic, encode(heartbeat));
+  }
+
+  // The identity stored as `hash`, if it is valid
+  async signer(hash) {
+    if (!this.signers.has(hash)) {
+      const identity = await this.identities.getIdentity(hash);
+      const valid = identity && await this.identities.verifyIdentity(identity);
+      this.signers.set(hash, valid ? identity : null);
+    }
+    return this.signers.get(hash);
+  }
+
+  async receive(data) {
+    const { from, identity: hash, time, signature } = decode(data);
+    if (!this.roster.has(from) || from === this.identity.id) return;
+    if (!Number.isInteger(time) || Math.abs(Date.now() - time) > this.ttl || time <= (this.lastSent.get(from) || 0)) return;
+
+    const identity = typeof hash === 'string' ? await this.signer(hash) : null;
+    if (!identity || identity.id !== from) return;
+    if (!(await this.identities.verify(signature, identity.publicKey, this.statement({ from, time })))) return;
+
+    const wasOnline = this.isOnline(from);
+    this.lastSent.set(from, time);
+    this.lastSeen.set(from, Date.now());
+    if (!wasOnline) {
+      this.events.emit('online', from);
+    }
+  }
+
+  // Report participants whose heartbeats stopped
+  expire() {
+    for (const [id, seen] of this.lastSeen) {
+      if (Date.now() - seen > this.ttl) {
+        this.lastSeen.delete(id);
+        this.events.emit('offline', id);
+      }
+    }
+  }
+
+  isOnline(id) {
+    if (id === this.identity.id) return this.started;
+    const seen = this.lastSeen.get(id);
+    return seen !== undefined && Date.now() - seen <= this.ttl;
+  }
+
+  /**
+   * Participants heard from within the last `ttl` ms, ourselves included,
+   * in roster order.
+   */
+  online() {
+    return this.roster.ids.filter(id => this.isOnline(id));
+  }
+}
+
+export default Presence;
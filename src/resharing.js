@@ -0,0 +1,355 @@
+import * as field from './scalar-field.js';
+import * as groupKey from './group-key.js';
+import { lagrangeCoefficient } from './lagrange.js';
+
+// Complaints as `holder->dealer`, from the holders' verifications
+const complaintsIn = (verifications) =>
+  [...verifications].flatMap(([from, against]) => against.filter(dealer => dealer !== from).map(dealer => `${from}->${dealer}`));
+
+/**
+ * Resharing of a finished DKG's group key to a new roster and threshold,
+ * run over a new session log whose manifest links to the old one as
+ * `previous` { address, groupPublicKey, threshold, dealers }.
+ *
+ * Each dealer j, any old holder, weights its old share s_j with its Lagrange coefficient λ_j over the dealers and
+ * deals it like a DKG dealer would: a polynomial g_j of the new threshold's
+ * degree with g_j(0) = λ_j·s_j, committed with Feldman commitments, and
+ * shares encrypted to the keys the new holders published. Holder i's new
+ * share is s'_i = Σ_j g_j(i), and the group key
+ *
+ *   Π_j g^{g_j(0)} = g^{Σ_j λ_j·s_j} = Y
+ *
+ * stays the same. Every holder checks that, and old holders also check
+ * each dealer's constant term against its old verification share, Y_j^λ_j,
+ * to name a dealer that cheats. The old shares interpolate to the secret
+ * with each other but not with the new ones.
+ *
+ * As in the DKG, a holder whose share fails complains in its
+ * reshare_verification, and the accused dealer answers with a
+ * reshare_justification revealing that share. Once every holder has
+ * written reshare_justifications_closed, the dealers left out are those
+ * with a complaint they did not justify, in the causal history of those
+ * entries, or, for old holders, whose constant term is not Y_j^λ_j. The
+ * others keep their deals, scaled from λ_j over every dealer to λ_j over
+ * the ones that remain, which still interpolate to the secret as long as
+ * there are at least the old threshold of them; with fewer the resharing
+ * is aborted. Holders outside the old group cannot check constant terms
+ * and, should a dealer only old holders left out remain, fail on the
+ * group key instead.
+ *
+ * Dealers need not be in the new roster: a device leaving the group deals
+ * its share to the new log, whose access controller takes a
+ * reshare_commitment from any dealer the manifest lists, and ends there,
+ * holding no new share.
+ */
+class Resharer {
+  constructor({ participant, oldSession = null, log = console.log }) {
+    this.participant = participant;
+    this.oldSession = oldSession; // the old session's, for old holders
+    this.log = log;
+    this.keyed = new Set(); // holders that published an encryption key
+    this.dealt = new Map(); // dealer => { index, commitments, shares }
+    this.verifications = new Map(); // holder => dealers it complained about
+    this.justifications = new Map(); // `${holder}->${dealer}` => revealed share
+    this.closed = new Set(); // holders that wrote reshare_justifications_closed
+
+    participant.addMessageHandler('reshare_key', data => this.onKey(data));
+    participant.addMessageHandler('reshare_commitment', data => this.onCommitment(data));
+    participant.addMessageHandler('reshare_verification', data => this.onVerification(data));
+    participant.addMessageHandler('reshare_justification', data => this.onJustification(data));
+    participant.addMessageHandler('reshare_justifications_closed', data => this.closed.add(data.from));
+  }
+
+  get previous() {
+    return this.participant.manifest.previous;
+  }
+
+  get dealers() {
+    return this.previous.dealers;
+  }
+
+  onKey(data) {
+    if (this.keyed.has(data.from)) return;
+    this.keyed.add(data.from);
+    if (data.from !== this.participant.participantId) {
+      this.participant.encryptionKeys.set(data.from, data.encryptionKey);
+    }
+  }
+
+  onCommitment(data) {
+    if (!this.dealers.includes(data.from) || this.dealt.has(data.from)) return;
+    this.dealt.set(data.from, { index: data.index, commitments: data.commitments, shares: data.shares });
+    if (data.from !== this.participant.participantId) {
+      this.participant.publicCommitments.set(data.from, data.commitments);
+    }
+  }
+
+  onVerification(data) {
+    if (!this.verifications.has(data.from)) {
+      this.verifications.set(data.from, data.complaints);
+    }
+  }
+
+  onJustification(data) {
+    const key = `${data.to}->${data.from}`;
+    if (!this.justifications.has(key)) {
+      this.justifications.set(key, data.share);
+    }
+  }
+
+  // Y_j^λ_j for `dealer`, from the old session's verification shares
+  expectedConstant(dealer) {
+    const { roster, verificationShares } = this.oldSession.participant;
+    const lambda = lagrangeCoefficient(roster.indexOf(dealer), this.dealers.map(id => roster.indexOf(id)));
+    return groupKey.decodePoint(verificationShares.get(dealer)).mul(field.toHex(lambda));
+  }
+
+  // Whether `dealer` dealt its old share at its old index, as far as our
+  // old session tells; holders outside the old group cannot check
+  dealtOldShare(dealer) {
+    if (!this.oldSession) return true;
+    const { index, commitments } = this.dealt.get(dealer);
+    return index === this.oldSession.participant.indexOf(dealer) &&
+      groupKey.decodePoint(commitments[0]).eq(this.expectedConstant(dealer));
+  }
+
+  // Our share from `dealer`, or null if it cannot be decrypted
+  openShare(dealer, shares) {
+    const { participant } = this;
+    try {
+      return participant.decryptShare(shares[participant.participantId], dealer);
+    } catch (error) {
+      this.log(`${participant.participantId}: ❌ Unreadable reshared share from ${dealer}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Phase 1: publish the key our new shares are encrypted to, saved first
+  // so a restarted holder can still decrypt them
+  async publishKey() {
+    const { participant } = this;
+    await participant.saveSecrets();
+    await participant.publish({
+      type: 'reshare_key',
+      from: participant.participantId,
+      encryptionKey: participant.encryptionKey.getPublic(true, 'hex'),
+      timestamp: Date.now()
+    });
+  }
+
+  // Phase 2: a dealer deals its weighted old share to the new roster
+  async deal() {
+    const { participant } = this;
+    const { participantId } = participant;
+    if (!this.dealers.includes(participantId)) return;
+
+    // A restored dealer keeps its polynomial, as for a DKG dealer
+    if (!participant.polynomial) {
+      const old = this.oldSession.participant;
+      const lambda = lagrangeCoefficient(old.indexOf(participantId), this.dealers.map(id => old.indexOf(id)));
+      this.log(`${participantId}: 🔀 Resharing our share to ${participant.participants.length} holders (threshold=${participant.threshold})`);
+      participant.polynomial = field.randomPolynomial(participant.threshold - 1, field.mul(lambda, field.fromHex(old.finalShareValue)));
+      await participant.saveSecrets();
+    }
+    participant.dealShares();
+
+    const shares = Object.fromEntries(participant.roster.others(participantId).map(id => [
+      id,
+      participant.encryptShare(participant.shares.get(id), id)
+    ]));
+    await participant.publish({
+      type: 'reshare_commitment',
+      from: participantId,
+      index: this.oldSession.participant.indexOf(participantId),
+      commitments: participant.commitments,
+      shares,
+      timestamp: Date.now()
+    });
+    if (participant.roster.has(participantId)) {
+      participant.receivedShares.set(participantId, participant.shares.get(participantId));
+    }
+  }
+
+  // Phase 3: check our share from every dealer, and, as an old holder, that
+  // the dealer reshared its actual old share
+  async verify() {
+    const { participant } = this;
+    const complaints = [];
+
+    for (const dealer of this.dealers) {
+      if (dealer === participant.participantId) continue;
+      const { commitments, shares } = this.dealt.get(dealer);
+      const share = this.openShare(dealer, shares);
+
+      if (share !== null && participant.verifyShare(share, commitments) && this.dealtOldShare(dealer)) {
+        participant.receivedShares.set(dealer, share);
+      } else {
+        this.log(`${participant.participantId}: ❌ Invalid reshared share from ${dealer}`);
+        complaints.push(dealer);
+      }
+    }
+
+    await participant.publish({
+      type: 'reshare_verification',
+      from: participant.participantId,
+      complaints,
+      timestamp: Date.now()
+    });
+  }
+
+  // Phase 4a: answer every complaint against our deal by revealing the
+  // disputed share, so every holder can check it against our commitments
+  async justify() {
+    const { participant } = this;
+    for (const complaint of complaintsIn(this.verifications)) {
+      const [complainer, dealer] = complaint.split('->');
+      if (dealer !== participant.participantId) continue;
+
+      this.log(`${participant.participantId}: 📢 Revealing reshared share for ${complainer} to answer their complaint`);
+      await participant.publish({
+        type: 'reshare_justification',
+        from: participant.participantId,
+        to: complainer,
+        share: participant.shares.get(complainer),
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  // Accused dealers that have not answered every complaint yet
+  unanswered() {
+    const pending = complaintsIn(this.verifications).filter(complaint => !this.justifications.has(complaint));
+    return [...new Set(pending.map(complaint => complaint.split('->')[1]))];
+  }
+
+  // Phase 4b: tell the others we have stopped waiting for justifications
+  async closeJustifications() {
+    await this.participant.publish({
+      type: 'reshare_justifications_closed',
+      from: this.participant.participantId,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * The complaints and justifications in the causal history of every
+   * holder's reshare_justifications_closed entry, which every peer reads
+   * alike once those entries are all in.
+   */
+  async closedInputs() {
+    const { participant } = this;
+    const history = await participant.historyOf(message => message.type === 'reshare_justifications_closed');
+    const verifications = new Map();
+    const justifications = new Map();
+    for (const hash of history) {
+      const message = participant.logged.get(hash);
+      if (!message) continue;
+      if (message.type === 'reshare_verification' && !verifications.has(message.from)) {
+        verifications.set(message.from, message.complaints);
+      }
+      if (message.type === 'reshare_justification' && !justifications.has(`${message.to}->${message.from}`)) {
+        justifications.set(`${message.to}->${message.from}`, message.share);
+      }
+    }
+    return { complaints: complaintsIn(verifications), justifications };
+  }
+
+  // Why `dealer` is left out of the resharing, or null if its deal stands:
+  // every complaint against it needs a revealed share that checks out
+  disqualificationReason(dealer, { complaints, justifications }) {
+    const { participant } = this;
+    if (!this.dealtOldShare(dealer)) {
+      return 'did not deal its old share';
+    }
+    const { commitments } = this.dealt.get(dealer);
+    for (const complaint of complaints) {
+      const [complainer, against] = complaint.split('->');
+      if (against !== dealer) continue;
+      const share = justifications.get(complaint);
+      if (!share) {
+        return `no justification for ${complainer}`;
+      }
+      if (share.x !== participant.indexOf(complainer) || !participant.verifyShare(share, commitments)) {
+        return `invalid justification for ${complainer}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Phase 4c: decides which dealers stay, on what the log held once every
+   * holder closed the justify phase. Throws, with `cheaters` naming the
+   * dealers left out, if fewer than the old threshold remain.
+   *
+   * @return {Array<string>} The dealers kept, in roster order.
+   */
+  async qualify() {
+    const { participant } = this;
+    const inputs = await this.closedInputs();
+    const disqualified = new Map();
+    for (const dealer of this.dealers) {
+      const reason = this.disqualificationReason(dealer, inputs);
+      if (reason) {
+        disqualified.set(dealer, reason);
+        this.log(`${participant.participantId}: 🚫 Left ${dealer} out of the resharing: ${reason}`);
+      }
+    }
+    const qualified = this.dealers.filter(dealer => !disqualified.has(dealer));
+    const cheaters = this.dealers.filter(dealer => disqualified.has(dealer));
+    if (qualified.length < this.previous.threshold) {
+      const error = new Error(`Resharing aborted: only ${qualified.length} of ${this.previous.threshold} dealers qualified, left out ${cheaters.join(', ')}`);
+      error.cheaters = cheaters;
+      throw error;
+    }
+
+    // Shares revealed in valid justifications replace the ones we complained about
+    for (const dealer of qualified) {
+      const revealed = inputs.justifications.get(`${participant.participantId}->${dealer}`);
+      if (revealed) {
+        participant.receivedShares.set(dealer, revealed);
+      }
+    }
+    return qualified;
+  }
+
+  // Scales each kept deal, and its commitments, from λ_j over every dealer
+  // to λ_j over `qualified`, so that their shares still add up to shares
+  // of the secret
+  reweight(qualified) {
+    const { participant } = this;
+    const indexOf = dealer => this.dealt.get(dealer).index;
+    const everyDealer = this.dealers.map(indexOf);
+    const kept = qualified.map(indexOf);
+    for (const dealer of qualified) {
+      const factor = field.mul(lagrangeCoefficient(indexOf(dealer), kept), field.inv(lagrangeCoefficient(indexOf(dealer), everyDealer)));
+      const share = participant.receivedShares.get(dealer);
+      participant.receivedShares.set(dealer, { ...share, y: field.toHex(field.mul(field.fromHex(share.y), factor)) });
+      const commitments = this.dealt.get(dealer).commitments.map(commitment =>
+        groupKey.encodePoint(groupKey.decodePoint(commitment).mul(field.toHex(factor))));
+      if (dealer === participant.participantId) {
+        participant.commitments = commitments;
+      } else {
+        participant.publicCommitments.set(dealer, commitments);
+      }
+    }
+  }
+
+  // Phase 5: add up our new share from the `qualified` dealers and check
+  // the group key did not change
+  finalize(qualified) {
+    const { participant } = this;
+    if (qualified.length < this.dealers.length) {
+      this.reweight(qualified);
+    }
+
+    participant.qualified = new Set(qualified);
+    const finalShare = participant.computeFinalShare();
+    participant.computeGroupKey();
+    if (participant.groupPublicKey !== this.previous.groupPublicKey) {
+      throw new Error(`Reshared group key ${participant.groupPublicKey} differs from ${this.previous.groupPublicKey}`);
+    }
+    return finalShare;
+  }
+}
+
+export default Resharer;
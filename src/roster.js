@@ -0,0 +1,59 @@
+/**
+ * The ordered set of participants in a session and their share indices.
+ *
+ * Every peer sorts the same ids the same way, so each participant gets the
+ * same non-zero x-coordinate everywhere regardless of the order the ids
+ * were passed in or what they look like.
+ *
+ * @param {Array<string>} participantIds OrbitDB identity ids (or any
+ * unique, non-empty strings).
+ * @return {Object} The roster.
+ */
+const createRoster = (participantIds) => {
+  if (!Array.isArray(participantIds) || participantIds.length === 0) {
+    throw new Error('A roster needs at least one participant');
+  }
+  for (const id of participantIds) {
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new Error(`Invalid participant id: ${id}`);
+    }
+  }
+  if (new Set(participantIds).size !== participantIds.length) {
+    throw new Error('Roster contains duplicate participant ids');
+  }
+
+  const ids = [...participantIds].sort();
+  const indices = new Map(ids.map((id, i) => [id, i + 1]));
+
+  const has = (id) => indices.has(id);
+
+  // Share x-coordinate of a participant, starting at 1 (0 is the secret)
+  const indexOf = (id) => {
+    const index = indices.get(id);
+    if (index === undefined) {
+      throw new Error(`Unknown participant ${id}`);
+    }
+    return index;
+  };
+
+  const idOf = (index) => {
+    const id = ids[index - 1];
+    if (id === undefined) {
+      throw new Error(`No participant at index ${index}`);
+    }
+    return id;
+  };
+
+  const others = (id) => ids.filter(other => other !== id);
+
+  return {
+    ids,
+    size: ids.length,
+    has,
+    indexOf,
+    idOf,
+    others
+  };
+};
+
+export default createRoster;
@@ -0,0 +1,101 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Arithmetic in the scalar field of secp256k1, i.e. integers modulo the
+ * group order n. Every polynomial coefficient, share and exponent in the
+ * protocol lives here, so all of them go through these helpers instead of
+ * raw BigInt or Number math.
+ */
+
+// Order of the secp256k1 base point
+export const N = BigInt('0x' + ec.n.toString(16));
+
+export const mod = (a) => {
+  const r = BigInt(a) % N;
+  return r < 0n ? r + N : r;
+};
+
+export const add = (a, b) => mod(BigInt(a) + BigInt(b));
+
+export const sub = (a, b) => mod(BigInt(a) - BigInt(b));
+
+export const mul = (a, b) => mod(BigInt(a) * BigInt(b));
+
+export const neg = (a) => mod(-BigInt(a));
+
+// Square-and-multiply; negative exponents are not supported, use inv()
+export const pow = (base, exponent) => {
+  let e = BigInt(exponent);
+  if (e < 0n) {
+    throw new Error('Negative exponent');
+  }
+
+  let result = 1n;
+  let b = mod(base);
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % N;
+    b = (b * b) % N;
+    e >>= 1n;
+  }
+  return result;
+};
+
+// Modular inverse via the extended Euclidean algorithm
+export const inv = (a) => {
+  let r0 = mod(a);
+  if (r0 === 0n) {
+    throw new Error('Zero has no inverse');
+  }
+
+  let r1 = N;
+  let s0 = 1n;
+  let s1 = 0n;
+  while (r1 !== 0n) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1];
+  }
+  return mod(s0);
+};
+
+// Uniformly random non-zero scalar (rejection sampling, no modulo bias)
+export const random = () => {
+  while (true) {
+    const candidate = BigInt('0x' + crypto.randomBytes(32).toString('hex'));
+    if (candidate > 0n && candidate < N) {
+      return candidate;
+    }
+  }
+};
+
+// Fixed-width (64 char) hex, the wire format for scalars in log entries
+export const toHex = (a) => mod(a).toString(16).padStart(64, '0');
+
+export const fromHex = (hex) => {
+  if (typeof hex !== 'string' || !/^(0x)?[0-9a-fA-F]+$/.test(hex)) {
+    throw new Error(`Invalid scalar hex: ${hex}`);
+  }
+  return mod(BigInt(hex.startsWith('0x') ? hex : '0x' + hex));
+};
+
+// Evaluate f(x) = c0 + c1*x + c2*x^2 + ... with Horner's rule
+export const evaluatePolynomial = (coefficients, x) => {
+  const point = mod(x);
+  let result = 0n;
+  for (let i = coefficients.length - 1; i >= 0; i--) {
+    result = add(mul(result, point), coefficients[i]);
+  }
+  return result;
+};
+
+// Random polynomial of the given degree with `constant` as f(0)
+export const randomPolynomial = (degree, constant = random()) => {
+  const coefficients = [mod(constant)];
+  for (let i = 0; i < degree; i++) {
+    coefficients.push(random());
+  }
+  return coefficients;
+};
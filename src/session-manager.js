@@ -0,0 +1,177 @@
+import { EventEmitter } from 'events';
+import createDKGSession from './dkg-session.js';
+
+// Session events the manager passes on, tagged with the session's name
+const EVENTS = ['phase', 'progress', 'complete', 'failed', 'violation', 'equivocation', 'presence'];
+
+// Phases a session no longer leaves
+const FINISHED = ['done', 'failed'];
+
+// What we are in a session, from the options it was opened with
+const roleOf = ({ address, reshare, recover }, participantId) => {
+  if (recover) return 'device';
+  if (reshare) return reshare.dealers.includes(participantId) ? 'dealer' : 'holder';
+  return address ? 'participant' : 'creator';
+};
+
+/**
+ * Keeps many DKG sessions open on one OrbitDB instance, e.g. one per key a
+ * wallet holds, each under a local name.
+ *
+ * create() starts a new session log, named after the session, and join()
+ * opens another peer's by address. Each session keeps its own log,
+ * participant and signers, so their entries never mix; the manager's
+ * `events` emitter repeats every session's events with the session's name
+ * added as `session`, e.g. 'phase' { session, phase, deadline }, and emits
+ * 'opened' and 'closed' { session, address } as sessions come and go.
+ *
+ * Options given to the manager, such as `secretStore`, `timeout` or
+ * `directDelivery`, apply to every session it opens unless the session's
+ * own options override them. With a secret store, a finished session can
+ * be closed to free its log and joined again by address to sign.
+ *
+ * @param {Object} options
+ * @param {Object} options.orbitdb The local OrbitDB instance.
+ * @param {Function} [options.createSession] Opens a session, by default
+ * createDKGSession (see dkg-session.js).
+ * @param {Function} [options.log=console.log] Progress logger.
+ * @return {Object} The session manager.
+ */
+const createSessionManager = ({ orbitdb, createSession = createDKGSession, log = console.log, ...defaults }) => {
+  if (!orbitdb) {
+    throw new Error('An OrbitDB instance is required');
+  }
+
+  const events = new EventEmitter();
+  const sessions = new Map(); // name => { session, role, forwarders }
+  const opening = new Set(); // names of sessions still being opened
+
+  const checkName = (name) => {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('A session needs a non-empty name');
+    }
+    if (sessions.has(name) || opening.has(name)) {
+      throw new Error(`A session named ${name} is already open`);
+    }
+  };
+
+  const open = async (name, options) => {
+    checkName(name);
+    opening.add(name);
+    let session;
+    try {
+      session = await createSession({ log, ...defaults, ...options, orbitdb, name });
+    } finally {
+      opening.delete(name);
+    }
+
+    const forwarders = EVENTS.map(event => [event, (payload) => events.emit(event, { session: name, ...payload })]);
+    for (const [event, forward] of forwarders) {
+      session.events.on(event, forward);
+    }
+    sessions.set(name, { session, role: roleOf(options, orbitdb.identity.id), forwarders });
+
+    log(`📂 Opened session ${name} (${session.address})`);
+    events.emit('opened', { session: name, address: session.address });
+    return session;
+  };
+
+  /**
+   * Starts a new session log called `name`, with options as for
+   * createDKGSession (threshold, participants, mode, reshare, ...).
+   * Resolves with the session once its manifest is written.
+   */
+  const create = (name, options = {}) => {
+    if (options.address) {
+      throw new Error('A new session has no address yet; join() opens an existing one');
+    }
+    return open(name, options);
+  };
+
+  /**
+   * Opens the session at `options.address` under the local `name`, with
+   * options as for createDKGSession. Resolves with the session once its
+   * manifest checks out.
+   */
+  const join = (name, options = {}) => {
+    if (!options.address) {
+      throw new Error(`Joining ${name} needs the session's address`);
+    }
+    return open(name, options);
+  };
+
+  const get = (name) => {
+    if (!sessions.has(name)) {
+      throw new Error(`No open session named ${name}`);
+    }
+    return sessions.get(name).session;
+  };
+
+  const has = (name) => sessions.has(name);
+
+  /**
+   * Every open session in the order it was opened: { name, address, role,
+   * phase, threshold, participants, groupPublicKey }. The role is 'creator'
+   * or 'participant', or for resharing 'dealer' or 'holder', or 'device'
+   * for a device recovering a lost share. The group key is null until the
+   * session completes.
+   */
+  const list = () => [...sessions].map(([name, { session, role }]) => ({
+    name,
+    address: session.address,
+    role,
+    phase: session.phase,
+    threshold: session.participant.threshold,
+    participants: session.roster.ids,
+    groupPublicKey: session.participant.groupPublicKey || null
+  }));
+
+  const close = async (name) => {
+    const { session, forwarders } = sessions.get(name) || {};
+    if (!session) {
+      throw new Error(`No open session named ${name}`);
+    }
+    sessions.delete(name);
+    for (const [event, forward] of forwarders) {
+      session.events.off(event, forward);
+    }
+    await session.close();
+
+    log(`📁 Closed session ${name}`);
+    events.emit('closed', { session: name, address: session.address });
+  };
+
+  /**
+   * Closes every session that completed or failed. Resolves with their
+   * names.
+   */
+  const closeFinished = async () => {
+    const finished = [...sessions].filter(([, { session }]) => FINISHED.includes(session.phase)).map(([name]) => name);
+    for (const name of finished) {
+      await close(name);
+    }
+    return finished;
+  };
+
+  // Closes every open session, e.g. before stopping OrbitDB; a run still in
+  // progress fails at once with 'Session closed'
+  const closeAll = async () => {
+    for (const name of [...sessions.keys()]) {
+      await close(name);
+    }
+  };
+
+  return {
+    events,
+    create,
+    join,
+    get,
+    has,
+    list,
+    close,
+    closeFinished,
+    closeAll
+  };
+};
+
+export default createSessionManager;
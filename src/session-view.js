@@ -0,0 +1,142 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Indexed, read-only view of a session log.
+ *
+ * Looking something up in an OrbitDB events log means iterating all of it,
+ * which gets slow once a session has hundreds of entries and is polled on
+ * every update. The view instead indexes each entry once, as it arrives,
+ * by type, by sender and by recipient, and answers queries such as "the
+ * commitments by dealer", "the shares addressed to me" or "the open
+ * complaints" from those indexes.
+ *
+ * The view keeps the first message of a type from each sender, like the
+ * participant does, and does not check messages: on a session log the
+ * access controller has already refused bad entries (see
+ * dkg-access-controller.js).
+ *
+ * Its `events` emit 'entry' { hash, message } for each indexed entry, and
+ * 'error' { hash, error } when a synced entry could not be indexed, e.g.
+ * because an ancestor could not be fetched; the entry is indexed again on
+ * the next update that reaches it.
+ *
+ * @param {Object} options
+ * @param {Object} options.db An open OrbitDB events database.
+ * @param {Function} [options.log=console.log] Logger for entries that
+ * could not be indexed.
+ * @return {Promise<Object>} The view, with the log's current entries indexed.
+ */
+const createSessionView = async ({ db, log = console.log }) => {
+  const events = new EventEmitter();
+
+  const indexed = new Set(); // entry hashes
+  const byType = new Map(); // type => Map(hash => message)
+  const bySender = new Map(); // `${type}|${from}` => first message
+  const byRecipient = new Map(); // `${type}|${to}` => Map(from => first message)
+  const complaints = new Map(); // `${complainer}->${dealer}` => first complaint
+  const justified = new Set(); // `${complainer}->${dealer}` answered by the dealer
+
+  const add = (hash, message) => {
+    const { type, from, to } = message;
+    if (!byType.has(type)) byType.set(type, new Map());
+    byType.get(type).set(hash, message);
+
+    if (!bySender.has(`${type}|${from}`)) bySender.set(`${type}|${from}`, message);
+    if (to !== undefined) {
+      const key = `${type}|${to}`;
+      if (!byRecipient.has(key)) byRecipient.set(key, new Map());
+      if (!byRecipient.get(key).has(from)) byRecipient.get(key).set(from, message);
+    }
+    if (type === 'complaint' && !complaints.has(`${from}->${message.against}`)) {
+      complaints.set(`${from}->${message.against}`, message);
+    }
+    if (type === 'justification') justified.add(`${to}->${from}`);
+
+    events.emit('entry', { hash, message });
+  };
+
+  // Index an entry and whichever of its ancestors we have not seen, oldest
+  // first, as OrbitDB only reports the heads it syncs
+  const ingest = async (entry) => {
+    const pending = [];
+    const visited = new Set();
+    const stack = [entry];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (indexed.has(current.hash) || visited.has(current.hash)) continue;
+      visited.add(current.hash);
+      pending.push(current);
+
+      for (const hash of current.next) {
+        if (!indexed.has(hash) && !visited.has(hash)) {
+          const parent = await db.log.get(hash);
+          if (parent) stack.push(parent);
+        }
+      }
+    }
+
+    pending.sort((a, b) => a.clock.time - b.clock.time);
+    // Only now are the entries indexed, so one whose ancestors could not be
+    // fetched is walked again on the next update
+    for (const current of pending) {
+      if (indexed.has(current.hash)) continue;
+      indexed.add(current.hash);
+      const message = current.payload.value;
+      if (message !== null && typeof message === 'object' && typeof message.type === 'string') {
+        add(current.hash, message);
+      }
+    }
+  };
+
+  const onUpdate = (entry) => ingest(entry).catch(error => {
+    log(`❌ Could not index entry ${entry.hash}: ${error.message}`);
+    if (events.listenerCount('error') > 0) {
+      events.emit('error', { hash: entry.hash, error });
+    }
+  });
+  db.events.on('update', onUpdate);
+  for (const head of await db.log.heads()) {
+    await ingest(head);
+  }
+
+  /**
+   * Every message of `type`, in the order they were indexed.
+   */
+  const messages = (type) => [...(byType.get(type) || new Map()).values()];
+
+  /**
+   * The first message of `type` from each sender, by sender; by default
+   * each dealer's commitments.
+   */
+  const byDealer = (type = 'public_commitment') =>
+    new Map(messages(type).map(({ from }) => [from, bySender.get(`${type}|${from}`)]));
+
+  /**
+   * Messages of `type` addressed to `recipient`, by sender; by default the
+   * shares dealt to it.
+   */
+  const addressedTo = (recipient, type = 'share_distribution') => new Map(byRecipient.get(`${type}|${recipient}`) || []);
+
+  /**
+   * Complaints whose dealer has not answered with a justification.
+   */
+  const openComplaints = () => [...complaints].filter(([key]) => !justified.has(key)).map(([, complaint]) => complaint);
+
+  const close = () => {
+    db.events.off('update', onUpdate);
+  };
+
+  return {
+    events,
+    get size() {
+      return indexed.size;
+    },
+    messages,
+    byDealer,
+    addressedTo,
+    openComplaints,
+    close
+  };
+};
+
+export default createSessionView;
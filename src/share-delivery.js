@@ -0,0 +1,114 @@
+import { lpStream } from 'it-length-prefixed-stream';
+import { peerIdFromString } from '@libp2p/peer-id';
+import { validateMessage } from './message-schemas.js';
+import waitForEvent from './utils/wait-for-event.js';
+
+const PROTOCOL = '/dkg-orbitdb/share/1.0.0';
+
+// A share_distribution message is well under this
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const encode = (value) => new TextEncoder().encode(JSON.stringify(value));
+const decode = (bytes) => JSON.parse(new TextDecoder().decode(bytes.subarray()));
+
+/**
+ * Delivers a participant's shares point to point over a libp2p protocol,
+ * instead of writing them to the session log where every peer replicates
+ * and keeps them.
+ *
+ * A participant taking shares this way announces its libp2p peer id with
+ * its commitments. Dealers open a stream to that peer and send the same
+ * ECIES-encrypted share_distribution message they would otherwise write.
+ * The recipient only accepts it from the peer id its dealer announced, and
+ * writes a share_receipt with the ciphertext's digest to the log, so peers
+ * can audit delivery without ever seeing the ciphertext. A recipient that
+ * cannot be reached, or refuses, gets the share through the log instead.
+ *
+ * Each session has its own protocol id, derived from its log address.
+ */
+class ShareDelivery {
+  constructor({ participant, libp2p, timeout = 5000, log = console.log }) {
+    this.participant = participant;
+    this.libp2p = libp2p;
+    this.timeout = timeout;
+    this.log = log;
+    this.protocol = `${PROTOCOL}/${participant.db.address.split('/').pop()}`;
+
+    participant.peerId = libp2p.peerId.toString();
+    participant.delivery = this;
+  }
+
+  async start() {
+    await this.libp2p.handle(this.protocol, ({ stream, connection }) => {
+      this.onStream(stream, connection.remotePeer.toString()).catch(error => {
+        this.log(`${this.participant.participantId}: ❌ Direct share stream failed: ${error.message}`);
+        stream.abort(error);
+      });
+    });
+  }
+
+  async stop() {
+    await this.libp2p.unhandle(this.protocol);
+  }
+
+  // Why a share sent by `remotePeer` must not be taken, or null
+  check(message, remotePeer) {
+    const { participant } = this;
+    const invalid = validateMessage(message, { roster: participant.roster, threshold: participant.threshold });
+    if (invalid) return invalid;
+    if (message.type !== 'share_distribution') return `expected a share_distribution, got ${message.type}`;
+    if (message.to !== participant.participantId) return `share is addressed to ${message.to}`;
+    if (participant.peerIds.get(message.from) !== remotePeer) return `peer ${remotePeer} is not ${message.from}'s announced peer`;
+    return null;
+  }
+
+  async onStream(stream, remotePeer) {
+    const messages = lpStream(stream, { maxDataLength: MAX_MESSAGE_BYTES });
+    const signal = AbortSignal.timeout(this.timeout);
+    const message = decode(await messages.read({ signal }));
+
+    // The dealer may have seen our commitments before we saw its own
+    const { participant } = this;
+    if (message && participant.roster.has(message.from) && !participant.peerIds.has(message.from)) {
+      await waitForEvent(participant.events, 'message', () => participant.peerIds.has(message.from), { timeout: this.timeout / 2 })
+        .catch(() => {});
+    }
+
+    const reason = this.check(message, remotePeer);
+    if (reason) {
+      this.log(`${participant.participantId}: 🚨 Refused direct share from ${remotePeer}: ${reason}`);
+      await messages.write(encode({ accepted: false, reason }), { signal });
+    } else {
+      const accepted = await participant.acceptDirectShare(message);
+      await messages.write(encode({ accepted }), { signal });
+    }
+    await stream.close({ signal });
+  }
+
+  /**
+   * Sends a share_distribution `message` to `recipient`. Resolves to
+   * whether the recipient took it; false means it should go through the
+   * log instead.
+   */
+  async send(recipient, message) {
+    const { participantId } = this.participant;
+    const signal = AbortSignal.timeout(this.timeout);
+    try {
+      const stream = await this.libp2p.dialProtocol(peerIdFromString(this.participant.peerIds.get(recipient)), this.protocol, { signal });
+      const messages = lpStream(stream, { maxDataLength: MAX_MESSAGE_BYTES });
+      await messages.write(encode(message), { signal });
+      const { accepted, reason } = decode(await messages.read({ signal }));
+      await stream.close({ signal });
+
+      if (!accepted) {
+        this.log(`${participantId}: ⚠️  ${recipient} did not take its share directly${reason ? `: ${reason}` : ''}`);
+      }
+      return accepted === true;
+    } catch (error) {
+      this.log(`${participantId}: ⚠️  Could not deliver share to ${recipient} directly (${error.message}), using the log`);
+      return false;
+    }
+  }
+}
+
+export default ShareDelivery;
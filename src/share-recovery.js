@@ -0,0 +1,279 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+import * as field from './scalar-field.js';
+import * as ecies from './ecies.js';
+import * as groupKey from './group-key.js';
+import { lagrangeCoefficient } from './lagrange.js';
+import waitForEvent from './utils/wait-for-event.js';
+import canonical from './utils/canonical-json.js';
+
+const ec = new EC.ec('secp256k1');
+
+const MASK_INFO = 'orbitdb-dkg/recovery-mask/v1';
+
+/**
+ * Recovery of a lost participant's share onto a new device, over the
+ * session's own log, so the group key, address and share indices stay.
+ *
+ * Helpers, at least threshold other holders, each write an `enrollment`
+ * naming the lost participant, the device's OrbitDB identity and every
+ * helper. Once all of them have, the log takes the device's entries in
+ * the lost participant's place, and refuses the lost identity's. The
+ * device writes a recovery_key, and each helper j writes
+ *
+ *   c_j = λ_j(r)·s_j + z_j
+ *
+ * ECIES-encrypted to it, where λ_j(r) is j's Lagrange coefficient at the
+ * lost index r over the helpers and z_j a mask. Each pair of helpers
+ * derives a mask from its DKG encryption keys (ECDH); the lower index adds
+ * it and the higher one subtracts it, so the z_j sum to zero and
+ *
+ *   Σ_j c_j = Σ_j λ_j(r)·s_j = s_r
+ *
+ * Every c_j on its own is uniformly random, so the device learns only s_r,
+ * and helpers learn nothing from sending theirs. The device checks s_r
+ * against the verification share every helper reports. A wrong
+ * contribution shows up there, but masked as it is, not whose it was.
+ *
+ * The lost device's copy of the share stays valid until the group
+ * refreshes (see share-refresh.js), which it should do once recovered.
+ */
+class ShareRecovery {
+  constructor({ participant, timeout = 30000, log = console.log }) {
+    this.participant = participant;
+    this.timeout = timeout;
+    this.log = log;
+    this.enrollments = new Map(); // device => Map(helper => { participant, helpers })
+    this.keys = new Map(); // device => encryption key
+    this.contributions = new Map(); // device => Map(helper => contribution entry)
+
+    participant.addMessageHandler('enrollment', data => this.onEnrollment(data));
+    participant.addMessageHandler('recovery_key', data => this.onKey(data));
+    participant.addMessageHandler('recovery_contribution', data => this.onContribution(data));
+  }
+
+  onEnrollment(data) {
+    const { participant } = this;
+    if (!this.enrollments.has(data.device)) {
+      this.enrollments.set(data.device, new Map());
+    }
+    const claims = this.enrollments.get(data.device);
+    if (!claims.has(data.from)) {
+      claims.set(data.from, { participant: data.participant, helpers: data.helpers });
+    }
+
+    const recovery = this.recoveryOf(data.device);
+    if (recovery && !participant.devices.has(data.device)) {
+      participant.devices.set(data.device, recovery.participant);
+      this.log(`${participant.participantId}: 🪪 ${data.device} enrolled in place of ${recovery.participant}`);
+    }
+  }
+
+  onKey(data) {
+    if (this.keys.has(data.device) || this.participant.devices.get(data.device) !== data.from) return;
+    this.keys.set(data.device, data.encryptionKey);
+    // Whatever is encrypted to the replaced participant now goes to its device
+    if (data.from !== this.participant.participantId) {
+      this.participant.encryptionKeys.set(data.from, data.encryptionKey);
+    }
+  }
+
+  onContribution(data) {
+    if (!this.contributions.has(data.device)) {
+      this.contributions.set(data.device, new Map());
+    }
+    const contributions = this.contributions.get(data.device);
+    if (!contributions.has(data.from)) {
+      contributions.set(data.from, data);
+    }
+  }
+
+  // { participant, helpers } every helper named for `device`, or null while
+  // some have not enrolled it yet
+  recoveryOf(device) {
+    const claims = this.enrollments.get(device);
+    if (!claims) return null;
+    const same = (a, b) => a.participant === b.participant && a.helpers.join(',') === b.helpers.join(',');
+    for (const claim of claims.values()) {
+      if (claim.helpers.every(helper => claims.has(helper) && same(claims.get(helper), claim))) {
+        return claim;
+      }
+    }
+    return null;
+  }
+
+  // Helpers that have not enrolled `device` yet, as far as we can tell
+  pendingHelpers(device) {
+    const recovery = this.recoveryOf(device);
+    if (recovery) return [];
+    const claims = this.enrollments.get(device) || new Map();
+    const [claim] = claims.values();
+    const helpers = claim ? claim.helpers : this.participant.roster.others(this.participant.participantId);
+    return helpers.filter(helper => !claims.has(helper));
+  }
+
+  contributed(device, helper) {
+    return this.contributions.has(device) && this.contributions.get(device).has(helper);
+  }
+
+  // Binds a contribution to this session, the device and its helper
+  context(device, helper) {
+    return `${this.participant.db.address}|recovery|${device}|${helper}`;
+  }
+
+  // The mask we share with helper `other` for recovering onto `device`
+  mask(device, other) {
+    const { participant } = this;
+    const peerKey = participant.encryptionKeys.get(other);
+    if (!peerKey) {
+      throw new Error(`No encryption key published by ${other}`);
+    }
+    const shared = participant.encryptionKey.derive(groupKey.decodePoint(peerKey));
+    const pair = [participant.participantId, other].sort().join('|');
+    const bytes = crypto.hkdfSync('sha256', Buffer.from(shared.toString(16, 64), 'hex'), Buffer.from(this.context(device, pair)), MASK_INFO, 64);
+    return field.mod(BigInt('0x' + Buffer.from(bytes).toString('hex')));
+  }
+
+  /**
+   * Helps recover `participant`'s share onto `device`, together with every
+   * other listed helper, each calling this with the same arguments. Writes
+   * our enrollment of the device, waits for the key it publishes once
+   * enrolled, and writes our blinded contribution to it.
+   *
+   * @param {Object} options
+   * @param {string} options.participant The participant whose share is lost.
+   * @param {string} options.device OrbitDB identity id of its new device.
+   * @param {Array<string>} options.helpers At least threshold participants
+   * helping, ourselves included and the lost one not.
+   * @return {Object} { participant, device, helpers }
+   */
+  async enroll({ participant: lost, device, helpers }) {
+    const { participant } = this;
+    const { participantId, roster, threshold } = participant;
+
+    if (!participant.finalShareValue || !participant.groupPublicKey) {
+      throw new Error('DKG has not completed');
+    }
+    if (!roster.has(lost) || lost === participantId) {
+      throw new Error(`${lost} is not another participant of this session`);
+    }
+    if (typeof device !== 'string' || device.length === 0 || roster.has(device)) {
+      throw new Error('The new device needs an identity outside the roster');
+    }
+    if (!Array.isArray(helpers) || new Set(helpers).size !== helpers.length || helpers.length < threshold ||
+      !helpers.includes(participantId) || helpers.includes(lost) || helpers.some(id => !roster.has(id))) {
+      throw new Error(`Recovery needs at least ${threshold} distinct helpers from the roster, including us and not ${lost}`);
+    }
+    helpers = [...helpers].sort();
+
+    this.log(`${participantId}: 🪪 Enrolling ${device} to recover ${lost}'s share`);
+    await participant.publish({
+      type: 'enrollment',
+      from: participantId,
+      participant: lost,
+      device,
+      helpers,
+      timestamp: Date.now()
+    });
+
+    await waitForEvent(participant.events, 'message', () => this.keys.has(device), {
+      timeout: this.timeout,
+      onTimeout: () => {
+        const pending = this.pendingHelpers(device);
+        const error = new Error(`Timeout after ${this.timeout}ms waiting for ${pending.length > 0 ? `enrollments from ${pending.join(', ')}` : `the encryption key of ${device}`}`);
+        error.waitingFor = pending.length > 0 ? pending : [device];
+        return error;
+      }
+    });
+
+    // λ_j(r)·s_j, masked so that only the sum of every helper's is meaningful
+    const index = roster.indexOf(participantId);
+    const lambda = lagrangeCoefficient(index, helpers.map(id => roster.indexOf(id)), roster.indexOf(lost));
+    let value = field.mul(lambda, field.fromHex(participant.finalShareValue));
+    for (const other of helpers) {
+      if (other === participantId) continue;
+      const mask = this.mask(device, other);
+      value = index < roster.indexOf(other) ? field.add(value, mask) : field.sub(value, mask);
+    }
+
+    await participant.publish({
+      type: 'recovery_contribution',
+      from: participantId,
+      device,
+      contribution: ecies.encrypt(this.keys.get(device), field.toHex(value), this.context(device, participantId)),
+      epoch: participant.refreshEpoch,
+      groupPublicKey: participant.groupPublicKey,
+      verificationShares: Object.fromEntries(participant.verificationShares),
+      timestamp: Date.now()
+    });
+    value = 0n;
+
+    this.log(`${participantId}: ✅ Sent our blinded contribution to ${device}`);
+    return { participant: lost, device, helpers };
+  }
+
+  // On the device: publish the key contributions are encrypted to, saved
+  // first so a restarted device can still decrypt them
+  async publishKey() {
+    const { participant } = this;
+    await participant.saveSecrets();
+    await participant.publish({
+      type: 'recovery_key',
+      from: participant.participantId,
+      device: participant.device,
+      encryptionKey: participant.encryptionKey.getPublic(true, 'hex'),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * On the device: adds up the helpers' contributions into the lost share
+   * and takes on its public state, once every helper's has arrived.
+   *
+   * @param {string} expectedKey The group public key the device expects.
+   * @return {string} The recovered share as hex.
+   */
+  async finalize(expectedKey) {
+    const { participant } = this;
+    const { participantId, device } = participant;
+    const { helpers } = this.recoveryOf(device);
+    const contributions = helpers.map(helper => this.contributions.get(device).get(helper));
+
+    // What the helpers tell us about the group has to be the same from all
+    const stateOf = ({ epoch, groupPublicKey, verificationShares }) => canonical({ epoch, groupPublicKey, verificationShares });
+    const [reference] = contributions;
+    const disagreeing = helpers.filter((helper, i) => stateOf(contributions[i]) !== stateOf(reference));
+    if (disagreeing.length > 0) {
+      throw new Error(`Recovery helpers disagree on the group's keys: ${[helpers[0], ...disagreeing].join(', ')}`);
+    }
+    if (reference.groupPublicKey !== expectedKey) {
+      throw new Error(`Recovery helpers hold group key ${reference.groupPublicKey}, not ${expectedKey}`);
+    }
+
+    let share = 0n;
+    for (const [i, helper] of helpers.entries()) {
+      try {
+        const plaintext = ecies.decrypt(participant.encryptionKey, contributions[i].contribution, this.context(device, helper));
+        share = field.add(share, field.fromHex(plaintext.toString()));
+      } catch (error) {
+        throw new Error(`Unreadable recovery contribution from ${helper}: ${error.message}`);
+      }
+    }
+    const finalShare = field.toHex(share);
+    if (groupKey.encodePoint(ec.g.mul(finalShare)) !== reference.verificationShares[participantId]) {
+      throw new Error(`Recovered share does not match the verification share of ${participantId}`);
+    }
+
+    participant.finalShareValue = finalShare;
+    participant.groupPublicKey = reference.groupPublicKey;
+    participant.ethereumAddress = groupKey.toEthereumAddress(reference.groupPublicKey);
+    participant.verificationShares = new Map(Object.entries(reference.verificationShares));
+    participant.refreshEpoch = reference.epoch;
+    await participant.saveSecrets();
+
+    this.log(`${participantId}: ✅ Recovered our share at index ${participant.indexOf(participantId)} from ${helpers.join(', ')}`);
+    return finalShare;
+  }
+}
+
+export default ShareRecovery;
@@ -0,0 +1,330 @@
+import EC from 'elliptic';
+import * as field from './scalar-field.js';
+import * as feldman from './feldman-vss.js';
+import * as ecies from './ecies.js';
+import * as groupKey from './group-key.js';
+import waitForEvent from './utils/wait-for-event.js';
+
+const ec = new EC.ec('secp256k1');
+
+// An epoch's complaints as `complainer->dealer`, from its verifications
+const complaintsIn = (verifications) =>
+  [...verifications].flatMap(([from, against]) => against.filter(dealer => dealer !== from).map(dealer => `${from}->${dealer}`));
+
+/**
+ * Proactive refresh of a finished DKG session's shares over its log.
+ *
+ * In each refresh epoch every participant deals a random polynomial δ_j
+ * with δ_j(0) = 0: it commits to its other coefficients (see
+ * feldman.commitZero) and writes each peer's share δ_j(i), ECIES-encrypted
+ * to the key the peer used in the DKG, in one refresh_commitment entry.
+ * Everyone checks the shares it got and writes a refresh_verification
+ * listing the dealers whose share failed. As in the DKG, an accused dealer
+ * answers each complaint with a refresh_justification revealing the
+ * disputed share, which gives nothing away since δ_j(0) = 0. Once every
+ * participant has written refresh_justifications_closed, the dealers whose
+ * justifications are missing or fail against their commitments in the
+ * causal history of those entries are left out, the same ones everywhere,
+ * and each participant adds what the remaining dealers QUAL dealt it:
+ *
+ *   s_i' = s_i + Σ_{j∈QUAL} δ_j(i)
+ *
+ * The refresh is aborted, leaving every share as it was, only if QUAL has
+ * fewer than `threshold` dealers.
+ *
+ * The shares still interpolate to the same secret at 0, so the group key
+ * and address stay the same, but they lie on a new polynomial: old shares
+ * no longer combine with new ones, and a share leaked before the refresh
+ * is useless after it. Verification shares move by the committed amounts.
+ *
+ * Every participant must take part, since one that does not refresh is
+ * left with a share that combines with nobody's. The polynomial each
+ * participant deals is saved with its secrets before it is committed to, so
+ * one that restarts mid-refresh calls refresh() again for the same epoch
+ * and carries on from its entries in the log.
+ */
+class ShareRefresher {
+  constructor({ participant, timeout = 30000, log = console.log }) {
+    this.participant = participant;
+    this.timeout = timeout;
+    this.log = log;
+    this.epochs = new Map(); // epoch => { commitments, verifications, justifications, closed }
+
+    participant.addMessageHandler('refresh_commitment', data => this.onCommitment(data));
+    participant.addMessageHandler('refresh_verification', data => this.onVerification(data));
+    participant.addMessageHandler('refresh_justification', data => this.onJustification(data));
+    participant.addMessageHandler('refresh_justifications_closed', data => this.epoch(data.epoch).closed.add(data.from));
+  }
+
+  epoch(epoch) {
+    if (!this.epochs.has(epoch)) {
+      this.epochs.set(epoch, { commitments: new Map(), verifications: new Map(), justifications: new Map(), closed: new Set() });
+    }
+    return this.epochs.get(epoch);
+  }
+
+  onCommitment(data) {
+    const { commitments } = this.epoch(data.epoch);
+    if (commitments.has(data.from)) {
+      this.log(`${this.participant.participantId}: ⚠️  Ignoring repeated refresh commitment from ${data.from}`);
+      return;
+    }
+    commitments.set(data.from, { commitments: data.commitments, shares: data.shares });
+  }
+
+  onVerification(data) {
+    const { verifications } = this.epoch(data.epoch);
+    if (!verifications.has(data.from)) {
+      verifications.set(data.from, data.complaints);
+    }
+  }
+
+  onJustification(data) {
+    const { justifications } = this.epoch(data.epoch);
+    const key = `${data.to}->${data.from}`;
+    if (!justifications.has(key)) {
+      justifications.set(key, data.share);
+    }
+  }
+
+  /**
+   * The complaints and justifications of `epoch` in the causal history of
+   * every participant's refresh_justifications_closed entry, which every
+   * peer reads alike once those entries are all in.
+   */
+  async closedInputs(epoch) {
+    const { participant } = this;
+    const history = await participant.historyOf(message => message.type === 'refresh_justifications_closed' && message.epoch === epoch);
+    const verifications = new Map();
+    const justifications = new Map();
+    for (const hash of history) {
+      const message = participant.logged.get(hash);
+      if (!message || message.epoch !== epoch) continue;
+      if (message.type === 'refresh_verification' && !verifications.has(message.from)) {
+        verifications.set(message.from, message.complaints);
+      }
+      if (message.type === 'refresh_justification' && !justifications.has(`${message.to}->${message.from}`)) {
+        justifications.set(`${message.to}->${message.from}`, message.share);
+      }
+    }
+    return { complaints: complaintsIn(verifications), justifications };
+  }
+
+  // Why `dealer` is left out of the refresh, or null if its deal stands:
+  // every complaint against it needs a revealed share that checks out
+  disqualificationReason(dealer, commitments, { complaints, justifications }) {
+    const { participant } = this;
+    for (const complaint of complaints) {
+      const [complainer, against] = complaint.split('->');
+      if (against !== dealer) continue;
+      const share = justifications.get(complaint);
+      if (!share) {
+        return `no justification for ${complainer}`;
+      }
+      if (share.x !== participant.indexOf(complainer) || !feldman.verifyZeroShare(share, commitments)) {
+        return `invalid justification for ${complainer}`;
+      }
+    }
+    return null;
+  }
+
+  // Binds a refresh share to this session, its epoch, dealer and recipient
+  context(epoch, dealer, recipient) {
+    return `${this.participant.db.address}|refresh|${epoch}|${dealer}|${recipient}`;
+  }
+
+  // Resolves once every participant's entry has arrived
+  waitForAll(label, isDone) {
+    const missing = () => this.participant.participants.filter(id => !isDone(id));
+    return waitForEvent(this.participant.events, 'message', () => missing().length === 0, {
+      timeout: this.timeout,
+      onTimeout: () => {
+        const error = new Error(`Timeout after ${this.timeout}ms waiting for ${label} from ${missing().join(', ')}`);
+        error.waitingFor = missing();
+        return error;
+      }
+    });
+  }
+
+  // Our share of `dealer`'s zero polynomial, or null if it does not check
+  // out against its commitments
+  openShare(epoch, dealer, { commitments, shares }) {
+    const { participant } = this;
+    const x = participant.indexOf(participant.participantId);
+    try {
+      const y = field.fromHex(ecies.decrypt(participant.encryptionKey, shares[participant.participantId], this.context(epoch, dealer, participant.participantId)).toString());
+      return feldman.verifyZeroShare({ x, y: field.toHex(y) }, commitments) ? y : null;
+    } catch (error) {
+      this.log(`${participant.participantId}: ❌ Unreadable refresh share from ${dealer}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Refreshes the local share together with every other participant, each
+   * calling this for the same epoch. Resolves once the share has been
+   * replaced (and saved, given a secret store), leaving out dealers that
+   * could not justify a complaint; rejects without touching the share if
+   * fewer than `threshold` dealers remain, with `cheaters` naming the ones
+   * left out.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.epoch] Refresh epoch, by default the one after
+   * the last refresh applied to our share.
+   * @return {Object} { epoch, finalShare, verificationShares, qualified,
+   * disqualified }, the last two listing dealers kept and left out.
+   */
+  async refresh({ epoch = this.participant.refreshEpoch + 1 } = {}) {
+    const { participant } = this;
+    const { participantId, roster, threshold } = participant;
+
+    if (!participant.finalShareValue || !participant.groupPublicKey) {
+      throw new Error('DKG has not completed');
+    }
+    if (!Number.isInteger(epoch) || epoch <= participant.refreshEpoch) {
+      throw new Error(`Share was already refreshed in epoch ${participant.refreshEpoch}`);
+    }
+    const state = this.epoch(epoch);
+    // The polynomial we deal is saved until the refresh is applied, so a
+    // participant restarted after dealing can still finish; without it,
+    // our own share of the polynomial in the log is gone
+    const saved = participant.refreshDeal && participant.refreshDeal.epoch === epoch ? participant.refreshDeal : null;
+    if (!saved && state.commitments.has(participantId)) {
+      throw new Error(`Already dealt in refresh epoch ${epoch}`);
+    }
+
+    // Round 1: deal a zero polynomial, saved before we commit to it
+    let polynomial;
+    if (saved) {
+      this.log(`${participantId}: ♻️  Resuming our refresh deal for epoch ${epoch}`);
+      polynomial = saved.polynomial;
+    } else {
+      this.log(`${participantId}: 🔄 Dealing refresh shares for epoch ${epoch}`);
+      polynomial = field.randomPolynomial(threshold - 1, 0n);
+      participant.refreshDeal = { epoch, polynomial };
+      await participant.saveSecrets();
+    }
+    const shares = Object.fromEntries(roster.others(participantId).map(id => [
+      id,
+      ecies.encrypt(participant.encryptionKeys.get(id), field.toHex(field.evaluatePolynomial(polynomial, roster.indexOf(id))), this.context(epoch, participantId, id))
+    ]));
+
+    // Skipped if it is already in the log from before a restart
+    await participant.publish({
+      type: 'refresh_commitment',
+      from: participantId,
+      epoch,
+      commitments: feldman.commitZero(polynomial),
+      shares,
+      timestamp: Date.now()
+    });
+
+    await this.waitForAll('refresh commitments', id => state.commitments.has(id));
+
+    // Round 2: check the shares we were dealt
+    const dealt = new Map(); // dealer => our share of its polynomial
+    const complaints = [];
+    for (const dealer of roster.others(participantId)) {
+      const share = this.openShare(epoch, dealer, state.commitments.get(dealer));
+      if (share === null) {
+        complaints.push(dealer);
+      } else {
+        dealt.set(dealer, share);
+      }
+    }
+
+    await participant.publish({
+      type: 'refresh_verification',
+      from: participantId,
+      epoch,
+      complaints,
+      timestamp: Date.now()
+    });
+
+    await this.waitForAll('refresh verifications', id => state.verifications.has(id));
+
+    // Round 3: answer complaints against us by revealing the disputed
+    // shares, and wait until the deadline for the other accused dealers
+    for (const complaint of complaintsIn(state.verifications)) {
+      const [complainer, dealer] = complaint.split('->');
+      if (dealer !== participantId) continue;
+      const x = roster.indexOf(complainer);
+      this.log(`${participantId}: 📢 Revealing refresh share for ${complainer} to answer their complaint`);
+      await participant.publish({
+        type: 'refresh_justification',
+        from: participantId,
+        epoch,
+        to: complainer,
+        share: { x, y: field.toHex(field.evaluatePolynomial(polynomial, x)) },
+        timestamp: Date.now()
+      });
+    }
+    await this.waitForAll('refresh justifications', id =>
+      complaintsIn(state.verifications).every(complaint => complaint.split('->')[1] !== id || state.justifications.has(complaint))
+    ).catch(error => {
+      if (!error.waitingFor) throw error;
+      this.log(`${participantId}: ⏰ ${error.message}`);
+    });
+
+    // Round 4: decide who stays on what every peer closed the round on
+    await participant.publish({
+      type: 'refresh_justifications_closed',
+      from: participantId,
+      epoch,
+      timestamp: Date.now()
+    });
+    await this.waitForAll('closed refresh justifications', id => state.closed.has(id));
+
+    const inputs = await this.closedInputs(epoch);
+    const disqualified = new Map();
+    for (const [dealer, { commitments }] of state.commitments) {
+      const reason = this.disqualificationReason(dealer, commitments, inputs);
+      if (reason) {
+        disqualified.set(dealer, reason);
+        this.log(`${participantId}: 🚫 Left ${dealer} out of refresh epoch ${epoch}: ${reason}`);
+      }
+    }
+    const qualified = participant.participants.filter(id => !disqualified.has(id));
+    const cheaters = participant.participants.filter(id => disqualified.has(id));
+    if (qualified.length < threshold) {
+      const error = new Error(`Refresh epoch ${epoch} aborted: only ${qualified.length} of ${threshold} dealers qualified, left out ${cheaters.join(', ')}`);
+      error.cheaters = cheaters;
+      throw error;
+    }
+
+    // Move every share by what QUAL dealt, taking revealed shares for the
+    // ones we complained about
+    let delta = 0n;
+    for (const dealer of qualified) {
+      const revealed = inputs.justifications.get(`${participantId}->${dealer}`);
+      const share = dealer === participantId ? field.evaluatePolynomial(polynomial, roster.indexOf(participantId))
+        : revealed ? field.fromHex(revealed.y)
+          : dealt.get(dealer);
+      delta = field.add(delta, share);
+    }
+    const finalShare = field.toHex(field.add(field.fromHex(participant.finalShareValue), delta));
+    const verificationShares = new Map();
+    for (const id of participant.participants) {
+      let point = groupKey.decodePoint(participant.verificationShares.get(id));
+      for (const dealer of qualified) {
+        point = point.add(feldman.evaluateZeroCommitments(state.commitments.get(dealer).commitments, roster.indexOf(id)));
+      }
+      verificationShares.set(id, groupKey.encodePoint(point));
+    }
+    if (groupKey.encodePoint(ec.g.mul(finalShare)) !== verificationShares.get(participantId)) {
+      throw new Error('Refreshed share does not match its verification share');
+    }
+
+    participant.finalShareValue = finalShare;
+    participant.verificationShares = verificationShares;
+    participant.refreshEpoch = epoch;
+    participant.refreshDeal = null;
+    await participant.saveSecrets();
+    polynomial.fill(0n);
+
+    this.log(`${participantId}: ✅ Share refreshed for epoch ${epoch} by ${qualified.length} dealers, group key unchanged`);
+    return { epoch, finalShare, verificationShares: Object.fromEntries(verificationShares), qualified, disqualified: cheaters };
+  }
+}
+
+export default ShareRefresher;
@@ -0,0 +1,165 @@
+import EC from 'elliptic';
+import crypto from 'crypto';
+import * as field from './scalar-field.js';
+import * as paillier from './paillier.js';
+import { proveAffine } from './paillier-proofs.js';
+import { lagrangeCoefficient } from './lagrange.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Threshold ECDSA over the DKG key, in the style of Gennaro–Goldfeder
+ * (GG18), with its zero-knowledge proofs (see paillier-proofs.js) and the
+ * GG20 check of R before any signature share is revealed.
+ *
+ * Signers S hold additive shares w_i = λ_i·x_i of the group secret x and
+ * pick random k_i, γ_i. Pairwise MtA conversions over Paillier give
+ * additive shares δ_i of δ = kγ and σ_i of σ = kx. Then
+ *   R = (Σ g^{γ_i})^{δ^-1} = g^{k^-1},  r = R.x mod n
+ *   s = Σ (m·k_i + r·σ_i) = k(m + r·x)
+ * which is an ordinary ECDSA signature with nonce k^-1.
+ *
+ * Each signer proves its Paillier key well-formed, Enc(k_i) in range and
+ * its MtA responses affine in range, the w_i ones against g^{w_i}. Before
+ * revealing s_i, every signer publishes R^{k_i}, proven against Enc(k_i);
+ * they add up to g exactly when R and the δ_i are right (checkR).
+ */
+
+const HALF_N = field.N >> 1n;
+
+// MtA masks are drawn below n⁵: the range proofs only bound a and b by n³,
+// so a·b stays statistically hidden behind a mask far larger than it
+export const MASK_BOUND = field.N ** 5n;
+
+// Peers' Paillier moduli must be at least this large, and above the
+// masks, so a·b + β' never wraps modulo N
+export const MIN_PAILLIER_BITS = 2048;
+
+// What is wrong with a Paillier modulus size to generate keys at, or null
+export const checkPaillierBits = (bits) =>
+  (Number.isInteger(bits) && bits >= MIN_PAILLIER_BITS && bits % 2 === 0
+    ? null
+    : `paillierBits must be an even number of bits, at least ${MIN_PAILLIER_BITS}`);
+
+/**
+ * What is wrong with a Paillier modulus for MtA, or null.
+ * @param {bigint} N
+ * @return {string|null}
+ */
+export const checkPaillierKey = (N) => {
+  if (typeof N !== 'bigint' || paillier.bitLength(N) < MIN_PAILLIER_BITS) {
+    return `Paillier modulus is below ${MIN_PAILLIER_BITS} bits`;
+  }
+  if (N <= MASK_BOUND) {
+    return 'Paillier modulus does not exceed the MtA mask bound';
+  }
+  return null;
+};
+
+/**
+ * Turns a Shamir share into an additive share among `indices`:
+ * Σ_{i∈S} w_i = x.
+ */
+export const additiveShare = (index, indices, secretShare) =>
+  field.mul(lagrangeCoefficient(index, indices), field.fromHex(secretShare));
+
+// g^{w_i}, the public side of additiveShare(), from the signer's
+// verification share g^{x_i}
+export const additivePublicShare = (index, indices, verificationShare) =>
+  ec.curve.decodePoint(verificationShare, 'hex').mul(field.toHex(lagrangeCoefficient(index, indices)));
+
+// Hiding commitment to a signer's Γ_i, opened in the third round
+export const commitPoint = (point, blind) =>
+  crypto.createHash('sha256').update(`${point}|${blind}`).digest('hex');
+
+/**
+ * MtA, responder side: given Enc_A(a) under the initiator's Paillier key
+ * and a local secret b, returns the ciphertext Enc_A(a·b + β') for the
+ * initiator and the responder's additive share β = -β' mod n.
+ *
+ * With `prove` { verifier, check, context }, also returns a proof that the
+ * ciphertext is affine in Enc_A(a) with b and β' in range, against the
+ * initiator's ring-Pedersen parameters `verifier`, and with `check` that
+ * b is the discrete log of g^b (see paillier-proofs.js).
+ */
+export const mtaRespond = (publicKey, encryptedA, b, prove = null) => {
+  const keyError = checkPaillierKey(publicKey.N);
+  if (keyError) {
+    throw new Error(keyError);
+  }
+  if (!paillier.isCiphertext(publicKey, encryptedA)) {
+    throw new Error('Invalid Paillier ciphertext');
+  }
+  const x = field.mod(b);
+  const mask = paillier.randomBelow(MASK_BOUND);
+  const nonce = paillier.randomUnit(publicKey.N);
+  const ciphertext = paillier.add(
+    publicKey,
+    paillier.multiply(publicKey, encryptedA, x),
+    paillier.encrypt(publicKey, mask, nonce)
+  );
+  const proof = prove
+    ? proveAffine({ N: publicKey.N, c: encryptedA, d: ciphertext, x, y: mask, r: nonce, ...prove })
+    : null;
+  return { ciphertext, beta: field.neg(mask), ...(proof ? { proof } : {}) };
+};
+
+// MtA, initiator side: α = Dec(response) mod n, so α + β = a·b mod n
+export const mtaFinalize = (privateKey, ciphertext) =>
+  field.mod(paillier.decrypt(privateKey, ciphertext));
+
+/**
+ * R = (Σ Γ_i)^{δ^-1}. Throws if δ is zero.
+ * @param {Array<string>} gammas Every signer's Γ_i as hex.
+ * @param {bigint} delta Σ δ_i.
+ * @return {Object} R as an elliptic point.
+ */
+export const computeR = (gammas, delta) => {
+  let gamma = ec.curve.point(null, null);
+  for (const hex of gammas) {
+    gamma = gamma.add(ec.curve.decodePoint(hex, 'hex'));
+  }
+  return gamma.mul(field.toHex(field.inv(delta)));
+};
+
+/**
+ * Whether the signers' R^{k_i} add up to g, as they do when R and every δ_i
+ * are right: R^k = g^{kγ·δ^-1} = g exactly when δ = kγ.
+ * @param {Array<Object>} points Every signer's R^{k_i} as an elliptic point.
+ * @return {boolean}
+ */
+export const checkR = (points) => {
+  const sum = points.reduce((total, point) => total.add(point), ec.curve.point(null, null));
+  return sum.eq(ec.g);
+};
+
+// s_i = m·k_i + r·σ_i
+export const signatureShare = ({ digest, k, sigma, r }) =>
+  field.add(field.mul(field.fromHex(digest), k), field.mul(r, sigma));
+
+/**
+ * Sums signature shares into (r, s, v), normalised to low-s as Ethereum
+ * requires.
+ * @param {Object} R The point from computeR().
+ * @param {Array<bigint>} shares Every signer's s_i.
+ * @return {Object} { r, s } as 0x-prefixed 32-byte hex and v (27 or 28).
+ */
+export const combineSignature = (R, shares) => {
+  const r = field.mod(BigInt('0x' + R.getX().toString(16)));
+  let s = shares.reduce((sum, share) => field.add(sum, share), 0n);
+  if (r === 0n || s === 0n) {
+    throw new Error('Degenerate ECDSA signature');
+  }
+
+  let recoveryParam = R.getY().isOdd() ? 1 : 0;
+  if (s > HALF_N) {
+    s = field.neg(s);
+    recoveryParam ^= 1;
+  }
+
+  return {
+    r: '0x' + field.toHex(r),
+    s: '0x' + field.toHex(s),
+    v: 27 + recoveryParam
+  };
+};
@@ -0,0 +1,7 @@
+/**
+ * JSON with object keys sorted, so equal values serialize the same however
+ * their keys were ordered (the log's encoding does not keep that order).
+ */
+export default (value) => JSON.stringify(value, (key, item) =>
+  item && typeof item === 'object' && !Array.isArray(item) ? Object.fromEntries(Object.entries(item).sort()) : item
+);
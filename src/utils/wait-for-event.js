@@ -0,0 +1,45 @@
+/**
+ * Resolves once `condition` holds, re-checking it each time `emitter` emits
+ * `event` rather than polling. Rejects with the error built by `onTimeout`
+ * if it still does not hold after `timeout` ms, or with `signal.reason` as
+ * soon as the optional AbortSignal `signal` aborts.
+ */
+export default (emitter, event, condition, { timeout = 30000, onTimeout = () => new Error(`Timeout after ${timeout}ms`), signal = null } = {}) =>
+  new Promise((resolve, reject) => {
+    let timer = null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      emitter.off(event, check);
+      if (signal) signal.removeEventListener('abort', abort);
+    };
+
+    function abort() {
+      cleanup();
+      reject(signal.reason);
+    }
+
+    function check() {
+      try {
+        if (condition()) {
+          cleanup();
+          resolve();
+        }
+      } catch (error) {
+        cleanup();
+        reject(error);
+      }
+    }
+
+    timer = setTimeout(() => {
+      cleanup();
+      reject(onTimeout());
+    }, timeout);
+    if (signal && signal.aborted) {
+      abort();
+      return;
+    }
+    if (signal) signal.addEventListener('abort', abort);
+    emitter.on(event, check);
+    check();
+  });
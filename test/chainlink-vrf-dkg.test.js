@@ -1,14 +1,10 @@
 import { expect } from 'chai';
 import { rimraf } from 'rimraf';
 import { createOrbitDB } from '@orbitdb/core';
-import { IPFSAccessController } from '@orbitdb/core/src/access-controllers/index.js';
 import createHelia from './utils/create-helia.js';
 import connectPeers from './utils/connect-nodes.js';
-import waitFor from './utils/wait-for.js';
-import EC from 'elliptic';
 import crypto from 'crypto';
-
-const ec = new EC.ec('secp256k1');
+import createDKGSession from '../src/dkg-session.js';
 
 // Mock Chainlink VRF for true randomness
 class MockChainlinkVRF {
@@ -58,126 +54,6 @@ class MockChainlinkVRF {
   }
 }
 
-// DKG Participant using Chainlink VRF for polynomial coefficients
-class VRFDKGParticipant {
-  constructor(participantId, orbitdb, db, vrfService) {
-    this.participantId = participantId;
-    this.orbitdb = orbitdb;
-    this.db = db;
-    this.vrf = vrfService;
-    this.privateKey = ec.genKeyPair();
-    this.polynomial = null;
-    this.vrfProof = null;
-    this.shares = new Map();
-    this.receivedShares = new Map();
-  }
-
-  // Generate polynomial using Chainlink VRF for true randomness
-  async generatePolynomialWithVRF(threshold) {
-    console.log(`${this.participantId}: 🎲 Requesting true randomness from Chainlink VRF`);
-    
-    // Request true randomness for polynomial coefficients
-    const vrfResponse = await this.vrf.requestRandomWords(threshold - 1); // threshold-1 random coefficients needed
-    this.vrfProof = vrfResponse;
-    
-    // Create polynomial: f(x) = secret + vrf1*x + vrf2*x^2 + ...
-    this.polynomial = [this.privateKey.getPrivate().toString('hex')]; // secret (a0)
-    
-    // Add VRF-generated coefficients
-    for (const randomWord of vrfResponse.randomWords) {
-      const coefficient = randomWord.slice(2); // Remove '0x' prefix
-      this.polynomial.push(coefficient);
-    }
-    
-    console.log(`${this.participantId}: ✅ Polynomial generated with ${this.polynomial.length} coefficients`);
-    console.log(`${this.participantId}: VRF Request ID: ${vrfResponse.requestId}`);
-    
-    // Broadcast VRF proof and polynomial commitment
-    await this.db.add({
-      type: 'vrf_polynomial_commitment',
-      from: this.participantId,
-      vrfRequestId: vrfResponse.requestId,
-      vrfProof: vrfResponse,
-      polynomialCommitments: this.polynomial.map(coeff => {
-        return ec.g.mul(coeff).encode('hex'); // Public commitment
-      }),
-      timestamp: Date.now()
-    });
-    
-    return this.polynomial;
-  }
-
-  // Evaluate polynomial at point x
-  evaluatePolynomial(x) {
-    let result = BigInt('0x' + this.polynomial[0]);
-    let xPower = BigInt(x);
-    
-    for (let i = 1; i < this.polynomial.length; i++) {
-      const coeff = BigInt('0x' + this.polynomial[i]);
-      result = result + (coeff * xPower);
-      xPower = xPower * BigInt(x);
-    }
-    
-    return result.toString(16);
-  }
-
-  // Generate and distribute shares
-  async distributeShares(participantIds) {
-    console.log(`${this.participantId}: 📤 Generating shares with VRF-based polynomial`);
-    
-    for (let i = 1; i <= participantIds.length; i++) {
-      const participantKey = `participant${i}`;
-      const shareValue = this.evaluatePolynomial(i);
-      this.shares.set(participantKey, {
-        x: i,
-        y: shareValue,
-        vrfRequestId: this.vrfProof.requestId
-      });
-    }
-    
-    // Distribute shares to other participants
-    for (const targetParticipant of participantIds) {
-      if (targetParticipant !== this.participantId) {
-        const share = this.shares.get(targetParticipant);
-        
-        await this.db.add({
-          type: 'vrf_share_distribution',
-          from: this.participantId,
-          to: targetParticipant,
-          share: share,
-          vrfProof: this.vrfProof,
-          timestamp: Date.now()
-        });
-      }
-    }
-    
-    // Store own share
-    const ownShare = this.shares.get(this.participantId);
-    this.receivedShares.set(this.participantId, ownShare);
-    
-    console.log(`${this.participantId}: ✅ VRF-based shares distributed`);
-  }
-
-  // Verify VRF randomness used by other participants
-  verifyVRFRandomness(vrfProof) {
-    return this.vrf.verifyRandomness(
-      vrfProof.requestId, 
-      vrfProof.randomWords, 
-      vrfProof
-    );
-  }
-
-  getStatus() {
-    return {
-      participantId: this.participantId,
-      hasVRFPolynomial: !!this.polynomial,
-      vrfRequestId: this.vrfProof?.requestId,
-      sharesGenerated: this.shares.size,
-      sharesReceived: this.receivedShares.size
-    };
-  }
-}
-
 // DKG test using chainlink true randomness
 
 describe('DKG with Chainlink Randomness', function() {
@@ -185,8 +61,7 @@ describe('DKG with Chainlink Randomness', function() {
   
   let ipfs1, ipfs2;
   let orbitdb1, orbitdb2;
-  let db1, db2;
-  let randomness;
+  let sessions = [];
 
   before(async () => {
     console.log('Setting up Chainlink VRF DKG test environment...');
@@ -203,8 +78,9 @@ describe('DKG with Chainlink Randomness', function() {
   });
 
   after(async () => {
-    if (db1) await db1.close();
-    if (db2) await db2.close();
+    for (const session of sessions) {
+      await session.close();
+    }
 
     await orbitdb1.stop();
     await orbitdb2.stop();
@@ -218,112 +94,60 @@ describe('DKG with Chainlink Randomness', function() {
     
     // Create shared VRF service
     const vrfService = new MockChainlinkVRF();
-    
-    // Setup database with proper access control
-    db1 = await orbitdb1.open('dkg-vrf-session', {
-      AccessController: IPFSAccessController({
-        write: [orbitdb1.identity.id, orbitdb2.identity.id]
-      })
-    });
-
-    // Wait for replication setup
-    let participant2Ready = false;
-    const onJoin = async () => { participant2Ready = true; };
-    
-    db2 = await orbitdb2.open(db1.address);
-    db2.events.on('join', onJoin);
-    await waitFor(() => participant2Ready, () => true);
-    
-    // Create VRF-based DKG participants
-    const participant1 = new VRFDKGParticipant('participant1', orbitdb1, db1, vrfService);
-    const participant2 = new VRFDKGParticipant('participant2', orbitdb2, db2, vrfService);
-    
-    console.log('✅ VRF DKG participants initialized');
-    
-    // Phase 1: Generate polynomials using Chainlink VRF
-    console.log('\n📊 Phase 1: VRF Polynomial Generation');
+    const participants = [orbitdb1.identity.id, orbitdb2.identity.id];
     const threshold = 2;
-    
-    await Promise.all([
-      participant1.generatePolynomialWithVRF(threshold),
-      participant2.generatePolynomialWithVRF(threshold)
-    ]);
-    
-    // Wait for VRF commitments to propagate
-    await waitFor(async () => {
-      const entries = [];
-      for await (const entry of db1.iterator()) {
-        entries.push(entry);
-      }
-      return entries.filter(e => e.payload && e.payload.value && e.payload.value.type === 'vrf_polynomial_commitment').length >= 2;
-    }, () => true);
-    
-    console.log('✅ VRF polynomial commitments received');
-    
-    // Phase 2: Distribute VRF-based shares
-    console.log('\n📤 Phase 2: VRF Share Distribution');
-    const participantIds = ['participant1', 'participant2'];
-    
-    await Promise.all([
-      participant1.distributeShares(participantIds),
-      participant2.distributeShares(participantIds)
-    ]);
-    
-    // Wait for all VRF shares to be distributed
-    await waitFor(async () => {
-      const entries = [];
-      for await (const entry of db1.iterator()) {
-        entries.push(entry);
+
+    // Each participant draws its polynomial's coefficients a1.. from the VRF,
+    // mixed into its own, and keeps the responses to check their proofs
+    const responses = new Map();
+    const randomness = (participantId) => ({
+      source: 'chainlink-vrf',
+      draw: async (count) => {
+        const response = await vrfService.requestRandomWords(count);
+        responses.set(participantId, response);
+        return response.randomWords;
       }
-      return entries.filter(e => e.payload && e.payload.value && e.payload.value.type === 'vrf_share_distribution').length >= 2;
-    }, () => true);
-    
-    console.log('✅ VRF-based shares distributed');
-    
-    // Phase 3: Verify VRF proofs
-    console.log('\n🔍 Phase 3: VRF Verification');
-    
-    // Collect all VRF proofs and verify them
-    const allEntries = [];
-    for await (const entry of db1.iterator()) {
-      allEntries.push(entry);
+    });
+
+    const first = await createDKGSession({ orbitdb: orbitdb1, threshold, participants, name: 'dkg-vrf-session', randomness: randomness(participants[0]) });
+    sessions = [
+      first,
+      await createDKGSession({ orbitdb: orbitdb2, threshold, participants, address: first.address, randomness: randomness(participants[1]) })
+    ];
+    expect(first.manifest.randomness).to.equal('csprng+chainlink-vrf');
+    console.log('✅ VRF DKG sessions opened');
+
+    const results = await Promise.all(sessions.map(session => session.run()));
+    for (const result of results) {
+      expect(result.qualified).to.have.members(participants);
+      expect(result.groupPublicKey).to.equal(results[0].groupPublicKey);
     }
-    
-    const vrfCommitments = allEntries.filter(e => e.payload && e.payload.value && e.payload.value.type === 'vrf_polynomial_commitment');
-    let allVRFValid = true;
-    
-    for (const commitment of vrfCommitments) {
-      const vrfProof = commitment.payload.value.vrfProof;
-      const isValid = participant1.verifyVRFRandomness(vrfProof);
-      
-      if (!isValid) {
-        allVRFValid = false;
-        console.log(`❌ Invalid VRF proof from ${commitment.payload.value.from}`);
-      } else {
-        console.log(`✅ Valid VRF proof from ${commitment.payload.value.from} (Request ID: ${vrfProof.requestId})`);
-      }
+
+    // Every participant drew threshold - 1 words, and their proofs check out
+    expect([...responses.keys()]).to.have.members(participants);
+    for (const [participantId, response] of responses) {
+      expect(response.randomWords).to.have.lengthOf(threshold - 1);
+      expect(vrfService.verifyRandomness(response.requestId, response.randomWords, response)).to.be.true;
+      console.log(`✅ Valid VRF proof for ${participantId} (Request ID: ${response.requestId})`);
     }
-    
-    expect(allVRFValid).to.be.true;
-    
-    // Verify final status
-    const status1 = participant1.getStatus();
-    const status2 = participant2.getStatus();
-    
-    console.log('\n📊 Final VRF DKG Status:');
-    console.log('Participant 1:', status1);
-    console.log('Participant 2:', status2);
-    
-    expect(status1.hasVRFPolynomial).to.be.true;
-    expect(status2.hasVRFPolynomial).to.be.true;
-    expect(status1.vrfRequestId).to.be.a('number');
-    expect(status2.vrfRequestId).to.be.a('number');
-    
+
     console.log('\n🎉 Chainlink VRF DKG completed successfully!');
-    console.log('✅ True randomness from Chainlink VRF verified');
-    console.log('✅ No central coordinator needed');
-    console.log('✅ All randomness is verifiable and tamper-proof');
-    console.log('✅ Participants can trust the randomness source');
+    console.log(`✅ Group key ${results[0].groupPublicKey} (${results[0].address})`);
+  });
+
+  it('should refuse a peer that does not use the session\'s randomness source', async function() {
+    const participants = [orbitdb1.identity.id, orbitdb2.identity.id];
+    const randomness = { source: 'chainlink-vrf', draw: async (count) => (await new MockChainlinkVRF().requestRandomWords(count)).randomWords };
+    const session = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'dkg-vrf-mismatch', randomness });
+    sessions.push(session);
+
+    let error = null;
+    try {
+      await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: session.address });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.mismatches).to.deep.equal(['randomness']);
   });
   
   after(async () => {
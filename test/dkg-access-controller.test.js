@@ -0,0 +1,171 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import createRoster from '../src/roster.js';
+import { checkMessage, emptyHistory, extendHistory } from '../src/dkg-access-controller.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('DKG Access Controller Rules', function() {
+  const point = (k) => ec.g.mul(k).encode('hex', true);
+  const scalar = 'ab'.repeat(32);
+
+  const roster = createRoster(['alice', 'bob', 'carol']);
+
+  const manifest = {
+    type: 'session_manifest',
+    from: 'alice',
+    version: 1,
+    curve: 'secp256k1',
+    threshold: 2,
+    participants: roster.ids,
+    mode: 'feldman',
+    randomness: 'csprng',
+    deadlines: { commit: 30000 }
+  };
+
+  const commitment = (from) => ({ type: 'public_commitment', from, mode: 'feldman', commitments: [point(1), point(2)], encryptionKey: point(3) });
+
+  const frostCommitment = (from) =>
+    ({ type: 'frost_commitment', from, requestId: 'r1', digest: scalar, signers: ['alice', 'bob'], D: point(6), E: point(7) });
+
+  // History of a log starting with the manifest and then `messages`, in order
+  const historyOf = (...messages) =>
+    [manifest, ...messages].reduce((history, data, i) => extendHistory(history, data, data.from, `entry${i}`), emptyHistory());
+
+  it('should only accept the session manifest as the first entry', function() {
+    expect(checkMessage(manifest, 'alice', emptyHistory(), roster)).to.be.null;
+    expect(checkMessage(manifest, 'alice', historyOf(), roster)).to.match(/must be the first entry/);
+    expect(checkMessage({ ...manifest, participants: ['alice', 'bob'] }, 'alice', emptyHistory(), roster)).to.match(/roster differs/);
+    expect(checkMessage({ ...manifest, threshold: 4 }, 'alice', emptyHistory(), roster)).to.match(/threshold 4 is out of range/);
+
+    expect(checkMessage(commitment('alice'), 'alice', emptyHistory(), roster)).to.match(/before the session manifest/);
+    const forked = extendHistory(historyOf(), { ...manifest, from: 'bob' }, 'bob', 'other');
+    expect(checkMessage(commitment('alice'), 'alice', forked, roster)).to.match(/conflicting session manifests/);
+  });
+
+  it('should accept one commitment per dealer', function() {
+    expect(checkMessage(commitment('alice'), 'alice', historyOf(), roster)).to.be.null;
+
+    const past = historyOf(commitment('alice'), commitment('bob'));
+    expect(checkMessage(commitment('carol'), 'carol', past, roster)).to.be.null;
+    expect(checkMessage(commitment('alice'), 'alice', past, roster)).to.match(/already published commitments/);
+  });
+
+  it('should refuse messages not sent by their signer', function() {
+    expect(checkMessage(commitment('alice'), 'bob', historyOf(), roster)).to.match(/claims to be from alice but was signed by bob/);
+  });
+
+  it('should refuse unknown and malformed messages', function() {
+    expect(checkMessage({ type: 'gossip', from: 'alice' }, 'alice', historyOf(), roster)).to.match(/unknown message type/);
+    expect(checkMessage('hello', 'alice', historyOf(), roster)).to.match(/not a protocol message/);
+    expect(checkMessage({ ...commitment('alice'), commitments: [point(1)] }, 'alice', historyOf(), roster)).to.match(/commitments must be threshold/);
+    expect(checkMessage({ type: 'complaint', from: 'alice', against: 'alice' }, 'alice', historyOf(), roster)).to.match(/complains against itself/);
+  });
+
+  it('should refuse messages whose prerequisites are missing', function() {
+    const share = { type: 'share_distribution', from: 'alice', to: 'bob', encryptedShare: { ephemeralPublicKey: point(4), iv: '00'.repeat(12), ciphertext: '00', tag: '00'.repeat(16) } };
+    expect(checkMessage(share, 'alice', historyOf(commitment('alice')), roster)).to.match(/before seeing bob's encryption key/);
+    expect(checkMessage(share, 'alice', historyOf(commitment('alice'), commitment('bob')), roster)).to.be.null;
+
+    const justification = { type: 'justification', from: 'alice', to: 'bob', share: { x: 2, y: scalar } };
+    expect(checkMessage(justification, 'alice', historyOf(commitment('alice')), roster)).to.match(/without a complaint/);
+    const complained = historyOf(commitment('alice'), { type: 'complaint', from: 'bob', against: 'alice' });
+    expect(checkMessage(justification, 'alice', complained, roster)).to.be.null;
+
+    const receipt = { type: 'share_receipt', from: 'bob', dealer: 'alice', digest: scalar };
+    expect(checkMessage(receipt, 'bob', historyOf(commitment('bob')), roster)).to.match(/before alice committed/);
+    expect(checkMessage(receipt, 'bob', historyOf(commitment('alice')), roster)).to.be.null;
+    expect(checkMessage({ ...receipt, dealer: 'bob' }, 'bob', historyOf(commitment('bob')), roster)).to.match(/from itself/);
+
+    const signing = frostCommitment('alice');
+    expect(checkMessage(signing, 'alice', historyOf(), roster)).to.match(/before announcing a group key/);
+
+    const payload = { ephemeralPublicKey: point(4), iv: '00'.repeat(12), ciphertext: '00', tag: '00'.repeat(16) };
+    const refresh = { type: 'refresh_commitment', from: 'alice', epoch: 1, commitments: [point(2)], shares: { bob: payload } };
+    const finished = historyOf(commitment('alice'), { type: 'group_key', from: 'alice', groupPublicKey: point(5), address: '0x' + '11'.repeat(20) });
+    expect(checkMessage(refresh, 'alice', historyOf(commitment('alice')), roster)).to.match(/before announcing a group key/);
+    expect(checkMessage(refresh, 'alice', finished, roster)).to.be.null;
+    expect(checkMessage({ ...refresh, shares: { alice: payload } }, 'alice', finished, roster)).to.match(/refresh share to itself/);
+    const refreshJustification = { type: 'refresh_justification', from: 'alice', epoch: 1, to: 'bob', share: { x: 2, y: scalar } };
+    expect(checkMessage(refreshJustification, 'alice', finished, roster)).to.be.null;
+    expect(checkMessage({ ...refreshJustification, to: 'alice', share: { x: 1, y: scalar } }, 'alice', finished, roster)).to.match(/justifies a refresh share to itself/);
+  });
+
+  it('should only let the listed dealers reshare, to holders with a key', function() {
+    const payload = { ephemeralPublicKey: point(4), iv: '00'.repeat(12), ciphertext: '00', tag: '00'.repeat(16) };
+    const key = (from) => ({ type: 'reshare_key', from, encryptionKey: point(3) });
+    const deal = (from, to) => ({ type: 'reshare_commitment', from, index: 1, commitments: [point(1), point(2)], shares: { [to]: payload } });
+    const complain = (from, complaints) => ({ type: 'reshare_verification', from, complaints });
+    const justify = (from, to) => ({ type: 'reshare_justification', from, to, share: { x: 3, y: scalar } });
+
+    expect(checkMessage(key('alice'), 'alice', historyOf(), roster)).to.match(/does not reshare/);
+
+    const previous = { address: '/orbitdb/old', groupPublicKey: point(5), threshold: 2, dealers: ['alice', 'bob'] };
+    const resharing = (...messages) => [{ ...manifest, previous }, ...messages]
+      .reduce((history, data, i) => extendHistory(history, data, data.from, `entry${i}`), emptyHistory());
+    expect(checkMessage({ ...manifest, previous }, 'alice', emptyHistory(), roster)).to.be.null;
+    expect(checkMessage({ ...manifest, previous: { ...previous, dealers: ['bob', 'bob'] } }, 'alice', emptyHistory(), roster)).to.match(/previous must be/);
+    expect(checkMessage({ ...manifest, previous: { ...previous, dealers: ['bob'] } }, 'alice', emptyHistory(), roster)).to.match(/previous must be/);
+
+    expect(checkMessage(key('carol'), 'carol', resharing(), roster)).to.be.null;
+    expect(checkMessage(deal('alice', 'carol'), 'alice', resharing(), roster)).to.match(/before seeing carol's encryption key/);
+    expect(checkMessage(deal('alice', 'carol'), 'alice', resharing(key('carol')), roster)).to.be.null;
+    expect(checkMessage(deal('carol', 'alice'), 'carol', resharing(key('alice')), roster)).to.match(/not a resharing dealer/);
+    expect(checkMessage(deal('alice', 'alice'), 'alice', resharing(key('alice')), roster)).to.match(/to itself/);
+
+    // A dealer only reveals a holder's share to answer its complaint
+    expect(checkMessage(justify('alice', 'carol'), 'alice', resharing(complain('carol', [])), roster)).to.match(/without a complaint from carol/);
+    expect(checkMessage(justify('alice', 'carol'), 'alice', resharing(complain('carol', ['alice'])), roster)).to.be.null;
+
+    // A dealer leaving the group deals its share and writes nothing else
+    const handover = { ...previous, dealers: ['alice', 'dave'] };
+    const handingOver = (...messages) => [{ ...manifest, previous: handover }, ...messages]
+      .reduce((history, data, i) => extendHistory(history, data, data.from, `entry${i}`), emptyHistory());
+    expect(checkMessage({ ...manifest, previous: handover }, 'alice', emptyHistory(), roster)).to.be.null;
+    expect(checkMessage(deal('dave', 'carol'), 'dave', handingOver(key('carol')), roster)).to.be.null;
+    expect(checkMessage(key('dave'), 'dave', handingOver(), roster)).to.match(/dave is not in the roster and only deals its share/);
+    expect(checkMessage(justify('dave', 'carol'), 'dave', handingOver(complain('carol', ['dave'])), roster)).to.be.null;
+    expect(checkMessage(deal('dave', 'carol'), 'dave', resharing(key('carol')), roster)).to.match(/from must be a roster member/);
+  });
+
+  it('should let a device enrolled by every helper write in place of a lost member', function() {
+    const groupKey = (from) => ({ type: 'group_key', from, groupPublicKey: point(5), address: '0x' + '11'.repeat(20) });
+    const enroll = (from, helpers = ['alice', 'bob']) => ({ type: 'enrollment', from, participant: 'carol', device: 'carol-phone', helpers });
+    const key = { type: 'recovery_key', from: 'carol', device: 'carol-phone', encryptionKey: point(3) };
+    const finished = [commitment('alice'), commitment('bob'), commitment('carol'), groupKey('alice'), groupKey('bob'), groupKey('carol')];
+
+    expect(checkMessage(enroll('alice'), 'alice', historyOf(...finished), roster)).to.be.null;
+    expect(checkMessage(enroll('alice', ['alice']), 'alice', historyOf(...finished), roster)).to.match(/at least 2 helpers/);
+    expect(checkMessage({ ...enroll('carol'), helpers: ['bob', 'carol'] }, 'carol', historyOf(...finished), roster)).to.match(/for itself/);
+
+    // Until every helper has enrolled it, the device cannot write
+    const halfway = historyOf(...finished, enroll('alice'));
+    expect(checkMessage(key, 'carol-phone', halfway, roster)).to.match(/claims to be from carol but was signed by carol-phone/);
+
+    const enrolled = historyOf(...finished, enroll('alice'), enroll('bob'));
+    expect(enrolled.devices.get('carol-phone')).to.deep.equal({ participant: 'carol', helpers: ['alice', 'bob'] });
+    expect(checkMessage(key, 'carol-phone', enrolled, roster)).to.be.null;
+    expect(checkMessage(key, 'carol', enrolled, roster)).to.match(/carol was replaced by an enrolled device/);
+    expect(checkMessage(frostCommitment('carol'), 'carol-phone', enrolled, roster)).to.be.null;
+
+    const payload = { ephemeralPublicKey: point(4), iv: '00'.repeat(12), ciphertext: '00', tag: '00'.repeat(16) };
+    const contribution = (from) => ({
+      type: 'recovery_contribution', from, device: 'carol-phone', contribution: payload, epoch: 0,
+      groupPublicKey: point(5), verificationShares: { alice: point(6), bob: point(7), carol: point(8) }
+    });
+    expect(checkMessage(contribution('alice'), 'alice', enrolled, roster)).to.match(/before seeing carol-phone's encryption key/);
+    const keyed = extendHistory(enrolled, key, 'carol', 'key');
+    expect(checkMessage(contribution('alice'), 'alice', keyed, roster)).to.be.null;
+    expect(checkMessage(contribution('carol'), 'carol-phone', keyed, roster)).to.match(/not helping recover carol/);
+  });
+
+  it('should refuse messages written after the session moved on', function() {
+    const groupKey = (from) => ({ type: 'group_key', from, groupPublicKey: point(5), address: '0x' + '11'.repeat(20) });
+    const past = historyOf(commitment('alice'), commitment('bob'), groupKey('alice'));
+
+    expect(checkMessage({ type: 'complaint', from: 'bob', against: 'alice' }, 'bob', past, roster)).to.match(/after the session moved on/);
+    expect(checkMessage(commitment('carol'), 'carol', past, roster)).to.match(/after the session moved on/);
+    expect(checkMessage(groupKey('bob'), 'bob', past, roster)).to.be.null;
+    expect(checkMessage(frostCommitment('alice'), 'alice', past, roster)).to.be.null;
+  });
+});
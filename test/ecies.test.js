@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import * as ecies from '../src/ecies.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('ECIES over secp256k1', function() {
+  const recipient = ec.genKeyPair();
+  const recipientPublicKey = recipient.getPublic(true, 'hex');
+  const share = JSON.stringify({ x: 2, y: 'ab'.repeat(32) });
+  const aad = 'session|share|alice|bob';
+
+  it('should round-trip a share to the recipient', function() {
+    const payload = ecies.encrypt(recipientPublicKey, share, aad);
+
+    expect(payload).to.have.all.keys('ephemeralPublicKey', 'iv', 'ciphertext', 'tag');
+    expect(payload.ciphertext).to.not.include(Buffer.from(share).toString('hex'));
+    expect(ecies.decrypt(recipient, payload, aad).toString()).to.equal(share);
+    expect(ecies.decrypt(recipient.getPrivate('hex'), payload, aad).toString()).to.equal(share);
+  });
+
+  it('should accept uncompressed recipient keys', function() {
+    const payload = ecies.encrypt(recipient.getPublic('hex'), share, aad);
+    expect(ecies.decrypt(recipient, payload, aad).toString()).to.equal(share);
+  });
+
+  it('should use a fresh ephemeral key and IV for each message', function() {
+    const a = ecies.encrypt(recipientPublicKey, share, aad);
+    const b = ecies.encrypt(recipientPublicKey, share, aad);
+    expect(a.ephemeralPublicKey).to.not.equal(b.ephemeralPublicKey);
+    expect(a.iv).to.not.equal(b.iv);
+    expect(a.ciphertext).to.not.equal(b.ciphertext);
+  });
+
+  it('should refuse to decrypt with the wrong private key', function() {
+    const payload = ecies.encrypt(recipientPublicKey, share, aad);
+    expect(() => ecies.decrypt(ec.genKeyPair(), payload, aad)).to.throw('ECIES authentication failed');
+  });
+
+  it('should detect tampered ciphertexts, tags and ephemeral keys', function() {
+    const payload = ecies.encrypt(recipientPublicKey, share, aad);
+    const flip = (hex) => (hex[0] === '0' ? '1' : '0') + hex.slice(1);
+
+    expect(() => ecies.decrypt(recipient, { ...payload, ciphertext: flip(payload.ciphertext) }, aad)).to.throw('ECIES authentication failed');
+    expect(() => ecies.decrypt(recipient, { ...payload, tag: flip(payload.tag) }, aad)).to.throw('ECIES authentication failed');
+    expect(() => ecies.decrypt(recipient, { ...payload, iv: flip(payload.iv) }, aad)).to.throw('ECIES authentication failed');
+    expect(() => ecies.decrypt(recipient, { ...payload, ephemeralPublicKey: ec.genKeyPair().getPublic(true, 'hex') }, aad)).to.throw('ECIES authentication failed');
+  });
+
+  it('should detect misaddressed ciphertexts through the associated data', function() {
+    const payload = ecies.encrypt(recipientPublicKey, share, aad);
+    expect(() => ecies.decrypt(recipient, payload, 'session|share|alice|carol')).to.throw('ECIES authentication failed');
+  });
+
+  it('should reject malformed payloads and off-curve keys', function() {
+    const payload = ecies.encrypt(recipientPublicKey, share, aad);
+
+    expect(() => ecies.decrypt(recipient, null, aad)).to.throw('Malformed ECIES payload');
+    expect(() => ecies.decrypt(recipient, 'deadbeef', aad)).to.throw('Malformed ECIES payload');
+    expect(() => ecies.decrypt(recipient, { ...payload, tag: 'zz' }, aad)).to.throw('Malformed ECIES payload');
+    expect(() => ecies.decrypt(recipient, { ...payload, ephemeralPublicKey: '04' + '11'.repeat(64) }, aad)).to.throw('not on secp256k1');
+    expect(() => ecies.encrypt('02' + '00'.repeat(32), share)).to.throw();
+  });
+});
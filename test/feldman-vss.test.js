@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import * as field from '../src/scalar-field.js';
+import * as feldman from '../src/feldman-vss.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('Feldman VSS', function() {
+  this.timeout(30000);
+
+  it('should verify every share of a degree-10 polynomial for 25 participants', function() {
+    const threshold = 11;
+    const numParticipants = 25;
+    const polynomial = field.randomPolynomial(threshold - 1);
+    const commitments = feldman.commit(polynomial);
+
+    expect(commitments).to.have.length(threshold);
+
+    for (let x = 1; x <= numParticipants; x++) {
+      const share = { x, y: field.toHex(field.evaluatePolynomial(polynomial, x)) };
+      expect(feldman.verifyShare(share, commitments), `share ${x}`).to.be.true;
+    }
+  });
+
+  it('should verify shares at large x-coordinates', function() {
+    const polynomial = field.randomPolynomial(10);
+    const commitments = feldman.commit(polynomial);
+    const x = 2n ** 200n + 12345n;
+    const share = { x, y: field.toHex(field.evaluatePolynomial(polynomial, x)) };
+
+    expect(feldman.verifyShare(share, commitments)).to.be.true;
+  });
+
+  it('should reject tampered shares', function() {
+    const polynomial = field.randomPolynomial(10);
+    const commitments = feldman.commit(polynomial);
+    const y = field.evaluatePolynomial(polynomial, 7);
+
+    expect(feldman.verifyShare({ x: 7, y: field.toHex(field.add(y, 1n)) }, commitments)).to.be.false;
+    expect(feldman.verifyShare({ x: 8, y: field.toHex(y) }, commitments)).to.be.false;
+  });
+
+  it('should reject shares checked against another dealer\'s commitments', function() {
+    const polynomial = field.randomPolynomial(10);
+    const otherCommitments = feldman.commit(field.randomPolynomial(10));
+    const share = { x: 3, y: field.toHex(field.evaluatePolynomial(polynomial, 3)) };
+
+    expect(feldman.verifyShare(share, otherCommitments)).to.be.false;
+  });
+
+  it('should give the summed public key for summed shares', function() {
+    // Final shares are sums of every dealer's share; they must still verify
+    // against the point-wise sum of the dealers' commitments
+    const dealers = [0, 1, 2].map(() => field.randomPolynomial(10));
+    const x = 5;
+    const finalShare = dealers.reduce((sum, p) => field.add(sum, field.evaluatePolynomial(p, x)), 0n);
+    const expected = dealers
+      .map(p => feldman.evaluateCommitments(feldman.commit(p), x))
+      .reduce((sum, point) => sum.add(point));
+
+    expect(ec.g.mul(field.toHex(finalShare)).eq(expected)).to.be.true;
+  });
+
+  it('should verify shares of a zero-constant polynomial without committing to g^0', function() {
+    const polynomial = field.randomPolynomial(4, 0n);
+    const commitments = feldman.commitZero(polynomial);
+    expect(commitments).to.have.length(4);
+
+    for (let x = 1; x <= 7; x++) {
+      const share = { x, y: field.toHex(field.evaluatePolynomial(polynomial, x)) };
+      expect(feldman.verifyZeroShare(share, commitments), `share ${x}`).to.be.true;
+    }
+    expect(feldman.verifyZeroShare({ x: 3, y: field.toHex(1n) }, commitments)).to.be.false;
+
+    // A constant polynomial (threshold 1) refreshes every share by zero
+    expect(feldman.verifyZeroShare({ x: 2, y: field.toHex(0n) }, feldman.commitZero([0n]))).to.be.true;
+    expect(() => feldman.commitZero(field.randomPolynomial(4))).to.throw(/non-zero constant/);
+  });
+});
@@ -0,0 +1,111 @@
+import { expect } from 'chai';
+import * as field from '../src/scalar-field.js';
+import * as feldman from '../src/feldman-vss.js';
+import * as frost from '../src/frost.js';
+import { computeGroupKey, computeVerificationShare, encodePoint } from '../src/group-key.js';
+
+describe('FROST Threshold Schnorr', function() {
+  this.timeout(30000);
+
+  // Simulated DKG output: 3-of-5 with every participant dealing
+  const threshold = 3;
+  const numParticipants = 5;
+  const dealers = Array.from({ length: numParticipants }, () => field.randomPolynomial(threshold - 1));
+  const commitments = dealers.map(polynomial => feldman.commit(polynomial));
+  const groupPublicKey = encodePoint(computeGroupKey(commitments));
+  const secretShare = (index) => field.toHex(dealers.reduce(
+    (sum, polynomial) => field.add(sum, field.evaluatePolynomial(polynomial, index)), 0n
+  ));
+  const verificationShare = (index) => encodePoint(computeVerificationShare(commitments, index));
+
+  const runSigning = (message, signers, { corrupt } = {}) => {
+    const digest = frost.messageDigest(message);
+    const nonces = new Map(signers.map(index => [index, frost.createNonces()]));
+    const nonceCommitments = signers.map(index => ({ index, D: nonces.get(index).D, E: nonces.get(index).E }));
+
+    const shares = new Map(signers.map(index => {
+      let z = frost.signShare({
+        index,
+        secretShare: secretShare(index),
+        nonces: nonces.get(index),
+        digest,
+        commitments: nonceCommitments,
+        groupPublicKey
+      });
+      if (index === corrupt) z = field.add(z, 1n);
+      return [index, z];
+    }));
+
+    return { digest, nonceCommitments, shares };
+  };
+
+  it('should produce a valid signature from any threshold subset', function() {
+    const message = 'Transfer 1 ETH to 0x1234';
+    for (const signers of [[1, 2, 3], [2, 4, 5], [1, 3, 5]]) {
+      const { digest, nonceCommitments, shares } = runSigning(message, signers);
+      const signature = frost.aggregate({ digest, commitments: nonceCommitments, groupPublicKey, shares: [...shares.values()] });
+
+      expect(frost.verify(signature, message, groupPublicKey), `signers ${signers}`).to.be.true;
+    }
+  });
+
+  it('should work with more than threshold signers', function() {
+    const message = 'more signers than needed';
+    const { digest, nonceCommitments, shares } = runSigning(message, [1, 2, 3, 4, 5]);
+    const signature = frost.aggregate({ digest, commitments: nonceCommitments, groupPublicKey, shares: [...shares.values()] });
+
+    expect(frost.verify(signature, message, groupPublicKey)).to.be.true;
+  });
+
+  it('should verify every honest signature share', function() {
+    const { digest, nonceCommitments, shares } = runSigning('hello', [1, 2, 4]);
+    for (const [index, z] of shares) {
+      expect(frost.verifySignatureShare({
+        index, z, verificationShare: verificationShare(index), digest, commitments: nonceCommitments, groupPublicKey
+      })).to.be.true;
+    }
+  });
+
+  it('should identify the signer of a bad share', function() {
+    const message = 'hello';
+    const { digest, nonceCommitments, shares } = runSigning(message, [1, 2, 4], { corrupt: 2 });
+    const cheaters = [...shares].filter(([index, z]) => !frost.verifySignatureShare({
+      index, z, verificationShare: verificationShare(index), digest, commitments: nonceCommitments, groupPublicKey
+    })).map(([index]) => index);
+
+    expect(cheaters).to.deep.equal([2]);
+
+    const signature = frost.aggregate({ digest, commitments: nonceCommitments, groupPublicKey, shares: [...shares.values()] });
+    expect(frost.verify(signature, message, groupPublicKey)).to.be.false;
+  });
+
+  it('should reject malformed signature shares', function() {
+    const { digest, nonceCommitments } = runSigning('hello', [1, 2, 3]);
+    expect(frost.verifySignatureShare({
+      index: 1, z: 'not-a-scalar', verificationShare: verificationShare(1), digest, commitments: nonceCommitments, groupPublicKey
+    })).to.be.false;
+  });
+
+  it('should reject signatures on another message or under another key', function() {
+    const message = 'original';
+    const { digest, nonceCommitments, shares } = runSigning(message, [3, 4, 5]);
+    const signature = frost.aggregate({ digest, commitments: nonceCommitments, groupPublicKey, shares: [...shares.values()] });
+    const otherKey = encodePoint(computeGroupKey([feldman.commit(field.randomPolynomial(2))]));
+
+    expect(frost.verify(signature, 'tampered', groupPublicKey)).to.be.false;
+    expect(frost.verify(signature, message, otherKey)).to.be.false;
+    expect(frost.verify({ ...signature, z: field.toHex(field.add(field.fromHex(signature.z), 1n)) }, message, groupPublicKey)).to.be.false;
+  });
+
+  it('should refuse to sign with nonces missing from the commitment list', function() {
+    const { digest, nonceCommitments } = runSigning('hello', [1, 2, 3]);
+    expect(() => frost.signShare({
+      index: 1,
+      secretShare: secretShare(1),
+      nonces: frost.createNonces(),
+      digest,
+      commitments: nonceCommitments,
+      groupPublicKey
+    })).to.throw('Own nonce commitments missing');
+  });
+});
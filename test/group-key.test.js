@@ -0,0 +1,53 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import { ethers } from 'ethers';
+import * as field from '../src/scalar-field.js';
+import * as feldman from '../src/feldman-vss.js';
+import { computeGroupKey, computeVerificationShare, toEthereumAddress, encodePoint } from '../src/group-key.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('Group Public Key', function() {
+  this.timeout(10000);
+
+  // Three dealers, threshold 3, five participants
+  const dealers = [0, 1, 2].map(() => field.randomPolynomial(2));
+  const commitments = dealers.map(polynomial => feldman.commit(polynomial));
+  const groupSecret = dealers.reduce((sum, polynomial) => field.add(sum, polynomial[0]), 0n);
+  const finalShare = (x) => dealers.reduce((sum, polynomial) => field.add(sum, field.evaluatePolynomial(polynomial, x)), 0n);
+
+  it('should equal g raised to the sum of the dealers\' secrets', function() {
+    const key = computeGroupKey(commitments);
+    expect(key.eq(ec.g.mul(field.toHex(groupSecret)))).to.be.true;
+  });
+
+  it('should not depend on dealer order', function() {
+    const key = computeGroupKey([...commitments].reverse());
+    expect(encodePoint(key)).to.equal(encodePoint(computeGroupKey(commitments)));
+  });
+
+  it('should give each participant a verification share matching its final share', function() {
+    for (let x = 1; x <= 5; x++) {
+      const expected = ec.g.mul(field.toHex(finalShare(x)));
+      expect(computeVerificationShare(commitments, x).eq(expected), `participant ${x}`).to.be.true;
+    }
+  });
+
+  it('should encode the key as 33-byte compressed hex', function() {
+    const hex = encodePoint(computeGroupKey(commitments));
+    expect(hex).to.match(/^0[23][0-9a-f]{64}$/);
+  });
+
+  it('should derive the Ethereum address of the group key', function() {
+    const key = computeGroupKey(commitments);
+    const wallet = new ethers.Wallet('0x' + field.toHex(groupSecret));
+
+    expect(toEthereumAddress(key)).to.equal(wallet.address);
+    expect(toEthereumAddress(encodePoint(key))).to.equal(wallet.address);
+  });
+
+  it('should match a known address vector', function() {
+    // Private key 1 controls 0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf
+    expect(toEthereumAddress(ec.g)).to.equal('0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf');
+  });
+});
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import createKeystore from '../src/keystore.js';
+
+describe('Keystore', function() {
+  this.timeout(10000); // scrypt is slow on purpose
+
+  const secrets = { privateKey: 'ab'.repeat(32), finalShare: 'cd'.repeat(32), verificationShares: { alice: '02' + 'ef'.repeat(32) } };
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'dkg-keystore-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should keep secrets encrypted on disk across instances', async function() {
+    const keystore = createKeystore({ directory });
+    await keystore.unlock('correct horse');
+    await keystore.set('/orbitdb/session', secrets);
+    expect(keystore.get('/orbitdb/session')).to.deep.equal(secrets);
+    expect(keystore.get('/orbitdb/other')).to.be.undefined;
+
+    const onDisk = await readFile(path.join(directory, 'keystore.json'), 'utf8');
+    expect(onDisk).to.not.include(secrets.finalShare);
+    expect(onDisk).to.not.include(secrets.privateKey);
+
+    const reopened = createKeystore({ directory });
+    await reopened.unlock('correct horse');
+    expect(reopened.get('/orbitdb/session')).to.deep.equal(secrets);
+  });
+
+  it('should refuse a wrong passphrase and access while locked', async function() {
+    const keystore = createKeystore({ directory });
+    expect(keystore.locked).to.be.true;
+    expect(() => keystore.get('session')).to.throw(/locked/);
+
+    await keystore.unlock('correct horse');
+    await keystore.set('session', secrets);
+    keystore.lock();
+    expect(keystore.locked).to.be.true;
+    expect(() => keystore.get('session')).to.throw(/locked/);
+
+    const other = createKeystore({ directory });
+    let error = null;
+    try {
+      await other.unlock('battery staple');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/Wrong passphrase/);
+    expect(other.locked).to.be.true;
+  });
+
+  it('should detect entries moved or altered in the file', async function() {
+    const keystore = createKeystore({ directory });
+    await keystore.unlock('correct horse');
+    await keystore.set('a', secrets);
+    await keystore.set('b', { finalShare: '01'.repeat(32) });
+
+    const file = path.join(directory, 'keystore.json');
+    const contents = JSON.parse(await readFile(file, 'utf8'));
+    contents.entries.b = contents.entries.a;
+    await writeFile(file, JSON.stringify(contents));
+
+    const reopened = createKeystore({ directory });
+    await reopened.unlock('correct horse');
+    expect(reopened.get('a')).to.deep.equal(secrets);
+    expect(() => reopened.get('b')).to.throw(/failed authentication/);
+  });
+
+  it('should wipe every secret', async function() {
+    const keystore = createKeystore({ directory });
+    await keystore.unlock('correct horse');
+    await keystore.set('session', secrets);
+    await keystore.wipe();
+    expect(keystore.locked).to.be.true;
+
+    // A wiped keystore starts over with whatever passphrase comes next
+    const fresh = createKeystore({ directory });
+    await fresh.unlock('battery staple');
+    expect(fresh.get('session')).to.be.undefined;
+  });
+
+  it('should live next to the OrbitDB directory by default', function() {
+    expect(createKeystore({ orbitdb: { directory: './orbitdb-dkg1' } }).directory).to.equal('./orbitdb-dkg1-keystore');
+    expect(() => createKeystore()).to.throw(/directory or OrbitDB instance is required/);
+  });
+});
@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import * as field from '../src/scalar-field.js';
+import { lagrangeCoefficient, interpolate, interpolateAtZero, interpolatePoints, interpolatePolynomial } from '../src/lagrange.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('Lagrange Interpolation', function() {
+  const polynomial = field.randomPolynomial(2);
+  const shares = [1, 2, 3, 4, 5].map(x => ({ x, y: field.evaluatePolynomial(polynomial, x) }));
+
+  it('should have coefficients summing to one', function() {
+    const indices = [2, 3, 5];
+    const total = indices.reduce((sum, i) => field.add(sum, lagrangeCoefficient(i, indices)), 0n);
+    expect(total).to.equal(1n);
+  });
+
+  it('should recover the secret from any threshold subset', function() {
+    for (const subset of [[0, 1, 2], [2, 3, 4], [0, 1, 2, 3, 4]]) {
+      expect(interpolateAtZero(subset.map(i => shares[i]))).to.equal(polynomial[0]);
+    }
+  });
+
+  it('should accept hex shares', function() {
+    const hexShares = shares.slice(1, 4).map(({ x, y }) => ({ x, y: field.toHex(y) }));
+    expect(interpolateAtZero(hexShares)).to.equal(polynomial[0]);
+  });
+
+  it('should interpolate at any point', function() {
+    // A lost share can be rebuilt from any three others
+    expect(interpolate(shares.slice(0, 3), 5)).to.equal(shares[4].y);
+    expect(interpolate(shares.slice(2, 5), 7)).to.equal(field.evaluatePolynomial(polynomial, 7));
+  });
+
+  it('should interpolate public keys in the exponent', function() {
+    const points = shares.slice(1, 4).map(({ x, y }) => ({ x, y: ec.g.mul(field.toHex(y)).encode('hex', true) }));
+    expect(interpolatePoints(points).eq(ec.g.mul(field.toHex(polynomial[0])))).to.be.true;
+    expect(interpolatePoints(points, 1).eq(ec.g.mul(field.toHex(shares[0].y)))).to.be.true;
+  });
+
+  it('should recover every coefficient of the polynomial', function() {
+    expect(interpolatePolynomial(shares.slice(1, 4))).to.deep.equal(polynomial);
+    expect(interpolatePolynomial(shares.slice(0, 2))).to.have.length(2);
+  });
+
+  it('should reject duplicate or missing indices', function() {
+    expect(() => interpolateAtZero([shares[0], shares[0]])).to.throw('Duplicate share index');
+    expect(() => lagrangeCoefficient(4, [1, 2, 3])).to.throw('not among the interpolation indices');
+  });
+
+  it('should reject points off the curve', function() {
+    expect(() => interpolatePoints([{ x: 1, y: '04' + '01'.padStart(64, '0') + '01'.padStart(64, '0') }])).to.throw('Point is not on secp256k1');
+  });
+});
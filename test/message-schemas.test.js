@@ -0,0 +1,109 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import createRoster from '../src/roster.js';
+import { PROTOCOL_VERSION, validateMessage, upgradeMessage, encodeMessage, messageVersion } from '../src/message-schemas.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('Message Schemas', function() {
+  const roster = createRoster(['alice', 'bob', 'carol']);
+  const context = { roster, threshold: 2 };
+  const point = (k) => ec.g.mul(k).encode('hex', true);
+
+  const commitment = {
+    type: 'public_commitment',
+    from: 'alice',
+    version: PROTOCOL_VERSION,
+    mode: 'feldman',
+    commitments: [ec.g.mul(1).encode('hex'), ec.g.mul(2).encode('hex')],
+    encryptionKey: point(3)
+  };
+
+  it('should accept well-formed messages', function() {
+    expect(validateMessage(commitment, context)).to.be.null;
+    expect(validateMessage({ type: 'share_verification', from: 'bob', about: 'alice', valid: true }, context)).to.be.null;
+    expect(validateMessage({ type: 'justification', from: 'alice', to: 'bob', share: { x: 2, y: 'ab'.repeat(32) } }, context)).to.be.null;
+    expect(validateMessage({ type: 'justifications_closed', from: 'carol' }, context)).to.be.null;
+    expect(validateMessage({ type: 'extraction_verified', from: 'carol' }, context)).to.be.null;
+    expect(validateMessage({ type: 'equivocation', from: 'bob', accused: 'carol', entries: ['zdpuA', 'zdpuB'] }, context)).to.be.null;
+    expect(validateMessage({ type: 'equivocation', from: 'bob', accused: 'carol', entries: ['zdpuA', 'zdpuA'] }, context)).to.match(/two different entry hashes/);
+  });
+
+  it('should require the proofs of the threshold ECDSA rounds', function() {
+    const keyProof = { roots: ['0a', '0b'], responses: ['0c', '0d'], s: '05', t: '07', challenge: 'ab'.repeat(32) };
+    const key = { type: 'ecdsa_key', from: 'alice', requestId: 'r1', paillierN: 'ff', keyProof };
+    expect(validateMessage(key, context)).to.be.null;
+    expect(validateMessage({ ...key, keyProof: undefined }, context)).to.match(/keyProof must be a Paillier key proof/);
+
+    const proof = { z: '01', u: '02', w: '03', s: '04', s1: '05', s2: '06' };
+    const rCheck = { type: 'ecdsa_r_check', from: 'alice', requestId: 'r1', Rk: point(2), proofs: { bob: proof } };
+    expect(validateMessage(rCheck, context)).to.be.null;
+    expect(validateMessage({ ...rCheck, proofs: { mallory: proof } }, context)).to.match(/proofs must be proofs by signer/);
+
+    const mta = { type: 'ecdsa_mta', from: 'alice', requestId: 'r1', responses: { bob: { gamma: '0a', w: '0b', gammaProof: proof, wProof: proof } } };
+    expect(validateMessage(mta, context)).to.be.null;
+    expect(validateMessage({ ...mta, responses: { bob: { gamma: '0a', w: '0b' } } }, context)).to.match(/responses must be MtA responses/);
+  });
+
+  it('should check hex formats and point encodings', function() {
+    // x = 1 has no point on secp256k1 with y = 1
+    const offCurve = '04' + '00'.repeat(31) + '01' + '00'.repeat(31) + '01';
+    expect(validateMessage({ ...commitment, encryptionKey: offCurve }, context)).to.match(/encryptionKey must be a secp256k1 point/);
+    expect(validateMessage({ ...commitment, encryptionKey: 'not hex' }, context)).to.match(/encryptionKey/);
+
+    const share = (y) => ({ type: 'justification', from: 'alice', to: 'bob', share: { x: 2, y } });
+    expect(validateMessage(share('abc'), context)).to.match(/share must be a share/);
+    expect(validateMessage(share('ff'.repeat(32)), context)).to.match(/share must be a share/); // not below n
+    expect(validateMessage({ ...share('ab'.repeat(32)), share: { x: 4, y: 'ab'.repeat(32) } }, context)).to.match(/roster index/);
+
+    const groupKey = { type: 'group_key', from: 'alice', groupPublicKey: point(5), address: '0x0' };
+    expect(validateMessage(groupKey, context)).to.match(/address must be an Ethereum address/);
+  });
+
+  it('should require one commitment per coefficient', function() {
+    expect(validateMessage({ ...commitment, commitments: commitment.commitments.slice(0, 1) }, context)).to.match(/commitments must be threshold/);
+    expect(validateMessage({ ...commitment, commitments: [...commitment.commitments, point(4)] }, context)).to.match(/commitments/);
+
+    // A refresh polynomial's constant term is zero and left uncommitted
+    const payload = { ephemeralPublicKey: point(4), iv: '00'.repeat(12), ciphertext: '00', tag: '00'.repeat(16) };
+    const refresh = { type: 'refresh_commitment', from: 'alice', epoch: 1, commitments: [point(2)], shares: { bob: payload, carol: payload } };
+    expect(validateMessage(refresh, context)).to.be.null;
+    expect(validateMessage({ ...refresh, commitments: commitment.commitments }, context)).to.match(/commitments must be threshold - 1/);
+    expect(validateMessage({ ...refresh, shares: { mallory: payload } }, context)).to.match(/shares must be ECIES payloads/);
+    expect(validateMessage({ type: 'refresh_verification', from: 'bob', epoch: 1, complaints: [] }, context)).to.be.null;
+  });
+
+  it('should refuse unknown types, senders and versions', function() {
+    expect(validateMessage({ type: 'gossip', from: 'alice' }, context)).to.match(/unknown message type gossip/);
+    expect(validateMessage({ ...commitment, from: 'mallory' }, context)).to.match(/from must be a roster member/);
+
+    // A recovering device is a new identity standing in for a member
+    const enrollment = { type: 'enrollment', from: 'alice', participant: 'carol', device: 'carol-phone', helpers: ['alice', 'bob'] };
+    expect(validateMessage(enrollment, context)).to.be.null;
+    expect(validateMessage({ ...enrollment, device: 'bob' }, context)).to.match(/device must be an identity id outside the roster/);
+    expect(validateMessage({ ...commitment, version: PROTOCOL_VERSION + 1 }, context)).to.match(/Unsupported message version/);
+  });
+
+  it('should upgrade version 1 messages', function() {
+    const { version, mode, ...legacy } = commitment;
+    expect(messageVersion(legacy)).to.equal(1);
+    expect(validateMessage(legacy, context)).to.be.null;
+    expect(upgradeMessage(legacy)).to.deep.equal(commitment);
+  });
+
+  it('should write messages in the form of the session version', function() {
+    const { version, ...message } = commitment;
+    expect(encodeMessage(message)).to.deep.equal(commitment);
+    expect(encodeMessage(message, 1)).to.not.have.property('version');
+    expect(upgradeMessage(encodeMessage(message, 1))).to.deep.equal(commitment);
+    expect(encodeMessage(message, 2).version).to.equal(2);
+    expect(upgradeMessage(encodeMessage(message, 2))).to.deep.equal(commitment);
+
+    // A manifest keeps naming the version its session runs at
+    const manifest = { type: 'session_manifest', from: 'alice', threshold: 2 };
+    expect(encodeMessage(manifest, 1).version).to.equal(1);
+    expect(upgradeMessage(encodeMessage(manifest, 1)).version).to.equal(1);
+    expect(upgradeMessage(encodeMessage(manifest, 2)).version).to.equal(2);
+    expect(() => encodeMessage(manifest, 0)).to.throw(/Unsupported message version 0/);
+  });
+});
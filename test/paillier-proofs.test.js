@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import * as field from '../src/scalar-field.js';
+import * as paillier from '../src/paillier.js';
+import * as proofs from '../src/paillier-proofs.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('Paillier Proofs', function() {
+  this.timeout(120000);
+
+  // Alice encrypts under her key; Bob proves ranges against her parameters
+  // and she against his
+  const alice = paillier.generateKeyPair(2048);
+  const bob = paillier.generateKeyPair(2048);
+  const aliceProof = proofs.proveKey(alice.privateKey, 'session|alice');
+  const bobProof = proofs.proveKey(bob.privateKey, 'session|bob');
+  const aliceSetup = proofs.ringPedersen(alice.publicKey.N, aliceProof);
+  const bobSetup = proofs.ringPedersen(bob.publicKey.N, bobProof);
+
+  it('should prove a Paillier key well-formed', function() {
+    expect(proofs.verifyKey(alice.publicKey.N, aliceProof, 'session|alice')).to.be.null;
+    expect(proofs.verifyKey(alice.publicKey.N, aliceProof, 'session|bob')).to.match(/not a valid Paillier modulus/);
+    expect(proofs.verifyKey(bob.publicKey.N, aliceProof, 'session|alice')).to.match(/not a valid Paillier modulus/);
+
+    // A modulus with a small or repeated factor has no N-th roots to show
+    expect(proofs.verifyKey(alice.publicKey.N * 3n, aliceProof, 'session|alice')).to.match(/factor below/);
+    const [first] = aliceProof.responses;
+    const forged = { ...aliceProof, responses: [(BigInt('0x' + first) + 1n).toString(16), ...aliceProof.responses.slice(1)] };
+    expect(proofs.verifyKey(alice.publicKey.N, forged, 'session|alice')).to.match(/not proven/);
+    expect(proofs.verifyKey(alice.publicKey.N, { ...aliceProof, roots: [] }, 'session|alice')).to.match(/malformed/);
+  });
+
+  it('should prove a ciphertext encrypts a value in range', function() {
+    const { publicKey } = alice;
+    const k = field.random();
+    const r = paillier.randomUnit(publicKey.N);
+    const c = paillier.encrypt(publicKey, k, r);
+    const proof = proofs.proveEncryption({ N: publicKey.N, c, x: k, r, verifier: bobSetup, context: 'r1' });
+    expect(proofs.verifyEncryption({ N: publicKey.N, c, verifier: bobSetup, context: 'r1', proof })).to.be.true;
+    expect(proofs.verifyEncryption({ N: publicKey.N, c, verifier: bobSetup, context: 'r2', proof })).to.be.false;
+
+    // A value far out of range, as a cheater would encrypt to learn the
+    // responder's secret from its MtA response, cannot be proven
+    const large = field.N ** 4n;
+    const cheat = paillier.encrypt(publicKey, large, r);
+    const bad = proofs.proveEncryption({ N: publicKey.N, c: cheat, x: large, r, verifier: bobSetup, context: 'r1' });
+    expect(proofs.verifyEncryption({ N: publicKey.N, c: cheat, verifier: bobSetup, context: 'r1', proof: bad })).to.be.false;
+
+    // With a base point, X = B^k is proven against the same ciphertext
+    const base = ec.g.mul(field.toHex(field.random()));
+    const X = base.mul(field.toHex(k));
+    const withBase = proofs.proveEncryption({ N: publicKey.N, c, x: k, r, verifier: bobSetup, base, context: 'r1' });
+    expect(proofs.verifyEncryption({ N: publicKey.N, c, verifier: bobSetup, base, X, context: 'r1', proof: withBase })).to.be.true;
+    expect(proofs.verifyEncryption({ N: publicKey.N, c, verifier: bobSetup, base, X: X.add(ec.g), context: 'r1', proof: withBase })).to.be.false;
+  });
+
+  it('should prove an MtA response is affine in the ciphertext', function() {
+    const { publicKey } = alice;
+    const c = paillier.encrypt(publicKey, field.random());
+    const b = field.random();
+    const y = paillier.randomBelow(field.N ** 5n);
+    const r = paillier.randomUnit(publicKey.N);
+    const d = paillier.add(publicKey, paillier.multiply(publicKey, c, b), paillier.encrypt(publicKey, y, r));
+
+    const proof = proofs.proveAffine({ N: publicKey.N, c, d, x: b, y, r, verifier: aliceSetup, context: 'mta' });
+    expect(proofs.verifyAffine({ N: publicKey.N, c, d, verifier: aliceSetup, context: 'mta', proof })).to.be.true;
+    const other = paillier.add(publicKey, d, paillier.encrypt(publicKey, 1n));
+    expect(proofs.verifyAffine({ N: publicKey.N, c, d: other, verifier: aliceSetup, context: 'mta', proof })).to.be.false;
+
+    // With the check, b is the discrete log of the public point given
+    const checked = proofs.proveAffine({ N: publicKey.N, c, d, x: b, y, r, verifier: aliceSetup, check: true, context: 'mta' });
+    const X = ec.g.mul(field.toHex(b));
+    expect(proofs.verifyAffine({ N: publicKey.N, c, d, verifier: aliceSetup, X, context: 'mta', proof: checked })).to.be.true;
+    expect(proofs.verifyAffine({ N: publicKey.N, c, d, verifier: aliceSetup, X: X.add(ec.g), context: 'mta', proof: checked })).to.be.false;
+  });
+});
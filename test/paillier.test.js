@@ -0,0 +1,37 @@
+import { expect } from 'chai';
+import * as paillier from '../src/paillier.js';
+
+describe('Paillier Encryption', function() {
+  this.timeout(60000);
+
+  // Small modulus keeps key generation fast; the protocol uses 2048 bits
+  const { publicKey, privateKey } = paillier.generateKeyPair(1024);
+
+  it('should round-trip plaintexts', function() {
+    for (const m of [0n, 1n, 123456789n, publicKey.N - 1n]) {
+      expect(paillier.decrypt(privateKey, paillier.encrypt(publicKey, m))).to.equal(m);
+    }
+  });
+
+  it('should randomise ciphertexts', function() {
+    expect(paillier.encrypt(publicKey, 42n)).to.not.equal(paillier.encrypt(publicKey, 42n));
+  });
+
+  it('should add plaintexts homomorphically', function() {
+    const sum = paillier.add(publicKey, paillier.encrypt(publicKey, 1000n), paillier.encrypt(publicKey, 234n));
+    expect(paillier.decrypt(privateKey, sum)).to.equal(1234n);
+  });
+
+  it('should multiply by a plaintext scalar', function() {
+    const product = paillier.multiply(publicKey, paillier.encrypt(publicKey, 111n), 9n);
+    expect(paillier.decrypt(privateKey, product)).to.equal(999n);
+  });
+
+  it('should reject out-of-range ciphertexts', function() {
+    expect(paillier.isCiphertext(publicKey, paillier.encrypt(publicKey, 5n))).to.be.true;
+    expect(paillier.isCiphertext(publicKey, 0n)).to.be.false;
+    expect(paillier.isCiphertext(publicKey, publicKey.N * publicKey.N)).to.be.false;
+    expect(paillier.isCiphertext(publicKey, publicKey.N)).to.be.false;
+    expect(() => paillier.decrypt(privateKey, 0n)).to.throw('Ciphertext out of range');
+  });
+});
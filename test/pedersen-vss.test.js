@@ -0,0 +1,55 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import * as field from '../src/scalar-field.js';
+import * as feldman from '../src/feldman-vss.js';
+import * as pedersen from '../src/pedersen-vss.js';
+import { interpolatePolynomial } from '../src/lagrange.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('Pedersen VSS', function() {
+  this.timeout(30000);
+
+  const threshold = 3;
+  const polynomial = field.randomPolynomial(threshold - 1);
+  const blinding = field.randomPolynomial(threshold - 1);
+  const commitments = pedersen.commit(polynomial, blinding);
+  const shareFor = (x) => ({
+    x,
+    y: field.toHex(field.evaluatePolynomial(polynomial, x)),
+    blinding: field.toHex(field.evaluatePolynomial(blinding, x))
+  });
+
+  it('should use a second generator independent of g', function() {
+    expect(pedersen.H.validate()).to.be.true;
+    expect(pedersen.H.eq(ec.g)).to.be.false;
+  });
+
+  it('should verify every share', function() {
+    for (let x = 1; x <= 7; x++) {
+      expect(pedersen.verifyShare(shareFor(x), commitments), `share ${x}`).to.be.true;
+    }
+  });
+
+  it('should reject tampered shares and blinding values', function() {
+    const share = shareFor(4);
+    expect(pedersen.verifyShare({ ...share, y: field.toHex(field.add(field.fromHex(share.y), 1n)) }, commitments)).to.be.false;
+    expect(pedersen.verifyShare({ ...share, blinding: field.toHex(field.add(field.fromHex(share.blinding), 1n)) }, commitments)).to.be.false;
+    expect(pedersen.verifyShare({ ...share, x: 5 }, commitments)).to.be.false;
+  });
+
+  it('should hide the secret in the constant-term commitment', function() {
+    const feldmanCommitments = feldman.commit(polynomial);
+    expect(commitments[0]).to.not.equal(feldmanCommitments[0]);
+    expect(pedersen.commit(polynomial, field.randomPolynomial(threshold - 1))[0]).to.not.equal(commitments[0]);
+  });
+
+  it('should let threshold shares rebuild the Feldman commitments', function() {
+    const shares = [2, 5, 6].map(x => ({ x, y: shareFor(x).y }));
+    expect(feldman.commit(interpolatePolynomial(shares))).to.deep.equal(feldman.commit(polynomial));
+  });
+
+  it('should reject mismatched polynomial degrees', function() {
+    expect(() => pedersen.commit(polynomial, blinding.slice(1))).to.throw('same degree');
+  });
+});
@@ -0,0 +1,120 @@
+import { expect } from 'chai';
+import { EventEmitter } from 'events';
+import Presence from '../src/presence.js';
+import createRoster from '../src/roster.js';
+
+// A pubsub where every published message reaches every other subscriber
+const createNetwork = () => {
+  const nodes = [];
+  const node = () => {
+    const target = new EventTarget();
+    const topics = new Set();
+    const pubsub = {
+      subscribe: (topic) => topics.add(topic),
+      unsubscribe: (topic) => topics.delete(topic),
+      addEventListener: (...args) => target.addEventListener(...args),
+      removeEventListener: (...args) => target.removeEventListener(...args),
+      publish: async (topic, data) => {
+        for (const other of nodes) {
+          if (other.pubsub !== pubsub && other.topics.has(topic)) {
+            other.target.dispatchEvent(new CustomEvent('message', { detail: { topic, data } }));
+          }
+        }
+      }
+    };
+    nodes.push({ pubsub, target, topics });
+    return pubsub;
+  };
+  return { node };
+};
+
+// Identities that "sign" by tagging data with the key they hold
+const identities = {
+  all: new Map(),
+  getIdentity: async (hash) => identities.all.get(hash),
+  verifyIdentity: async () => true,
+  verify: async (signature, publicKey, data) => signature === `${publicKey}:${data}`
+};
+const createIdentity = (id) => {
+  const identity = { id, hash: `hash-${id}`, publicKey: `key-${id}`, sign: async (self, data) => `${self.publicKey}:${data}` };
+  identities.all.set(identity.hash, identity);
+  return identity;
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Presence', function() {
+  const roster = createRoster(['alice', 'bob', 'carol']);
+  const topic = '/orbitdb/session/presence';
+  let services;
+
+  afterEach(() => {
+    for (const service of services) service.stop();
+  });
+
+  it('should see participants come online and go offline', async function() {
+    const network = createNetwork();
+    services = ['alice', 'bob'].map(id =>
+      new Presence({ pubsub: network.node(), topic, identity: createIdentity(id), identities, roster, interval: 50, log: () => {} })
+    );
+    const [alice, bob] = services;
+
+    const changes = [];
+    alice.events.on('online', id => changes.push(`${id} online`));
+    alice.events.on('offline', id => changes.push(`${id} offline`));
+
+    // We are online as soon as we start, before our first heartbeat is out
+    const starting = alice.start();
+    expect(alice.online()).to.deep.equal(['alice']);
+    await starting;
+    expect(alice.online()).to.deep.equal(['alice']);
+    await bob.start();
+    await tick();
+    expect(alice.online()).to.deep.equal(['alice', 'bob']);
+    expect(bob.isOnline('carol')).to.be.false;
+
+    bob.stop();
+    expect(bob.isOnline('bob')).to.be.false;
+    await new Promise(resolve => setTimeout(resolve, 250));
+    expect(alice.online()).to.deep.equal(['alice']);
+    expect(changes).to.deep.equal(['bob online', 'bob offline']);
+  });
+
+  it('should ignore forged, replayed, stale and unknown heartbeats', async function() {
+    const network = createNetwork();
+    const alice = new Presence({ pubsub: network.node(), topic, identity: createIdentity('alice'), identities, roster, interval: 1000, log: () => {} });
+    services = [alice];
+    await alice.start();
+
+    const attacker = network.node();
+    const bob = createIdentity('bob');
+    const mallory = createIdentity('mallory');
+    const send = async (heartbeat) => {
+      await attacker.publish(topic, new TextEncoder().encode(JSON.stringify(heartbeat)));
+      await tick();
+    };
+    const signed = async (identity, from, time) => ({
+      from,
+      identity: identity.hash,
+      time,
+      signature: await identity.sign(identity, alice.statement({ from, time }))
+    });
+
+    await send(await signed(mallory, 'mallory', Date.now())); // not in the roster
+    await send(await signed(mallory, 'bob', Date.now())); // someone else's id
+    await send({ ...(await signed(bob, 'bob', Date.now())), signature: 'key-bob:nonsense' });
+    await send(await signed(bob, 'bob', Date.now() - 10000)); // too old
+    expect(alice.online()).to.deep.equal(['alice']);
+
+    const heartbeat = await signed(bob, 'bob', Date.now());
+    await send(heartbeat);
+    expect(alice.online()).to.deep.equal(['alice', 'bob']);
+
+    // Replaying it does not keep bob online
+    const { lastSeen } = alice;
+    lastSeen.set('bob', lastSeen.get('bob') - 500);
+    const seen = lastSeen.get('bob');
+    await send(heartbeat);
+    expect(lastSeen.get('bob')).to.equal(seen);
+  });
+});
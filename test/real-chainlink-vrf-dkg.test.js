@@ -1,19 +1,15 @@
 import { expect } from 'chai';
 import { ethers } from 'ethers';
 import { createOrbitDB } from '@orbitdb/core';
-import { IPFSAccessController } from '@orbitdb/core/src/access-controllers/index.js';
 import createHelia from './utils/create-helia.js';
 import connectPeers from './utils/connect-nodes.js';
-import waitFor from './utils/wait-for.js';
-import EC from 'elliptic';
 import dotenv from 'dotenv';
 import { rimraf } from 'rimraf';
+import createDKGSession from '../src/dkg-session.js';
 
 // Load environment variables
 dotenv.config();
 
-const ec = new EC.ec('secp256k1');
-
 // Sepolia Testnet Chainlink VRF Configuration
 const SEPOLIA_CHAINLINK_CONFIG = {
   vrfCoordinator: "0x8103B0A8A00be2DDC778e6e7eaa21791Cd364625", // VRF Coordinator V2
@@ -181,82 +177,12 @@ class RealChainlinkVRF {
   }
 }
 
-// DKG Participant using Real Chainlink VRF
-class RealVRFDKGParticipant {
-  constructor(participantId, orbitdb, db, vrfService) {
-    this.participantId = participantId;
-    this.orbitdb = orbitdb;
-    this.db = db;
-    this.vrf = vrfService;
-    this.privateKey = ec.genKeyPair();
-    this.polynomial = null;
-    this.vrfData = null;
-  }
-
-  async generatePolynomialWithRealVRF(threshold) {
-    console.log(`${this.participantId}: 🎲 Requesting REAL randomness from Chainlink VRF`);
-    
-    // Get real VRF randomness from Sepolia
-    this.vrfData = await this.vrf.getLatestVRFRandomness();
-    
-    // Use the VRF randomness as entropy for polynomial coefficients
-    this.polynomial = [this.privateKey.getPrivate().toString('hex')]; // secret (a0)
-    
-    // Derive additional coefficients from VRF randomness
-    let seed = this.vrfData.randomValue;
-    for (let i = 1; i < threshold; i++) {
-      // Use keccak256 to derive multiple coefficients from single VRF value
-      seed = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(seed + i.toString()));
-      this.polynomial.push(seed.slice(2)); // Remove '0x' prefix
-    }
-    
-    console.log(`${this.participantId}: ✅ Polynomial generated using REAL Chainlink VRF`);
-    console.log(`${this.participantId}: VRF Request ID: ${this.vrfData.requestId}`);
-    console.log(`${this.participantId}: VRF Source: ${this.vrfData.source}`);
-    
-    // Broadcast VRF proof and polynomial commitment
-    try {
-      console.log(`${this.participantId}: 📝 Adding polynomial commitment to database...`);
-      const hash = await this.db.add({
-        type: 'real_vrf_polynomial_commitment',
-        from: this.participantId,
-        vrfData: this.vrfData,
-        polynomialCommitments: this.polynomial.map(coeff => {
-          return ec.g.mul(coeff).encode('hex'); // Public commitment
-        }),
-        timestamp: Date.now()
-      });
-      console.log(`${this.participantId}: ✅ Polynomial commitment added with hash: ${hash}`);
-    } catch (error) {
-      console.error(`${this.participantId}: ❌ Failed to add polynomial commitment:`, error.message);
-      throw error;
-    }
-    
-    return this.polynomial;
-  }
-
-  async verifyRealVRF(vrfData) {
-    console.log(`${this.participantId}: 🔍 Verifying REAL Chainlink VRF data...`);
-    return await this.vrf.verifyVRFRandomness(vrfData);
-  }
-
-  getStatus() {
-    return {
-      participantId: this.participantId,
-      hasRealVRFPolynomial: !!this.polynomial,
-      vrfSource: this.vrfData?.source,
-      vrfRequestId: this.vrfData?.requestId,
-      vrfBlockNumber: this.vrfData?.blockNumber
-    };
-  }
-}
-
 describe('Real Chainlink VRF + DKG Integration', function() {
   this.timeout(120000); // Extended timeout for network requests and IPFS setup
 
   let ipfs1, ipfs2;
   let orbitdb1, orbitdb2;
-  let db1, db2;
+  let sessions = [];
   let realVRF;
 
   before(async () => {
@@ -301,8 +227,9 @@ describe('Real Chainlink VRF + DKG Integration', function() {
   });
 
   after(async () => {
-    if (db1) await db1.close();
-    if (db2) await db2.close();
+    for (const session of sessions) {
+      await session.close();
+    }
     if (orbitdb1) await orbitdb1.stop();
     if (orbitdb2) await orbitdb2.stop();
     
@@ -334,151 +261,55 @@ describe('Real Chainlink VRF + DKG Integration', function() {
     }
     
     console.log('\n🌐 Starting DKG with REAL Chainlink VRF from Sepolia');
-    
-    // Setup database
-    db1 = await orbitdb1.open('real-vrf-dkg-session', {
-      AccessController: IPFSAccessController({
-        write: [orbitdb1.identity.id, orbitdb2.identity.id]
-      })
+    const participants = [orbitdb1.identity.id, orbitdb2.identity.id];
+    const threshold = 2;
+
+    // Each participant mixes words derived from the latest VRF output on
+    // Sepolia into its polynomial, and keeps the VRF data to verify it
+    const vrfData = new Map();
+    const randomness = (participantId) => ({
+      source: 'chainlink-vrf-sepolia',
+      draw: async (count) => {
+        const data = await realVRF.getLatestVRFRandomness();
+        vrfData.set(participantId, data);
+        // Use keccak256 to derive multiple words from a single VRF value
+        const words = [];
+        let seed = data.randomValue;
+        for (let i = 1; i <= count; i++) {
+          seed = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(seed + i.toString()));
+          words.push(seed);
+        }
+        return words;
+      }
     });
 
-    // Wait for replication setup (using proven pattern from orbitdb-replication.test.js)
-    console.log('🔄 Setting up database replication...');
-    console.log(`Database address: ${db1.address}`);
-    
-    let replicated = false;
-    const onJoin = async (peerId, heads) => {
-      console.log(`🤝 Peer joined: ${peerId}`);
-      replicated = true;
-    };
-    
-    const onError = (err) => {
-      console.error('❌ OrbitDB error:', err);
-    };
-    
-    db2 = await orbitdb2.open(db1.address);
-    
-    db2.events.on('join', onJoin);
-    db2.events.on('error', onError);
-    db1.events.on('error', onError);
-    
-    // Wait for the join event to confirm replication is ready
-    await waitFor(() => replicated, () => true, 10000);
-    
-    console.log('✅ Database replication setup complete');
-    
-    // Create participants using REAL VRF (both use same database for proper replication)
-    const participant1 = new RealVRFDKGParticipant('participant1', orbitdb1, db1, realVRF);
-    const participant2 = new RealVRFDKGParticipant('participant2', orbitdb2, db1, realVRF); // Use db1 for writes
-    
-    console.log('✅ Real VRF DKG participants initialized');
-    
-    // Phase 1: Generate polynomials using REAL Chainlink VRF
-    console.log('\n📊 Phase 1: Real VRF Polynomial Generation');
-    const threshold = 2;
-    
-    // Both participants use the same VRF randomness source (as they should in real DKG)
-    await participant1.generatePolynomialWithRealVRF(threshold);
-    
-    // Check database immediately after first add
-    console.log('\n🔍 Checking database after participant1 add...');
-    let entries = [];
-    for await (const entry of db1.iterator()) {
-      entries.push(entry);
-    }
-    console.log(`   db1 has ${entries.length} entries`);
-    
-    await participant2.generatePolynomialWithRealVRF(threshold);
-    
-    // Check database immediately after second add
-    console.log('\n🔍 Checking database after participant2 add...');
-    entries = [];
-    for await (const entry of db1.iterator()) {
-      entries.push(entry);
-    }
-    console.log(`   db1 has ${entries.length} entries`);
-    if (entries.length > 0) {
-      console.log(`   Entry types: ${entries.map(e => e.value?.type || 'unknown').join(', ')}`);
-      // Debug: show actual structure of recent entries
-      const recentEntries = entries.slice(-2);
-      console.log('   Recent entry structures:');
-      recentEntries.forEach((entry, i) => {
-        console.log(`     Entry ${i + 1}:`, JSON.stringify({
-          hash: entry.hash,
-          payload: entry.payload,
-          value: entry.value
-        }, null, 2));
-      });
+    const first = await createDKGSession({ orbitdb: orbitdb1, threshold, participants, name: 'real-vrf-dkg-session', randomness: randomness(participants[0]) });
+    sessions = [
+      first,
+      await createDKGSession({ orbitdb: orbitdb2, threshold, participants, address: first.address, randomness: randomness(participants[1]) })
+    ];
+    expect(first.manifest.randomness).to.equal('csprng+chainlink-vrf-sepolia');
+    console.log('✅ Real VRF DKG sessions opened');
+
+    const results = await Promise.all(sessions.map(session => session.run()));
+    for (const result of results) {
+      expect(result.qualified).to.have.members(participants);
+      expect(result.groupPublicKey).to.equal(results[0].groupPublicKey);
     }
-    
-    // Wait for commitments to propagate
-    await waitFor(async () => {
-      const entries = [];
-      for await (const entry of db1.iterator()) {
-        entries.push(entry);
-      }
-      const commitments = entries.filter(e => e.value && e.value.type === 'real_vrf_polynomial_commitment'
-      );
-      
-      console.log(`⏳ Waiting for replication: ${commitments.length}/2 commitments received`);
-      if (commitments.length > 0) {
-        console.log(`   Found commitments from: ${commitments.map(c => c.value.from).join(', ')}`);
-      }
-      
-      return commitments.length >= 2;
-    }, () => true, 15000); // Increased timeout to 15 seconds for OrbitDB replication
-    
-    console.log('✅ Real VRF polynomial commitments received');
-    
+
     // Phase 2: Verify REAL VRF data
-    console.log('\n🔍 Phase 2: Real VRF Verification');
-    
-    const allEntries = [];
-    for await (const entry of db1.iterator()) {
-      allEntries.push(entry);
-    }
-    
-    const vrfCommitments = allEntries.filter(e => 
-      e.payload && e.payload.value && e.payload.value.type === 'real_vrf_polynomial_commitment'
-    );
-    
-    let allVRFValid = true;
-    for (const commitment of vrfCommitments) {
-      const vrfData = commitment.payload.value.vrfData;
-      const isValid = await participant1.verifyRealVRF(vrfData);
-      
-      if (!isValid) {
-        allVRFValid = false;
-        console.log(`❌ Invalid REAL VRF data from ${commitment.payload.value.from}`);
-      } else {
-        console.log(`✅ Valid REAL VRF data from ${commitment.payload.value.from}`);
-        console.log(`   Source: ${vrfData.source}`);
-        console.log(`   Block: ${vrfData.blockNumber}`);
-        console.log(`   TX: ${vrfData.transactionHash}`);
-      }
+    console.log('\n🔍 Real VRF Verification');
+    expect([...vrfData.keys()]).to.have.members(participants);
+    for (const [participantId, data] of vrfData) {
+      expect(await realVRF.verifyVRFRandomness(data)).to.be.true;
+      console.log(`✅ Valid REAL VRF data for ${participantId}`);
+      console.log(`   Source: ${data.source}`);
+      console.log(`   Block: ${data.blockNumber}`);
+      console.log(`   TX: ${data.transactionHash}`);
     }
-    
-    expect(allVRFValid).to.be.true;
-    
-    // Verify final status
-    const status1 = participant1.getStatus();
-    const status2 = participant2.getStatus();
-    
-    console.log('\n📊 Final Real VRF DKG Status:');
-    console.log('Participant 1:', status1);
-    console.log('Participant 2:', status2);
-    
-    expect(status1.hasRealVRFPolynomial).to.be.true;
-    expect(status2.hasRealVRFPolynomial).to.be.true;
-    expect(status1.vrfSource).to.exist;
-    expect(status2.vrfSource).to.exist;
-    
+
     console.log('\n🎉 REAL Chainlink VRF + DKG completed successfully!');
-    console.log('✅ Used REAL randomness from Chainlink VRF on Sepolia testnet');
-    console.log('✅ All VRF data verified on-chain');
-    console.log('✅ Completely decentralized - no central coordinator');
-    console.log('✅ Production-ready randomness source');
-    console.log('✅ Cryptographically verifiable by all participants');
+    console.log(`✅ Group key ${results[0].groupPublicKey} (${results[0].address})`);
   });
 
   it('should demonstrate VRF randomness quality', async function() {
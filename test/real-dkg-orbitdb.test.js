@@ -1,295 +1,25 @@
 import { expect } from 'chai';
 import { rimraf } from 'rimraf';
-import { createOrbitDB } from '@orbitdb/core';
-import { IPFSAccessController } from '@orbitdb/core/src/access-controllers/index.js';
+import { createOrbitDB, Entry } from '@orbitdb/core';
 import connectPeers from './utils/connect-nodes.js';
 import waitFor from './utils/wait-for.js';
 import createHelia from './utils/create-helia.js';
-import secrets from 'secrets.js';
 import EC from 'elliptic';
-import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { createDKGSession, createSessionManager, createRoster, createKeystore, DKGAccessController, PROTOCOL_VERSION, toEthereumAddress, verifySchnorr, interpolateAtZero, interpolatePoints, lagrangeCoefficient } from '../src/index.js';
+import * as field from '../src/scalar-field.js';
+import * as ecies from '../src/ecies.js';
+import * as paillier from '../src/paillier.js';
+import { proveKey } from '../src/paillier-proofs.js';
 
 const ec = new EC.ec('secp256k1');
 
-// Real DKG Participant Class
-class DKGParticipant {
-  constructor(participantId, orbitdb, db) {
-    this.participantId = participantId;
-    this.orbitdb = orbitdb;
-    this.db = db;
-    this.privateKey = ec.genKeyPair();
-    this.publicKey = this.privateKey.getPublic('hex');
-    
-    // DKG state
-    this.polynomial = null;
-    this.shares = new Map(); // shares for other participants
-    this.receivedShares = new Map(); // shares received from others
-    this.publicCommitments = new Map(); // public commitments for verification
-    this.complaints = new Set();
-    this.finalShareValue = null;
-    
-    // Setup event listeners
-    this.setupEventListeners();
-  }
-
-  setupEventListeners() {
-    this.db.events.on('update', async (entry) => {
-      const data = entry.payload.value;
-      
-      switch (data.type) {
-        case 'public_commitment':
-          if (data.from !== this.participantId) {
-            this.publicCommitments.set(data.from, data.commitments);
-            console.log(`${this.participantId}: Received public commitment from ${data.from}`);
-          }
-          break;
-          
-        case 'share_distribution':
-          if (data.to === this.participantId && data.from !== this.participantId) {
-            // Decrypt and store the share
-            const decryptedShare = this.decryptShare(data.encryptedShare, data.from);
-            this.receivedShares.set(data.from, decryptedShare);
-            console.log(`${this.participantId}: Received share from ${data.from}`);
-          }
-          break;
-          
-        case 'share_verification':
-          if (data.from !== this.participantId) {
-            console.log(`${this.participantId}: Received verification from ${data.from}: ${data.valid ? 'VALID' : 'INVALID'}`);
-          }
-          break;
-          
-        case 'complaint':
-          if (data.against === this.participantId) {
-            console.log(`${this.participantId}: ⚠️  Complaint filed against me by ${data.from}`);
-          }
-          this.complaints.add(`${data.from}->${data.against}`);
-          break;
-      }
-    });
-  }
-
-  // Phase 1: Generate polynomial and create shares
-  async generatePolynomialAndShares(threshold, numParticipants) {
-    console.log(`${this.participantId}: 🎲 Generating polynomial (threshold=${threshold})`);
-    
-    // Generate random coefficients for polynomial f(x) = a0 + a1*x + a2*x^2 + ...
-    // where a0 is our secret contribution
-    this.polynomial = [];
-    for (let i = 0; i < threshold; i++) {
-      if (i === 0) {
-        // First coefficient is our secret contribution
-        this.polynomial.push(this.privateKey.getPrivate().toString(16));
-      } else {
-        // Random coefficients
-        this.polynomial.push(crypto.randomBytes(32).toString('hex'));
-      }
-    }
-
-    // Create shares for all participants using our polynomial
-    this.shares.clear();
-    for (let participantId = 1; participantId <= numParticipants; participantId++) {
-      const participantKey = `participant${participantId}`;
-      const shareValue = this.evaluatePolynomial(participantId);
-      this.shares.set(participantKey, {
-        x: participantId,
-        y: shareValue
-      });
-    }
-
-    // Generate public commitments for verification (Feldman VSS)
-    const commitments = this.polynomial.map(coeff => {
-      const point = ec.g.mul(coeff);
-      return point.encode('hex');
-    });
-
-    // Broadcast public commitments
-    await this.db.add({
-      type: 'public_commitment',
-      from: this.participantId,
-      commitments: commitments,
-      timestamp: Date.now()
-    });
-
-    console.log(`${this.participantId}: ✅ Generated polynomial and ${this.shares.size} shares`);
-  }
-
-  // Evaluate polynomial at point x
-  evaluatePolynomial(x) {
-    let result = BigInt('0x' + this.polynomial[0]);
-    let xPower = BigInt(x);
-    
-    for (let i = 1; i < this.polynomial.length; i++) {
-      const coeff = BigInt('0x' + this.polynomial[i]);
-      result = result + (coeff * xPower);
-      xPower = xPower * BigInt(x);
-    }
-    
-    return result.toString(16);
-  }
-
-  // Phase 2: Distribute shares to other participants
-  async distributeShares(participantIds) {
-    console.log(`${this.participantId}: 📤 Distributing shares to ${participantIds.length} participants`);
-    
-    for (const targetParticipant of participantIds) {
-      if (targetParticipant !== this.participantId) {
-        const share = this.shares.get(targetParticipant);
-        const encryptedShare = this.encryptShare(share, targetParticipant);
-        
-        await this.db.add({
-          type: 'share_distribution',
-          from: this.participantId,
-          to: targetParticipant,
-          encryptedShare: encryptedShare,
-          timestamp: Date.now()
-        });
-      }
-    }
-    
-    // Store our own share
-    const ownShare = this.shares.get(this.participantId);
-    this.receivedShares.set(this.participantId, ownShare);
-    
-    console.log(`${this.participantId}: ✅ Distributed shares to all participants`);
-  }
-
-  // Simple encryption simulation (in reality, use proper public key encryption)
-  encryptShare(share, targetParticipant) {
-    // For demo purposes, we'll use simple hex encoding
-    // In reality, you'd use the target's public key to encrypt
-    const shareStr = JSON.stringify(share);
-    return Buffer.from(shareStr).toString('hex');
-  }
-
-  decryptShare(encryptedShare, fromParticipant) {
-    // For demo purposes, simple hex decoding
-    // In reality, you'd use your private key to decrypt
-    const shareStr = Buffer.from(encryptedShare, 'hex').toString();
-    return JSON.parse(shareStr);
-  }
-
-  // Phase 3: Verify received shares using public commitments
-  async verifyReceivedShares(participantIds) {
-    console.log(`${this.participantId}: 🔍 Verifying received shares`);
-    
-    let allValid = true;
-    
-    for (const fromParticipant of participantIds) {
-      if (fromParticipant === this.participantId) continue;
-      
-      const share = this.receivedShares.get(fromParticipant);
-      const commitments = this.publicCommitments.get(fromParticipant);
-      
-      if (share && commitments) {
-        const isValid = this.verifyShare(share, commitments);
-        
-        await this.db.add({
-          type: 'share_verification',
-          from: this.participantId,
-          about: fromParticipant,
-          valid: isValid,
-          timestamp: Date.now()
-        });
-        
-        if (!isValid) {
-          allValid = false;
-          await this.db.add({
-            type: 'complaint',
-            from: this.participantId,
-            against: fromParticipant,
-            reason: 'Invalid share verification',
-            timestamp: Date.now()
-          });
-          console.log(`${this.participantId}: ❌ Invalid share from ${fromParticipant}!`);
-        } else {
-          console.log(`${this.participantId}: ✅ Valid share from ${fromParticipant}`);
-        }
-      } else {
-        console.log(`${this.participantId}: ⏳ Still waiting for share/commitment from ${fromParticipant}`);
-      }
-    }
-    
-    return allValid;
-  }
-
-  // Verify a share using Feldman VSS
-  verifyShare(share, commitments) {
-    try {
-      // Verify: g^share.y == ∏(commitment_i^(share.x^i))
-      const leftSide = ec.g.mul(share.y);
-      
-      let rightSide = ec.curve.point(null, null); // Point at infinity (identity)
-      for (let i = 0; i < commitments.length; i++) {
-        const commitment = ec.curve.decodePoint(commitments[i], 'hex');
-        const xPower = Math.pow(share.x, i);
-        const term = commitment.mul(xPower);
-        rightSide = rightSide.add(term);
-      }
-      
-      return leftSide.eq(rightSide);
-    } catch (error) {
-      console.log(`Verification error: ${error.message}`);
-      return false;
-    }
-  }
-
-  // Phase 4: Compute final share value for threshold operations
-  computeFinalShare() {
-    console.log(`${this.participantId}: 🧮 Computing final share value`);
-    
-    // In a real threshold scheme, we'd sum up all the shares we received
-    // For simplicity, we'll just combine them
-    let finalValue = BigInt(0);
-    
-    for (const [fromParticipant, share] of this.receivedShares) {
-      finalValue = finalValue + BigInt('0x' + share.y);
-      console.log(`${this.participantId}: Adding share from ${fromParticipant}`);
-    }
-    
-    this.finalShareValue = finalValue.toString(16);
-    console.log(`${this.participantId}: ✅ Final share computed: ${this.finalShareValue.slice(0, 10)}...`);
-    
-    return this.finalShareValue;
-  }
-
-  // Create a threshold signature
-  createPartialSignature(message) {
-    if (!this.finalShareValue) {
-      throw new Error('Final share not computed yet');
-    }
-    
-    const messageHash = crypto.createHash('sha256').update(message).digest('hex');
-    const partialKey = ec.keyFromPrivate(this.finalShareValue);
-    const signature = partialKey.sign(messageHash);
-    
-    return {
-      participantId: this.participantId,
-      signature: signature.toDER('hex'),
-      messageHash: messageHash
-    };
-  }
-
-  getStatus() {
-    return {
-      participantId: this.participantId,
-      hasPolynomial: !!this.polynomial,
-      sharesGenerated: this.shares.size,
-      sharesReceived: this.receivedShares.size,
-      commitmentsReceived: this.publicCommitments.size,
-      hasFinalShare: !!this.finalShareValue,
-      complaints: this.complaints.size
-    };
-  }
-}
-
 describe('Real DKG with Shamirs Secret Sharing and OrbitDB', function() {
   this.timeout(30000); // Increased timeout for complex protocol
 
   let ipfs1, ipfs2, ipfs3;
   let orbitdb1, orbitdb2, orbitdb3;
-  let db1, db2, db3;
-  let participant1, participant2, participant3;
+  let session1, session2, session3;
 
   before(async () => {
     console.log('Setting up Real DKG test environment...');
@@ -311,9 +41,9 @@ describe('Real DKG with Shamirs Secret Sharing and OrbitDB', function() {
 
   after(async () => {
     console.log('Cleaning up Real DKG test environment...');
-    if (db1) await db1.close();
-    if (db2) await db2.close();
-    if (db3) await db3.close();
+    if (session1) await session1.close();
+    if (session2) await session2.close();
+    if (session3) await session3.close();
     
     await orbitdb1.stop();
     await orbitdb2.stop();
@@ -330,6 +60,8 @@ describe('Real DKG with Shamirs Secret Sharing and OrbitDB', function() {
     await rimraf('./orbitdb-dkg1');
     await rimraf('./orbitdb-dkg2');
     await rimraf('./orbitdb-dkg3');
+    await rimraf('./orbitdb-dkg1-keystore');
+    await rimraf('./orbitdb-dkg3-keystore');
     await rimraf('./ipfs-dkg1');
     await rimraf('./ipfs-dkg2');
     await rimraf('./ipfs-dkg3');
@@ -339,127 +71,80 @@ describe('Real DKG with Shamirs Secret Sharing and OrbitDB', function() {
   describe('Complete DKG Protocol', () => {
     it('should execute full DKG protocol with 3 participants (2-of-3 threshold)', async function() {
       const threshold = 2;
-      const numParticipants = 3;
-      const participantIds = ['participant1', 'participant2', 'participant3'];
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
 
       console.log('\n🚀 Starting Real DKG Protocol (2-of-3 threshold)');
 
-      // Phase 0: Setup shared database
-      db1 = await orbitdb1.open('real-dkg-session', {
-        AccessController: IPFSAccessController({
-          write: [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id]
-        })
-      });
-
-      // Wait for replication setup
-      let participant2Ready = false;
-      let participant3Ready = false;
-
-      const onJoin2 = async () => { participant2Ready = true; };
-      const onJoin3 = async () => { participant3Ready = true; };
-
-      db2 = await orbitdb2.open(db1.address);
-      db3 = await orbitdb3.open(db1.address);
-
-      db2.events.on('join', onJoin2);
-      db3.events.on('join', onJoin3);
-
-      await waitFor(() => participant2Ready && participant3Ready, () => true);
-      
-      // Create participants
-      participant1 = new DKGParticipant('participant1', orbitdb1, db1);
-      participant2 = new DKGParticipant('participant2', orbitdb2, db2);
-      participant3 = new DKGParticipant('participant3', orbitdb3, db3);
+      // Participant 1 creates the session log, the others join it by address.
+      // Each peer lists the roster in its own order; indices still agree.
+      session1 = await createDKGSession({ orbitdb: orbitdb1, threshold, participants, name: 'real-dkg-session' });
+      session2 = await createDKGSession({ orbitdb: orbitdb2, threshold, participants: [...participants].reverse(), address: session1.address });
+      session3 = await createDKGSession({ orbitdb: orbitdb3, threshold, participants: [participants[2], participants[0], participants[1]], address: session1.address });
 
       console.log('✅ All participants initialized and connected');
 
-      // Phase 1: Generate polynomials and shares
-      console.log('\n📊 Phase 1: Polynomial Generation');
-      await Promise.all([
-        participant1.generatePolynomialAndShares(threshold, numParticipants),
-        participant2.generatePolynomialAndShares(threshold, numParticipants),
-        participant3.generatePolynomialAndShares(threshold, numParticipants)
-      ]);
-
-      // Wait for all public commitments to propagate
-      await waitFor(async () => {
-        const status1 = participant1.getStatus();
-        const status2 = participant2.getStatus();
-        const status3 = participant3.getStatus();
-        return status1.commitmentsReceived >= 2 && status2.commitmentsReceived >= 2 && status3.commitmentsReceived >= 2;
-      }, () => true);
-
-      console.log('✅ All public commitments received');
-
-      // Phase 2: Distribute shares
-      console.log('\n📤 Phase 2: Share Distribution');
-      await Promise.all([
-        participant1.distributeShares(participantIds),
-        participant2.distributeShares(participantIds),
-        participant3.distributeShares(participantIds)
-      ]);
+      const phases = [];
+      const progress = [];
+      session1.events.on('phase', ({ phase }) => phases.push(phase));
+      session1.events.on('progress', event => progress.push(event));
 
-      // Wait for all shares to be distributed and received
-      await waitFor(async () => {
-        const status1 = participant1.getStatus();
-        const status2 = participant2.getStatus();
-        const status3 = participant3.getStatus();
-        return status1.sharesReceived >= 3 && status2.sharesReceived >= 3 && status3.sharesReceived >= 3;
-      }, () => true);
-
-      console.log('✅ All shares distributed and received');
-
-      // Phase 3: Verify shares
-      console.log('\n🔍 Phase 3: Share Verification');
-      const [valid1, valid2, valid3] = await Promise.all([
-        participant1.verifyReceivedShares(participantIds),
-        participant2.verifyReceivedShares(participantIds),
-        participant3.verifyReceivedShares(participantIds)
+      // Every phase runs inside the session; each resolves with its own result
+      const [result1, result2, result3] = await Promise.all([
+        session1.run(),
+        session2.run(),
+        session3.run()
       ]);
 
-      // Wait for verification messages to propagate
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      expect(valid1).to.be.true;
-      expect(valid2).to.be.true;
-      expect(valid3).to.be.true;
-
-      console.log('✅ All shares verified successfully');
-
-      // Phase 4: Compute final shares
-      console.log('\n🧮 Phase 4: Final Share Computation');
-      participant1.computeFinalShare();
-      participant2.computeFinalShare();
-      participant3.computeFinalShare();
-
       // Verify all participants have computed their final shares
-      expect(participant1.finalShareValue).to.exist;
-      expect(participant2.finalShareValue).to.exist;
-      expect(participant3.finalShareValue).to.exist;
+      expect(result1.finalShare).to.exist;
+      expect(result2.finalShare).to.exist;
+      expect(result3.finalShare).to.exist;
+      expect([result1.index, result2.index, result3.index]).to.have.members([1, 2, 3]);
+      expect(session2.roster.indexOf(orbitdb1.identity.id)).to.equal(result1.index);
+      expect(session3.roster.indexOf(orbitdb2.identity.id)).to.equal(result2.index);
+
+      // The session advanced through each phase on its own
+      expect(phases).to.deep.equal(['commit', 'distribute', 'verify', 'justify', 'finalize']);
+      expect(session1.phase).to.equal('done');
+      expect(progress.find(event => event.phase === 'commit').waitingFor).to.be.an('array');
+      expect(progress.filter(event => event.phase === 'finalize').pop().waitingFor).to.deep.equal([]);
 
       console.log('✅ All final shares computed');
 
-      // Phase 5: Test threshold signing
-      console.log('\n✍️  Phase 5: Threshold Signature Test');
-      const testMessage = 'Test transaction for DKG threshold signature';
+      // Everyone derived the same group key and address
+      expect(result1.groupPublicKey).to.match(/^0[23][0-9a-f]{64}$/);
+      expect(result2.groupPublicKey).to.equal(result1.groupPublicKey);
+      expect(result3.groupPublicKey).to.equal(result1.groupPublicKey);
+      expect(result1.address).to.equal(toEthereumAddress(result1.groupPublicKey));
+      expect(result2.address).to.equal(result1.address);
+      expect(result3.address).to.equal(result1.address);
 
-      const signature1 = participant1.createPartialSignature(testMessage);
-      const signature2 = participant2.createPartialSignature(testMessage);
-      const signature3 = participant3.createPartialSignature(testMessage);
+      // Each public verification share is g^{final share}
+      for (const result of [result1, result2, result3]) {
+        const expected = ec.g.mul(result.finalShare).encode('hex', true);
+        expect(result1.verificationShares[result.participantId]).to.equal(expected);
+      }
 
-      // Verify partial signatures are created
-      expect(signature1.signature).to.be.a('string');
-      expect(signature2.signature).to.be.a('string');
-      expect(signature3.signature).to.be.a('string');
+      // Any two final shares interpolate to the key behind the group address
+      const groupSecret = interpolateAtZero([
+        { x: result1.index, y: result1.finalShare },
+        { x: result2.index, y: result2.finalShare }
+      ]);
+      expect(new ethers.Wallet('0x' + field.toHex(groupSecret)).address).to.equal(result1.address);
+
+      // ...and any two verification shares interpolate to the group key
+      const groupKey = interpolatePoints([result2, result3].map(({ index, participantId }) => ({
+        x: index,
+        y: result1.verificationShares[participantId]
+      })));
+      expect(groupKey.encode('hex', true)).to.equal(result1.groupPublicKey);
 
-      // In a real implementation, these partial signatures would be combined
-      // using threshold signature aggregation
-      console.log('✅ Partial signatures created successfully');
+      console.log(`✅ Group address: ${result1.address}`);
 
       // Final status check
-      const finalStatus1 = participant1.getStatus();
-      const finalStatus2 = participant2.getStatus();
-      const finalStatus3 = participant3.getStatus();
+      const finalStatus1 = session1.getStatus();
+      const finalStatus2 = session2.getStatus();
+      const finalStatus3 = session3.getStatus();
 
       console.log('\n📊 Final Status:');
       console.log('Participant 1:', finalStatus1);
@@ -474,6 +159,11 @@ describe('Real DKG with Shamirs Secret Sharing and OrbitDB', function() {
       expect(finalStatus2.complaints).to.equal(0);
       expect(finalStatus3.complaints).to.equal(0);
 
+      // The session's view answers from its indexes what the log holds
+      expect([...session1.view.byDealer().keys()]).to.have.members([orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id]);
+      expect([...session1.view.addressedTo(orbitdb1.identity.id).keys()]).to.have.members([orbitdb2.identity.id, orbitdb3.identity.id]);
+      expect(session1.view.openComplaints()).to.deep.equal([]);
+
       console.log('\n🎉 Real DKG Protocol completed successfully!');
       console.log('✅ 3 participants generated a shared cryptographic secret');
       console.log('✅ No central coordinator was needed');
@@ -481,17 +171,1494 @@ describe('Real DKG with Shamirs Secret Sharing and OrbitDB', function() {
       console.log('✅ Threshold signatures can now be created');
     });
 
-    it('should handle participant misbehavior with complaints', async function() {
-      // This test would simulate a participant sending invalid shares
-      // and verify that the complaint mechanism works
-      console.log('\n⚠️  Testing complaint mechanism (simplified)');
-      
-      // For now, just verify the complaint system exists
-      expect(participant1.complaints).to.be.instanceOf(Set);
-      expect(participant2.complaints).to.be.instanceOf(Set);
-      expect(participant3.complaints).to.be.instanceOf(Set);
-      
-      console.log('✅ Complaint mechanism verified');
+    it('should disqualify a dealer whose justification fails', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const [victimId, , cheaterId] = participants;
+
+      const sessions = [
+        await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'cheating-dealer-session' })
+      ];
+      sessions.push(
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: sessions[0].address }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: sessions[0].address })
+      );
+
+      // Participant 3 deals participant 1 a share off its polynomial, and
+      // reveals the same bad share when asked to justify it
+      const cheater = sessions[2].participant;
+      const distributeShares = cheater.distributeShares.bind(cheater);
+      cheater.distributeShares = async () => {
+        const share = cheater.shares.get(victimId);
+        share.y = field.toHex(field.add(field.fromHex(share.y), 1n));
+        return distributeShares();
+      };
+
+      try {
+        const results = await Promise.all(sessions.map(session => session.run()));
+
+        for (const result of results) {
+          expect(result.qualified).to.have.members([orbitdb1.identity.id, orbitdb2.identity.id]);
+          expect(result.groupPublicKey).to.equal(results[0].groupPublicKey);
+        }
+        for (const session of sessions) {
+          expect(session.participant.complaints.has(`${victimId}->${cheaterId}`)).to.be.true;
+          expect(session.participant.disqualified.get(cheaterId)).to.match(/invalid justification/);
+        }
+
+        // The key is made of the two qualified dealers only
+        const qualifiedKey = ec.g.mul(sessions[0].participant.polynomial[0].toString(16))
+          .add(ec.g.mul(sessions[1].participant.polynomial[0].toString(16)));
+        expect(qualifiedKey.encode('hex', true)).to.equal(results[0].groupPublicKey);
+
+        const groupSecret = interpolateAtZero(results.slice(0, 2).map(({ index, finalShare }) => ({ x: index, y: finalShare })));
+        expect(new ethers.Wallet('0x' + field.toHex(groupSecret)).address).to.equal(results[0].address);
+
+        console.log('✅ Cheating dealer disqualified, QUAL agreed by everyone');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+
+    it('should disqualify a dealer that equivocates on its commitments', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const cheaterId = orbitdb3.identity.id;
+
+      const sessions = [
+        await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'equivocating-dealer-session' })
+      ];
+      sessions.push(
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: sessions[0].address }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: sessions[0].address })
+      );
+
+      // Participant 3 forks its log: a second, different commitment with the
+      // same parents, so neither entry sees the other
+      const { db } = sessions[2];
+      const cheater = sessions[2].participant;
+      const generatePolynomialAndShares = cheater.generatePolynomialAndShares.bind(cheater);
+      cheater.generatePolynomialAndShares = async () => {
+        await generatePolynomialAndShares();
+        const [original] = await db.log.heads();
+        const value = { ...original.payload.value, commitments: [ec.g.mul(7).encode('hex'), ec.g.mul(8).encode('hex')] };
+        const fork = await Entry.create(orbitdb3.identity, db.log.id, { ...original.payload, value }, null, original.clock, original.next, original.refs);
+        const { hash, bytes } = await Entry.encode(fork);
+        await db.log.storage.put(hash, bytes);
+        await db.log.joinEntry({ ...fork, hash });
+      };
+
+      const equivocations = [];
+      sessions[0].events.on('equivocation', equivocation => equivocations.push(equivocation));
+
+      try {
+        const results = await Promise.allSettled(sessions.map(session => session.run()));
+        const honest = results.slice(0, 2).map(result => result.value);
+
+        for (const result of honest) {
+          expect(result.qualified).to.have.members([orbitdb1.identity.id, orbitdb2.identity.id]);
+          expect(result.groupPublicKey).to.equal(honest[0].groupPublicKey);
+        }
+        for (const session of sessions.slice(0, 2)) {
+          expect(session.participant.disqualified.get(cheaterId)).to.match(/equivocated/);
+        }
+        expect(equivocations[0].sender).to.equal(cheaterId);
+
+        // The proof is in the log for anyone to check
+        const proofs = sessions[0].view.messages('equivocation');
+        expect(proofs.length).to.be.greaterThan(0);
+        expect(proofs[0].accused).to.equal(cheaterId);
+        expect(await sessions[1].participant.verifyEquivocation(proofs[0])).to.be.true;
+
+        console.log('✅ Equivocating dealer disqualified by every honest peer');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+
+    it('should decide on equivocation from the log, not from when a peer saw it', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const cheaterId = orbitdb3.identity.id;
+
+      const sessions = [
+        await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'late-equivocation-session' })
+      ];
+      sessions.push(
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: sessions[0].address }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: sessions[0].address })
+      );
+
+      // Only once every peer has closed the justify phase does participant 1
+      // get a second, different commitment from participant 3
+      const { participant } = sessions[0];
+      const qualificationInputs = participant.qualificationInputs.bind(participant);
+      participant.qualificationInputs = async () => {
+        const db = sessions[2].db;
+        const original = (await db.log.values()).find(entry => entry.payload.value.type === 'public_commitment' && entry.payload.value.from === cheaterId);
+        const value = { ...original.payload.value, commitments: [ec.g.mul(7).encode('hex'), ec.g.mul(8).encode('hex')] };
+        const fork = await Entry.create(orbitdb3.identity, db.log.id, { ...original.payload, value }, null, original.clock, original.next, original.refs);
+        const { hash, bytes } = await Entry.encode(fork);
+        await sessions[0].db.log.storage.put(hash, bytes);
+        await sessions[0].db.log.joinEntry({ ...fork, hash });
+        await participant.ingest({ ...fork, hash });
+        expect(participant.equivocations.has(cheaterId)).to.be.true;
+        return qualificationInputs();
+      };
+
+      try {
+        const results = await Promise.all(sessions.map(session => session.run()));
+
+        // No peer had used the second commitment, so all keep the dealer
+        for (const result of results) {
+          expect(result.qualified).to.have.members(participants);
+          expect(result.groupPublicKey).to.equal(results[0].groupPublicKey);
+        }
+        expect(participant.disqualified.size).to.equal(0);
+
+        console.log('✅ Late equivocation left QUAL the same on every peer');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+
+    it('should keep a dealer that justifies a complaint', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const [victimId, dealerId] = participants;
+
+      const sessions = [
+        await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'justified-complaint-session' })
+      ];
+      sessions.push(
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: sessions[0].address }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: sessions[0].address })
+      );
+
+      // Participant 2's share for participant 1 is corrupted before
+      // encryption, but its own record of the share is correct
+      const dealer = sessions[1].participant;
+      const encryptShare = dealer.encryptShare.bind(dealer);
+      dealer.encryptShare = (share, targetParticipant) => encryptShare(
+        targetParticipant === victimId ? { ...share, y: field.toHex(field.add(field.fromHex(share.y), 1n)) } : share,
+        targetParticipant
+      );
+
+      try {
+        const results = await Promise.all(sessions.map(session => session.run()));
+
+        for (const result of results) {
+          expect(result.qualified).to.have.members(participants);
+          expect(result.groupPublicKey).to.equal(results[0].groupPublicKey);
+        }
+        expect(sessions[0].participant.complaints.has(`${victimId}->${dealerId}`)).to.be.true;
+
+        // The victim adopted the revealed share, so its final share is sound
+        expect(sessions[0].participant.receivedShares.get(dealerId)).to.deep.equal(dealer.shares.get(victimId));
+        const groupSecret = interpolateAtZero([results[0], results[2]].map(({ index, finalShare }) => ({ x: index, y: finalShare })));
+        expect(new ethers.Wallet('0x' + field.toHex(groupSecret)).address).to.equal(results[0].address);
+
+        console.log('✅ Justified complaint resolved without disqualification');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+
+    it('should fail a phase at its deadline naming the missing participants', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id];
+      const session = await createDKGSession({
+        orbitdb: orbitdb1,
+        threshold: 2,
+        participants,
+        name: 'deadline-session',
+        deadlines: { commit: 1000 }
+      });
+
+      const failures = [];
+      session.events.on('failed', event => failures.push(event));
+
+      try {
+        // Participant 2 never joins, so the commit phase cannot complete
+        const error = await session.run().then(() => null, error => error);
+
+        expect(error).to.be.an('error');
+        expect(error.phase).to.equal('commit');
+        expect(error.waitingFor).to.deep.equal([orbitdb2.identity.id]);
+        expect(error.message).to.include(orbitdb2.identity.id);
+        expect(session.phase).to.equal('failed');
+        expect(failures).to.have.length(1);
+        expect(failures[0].phase).to.equal('commit');
+      } finally {
+        await session.close();
+      }
+    });
+
+    it('should fail a run saying so when its keystore is locked mid-session', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id];
+      const keystore = createKeystore({ orbitdb: orbitdb1 });
+      await keystore.unlock('wallet passphrase');
+      const session = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'locked-keystore-session', secretStore: keystore });
+
+      const failures = [];
+      session.events.on('failed', event => failures.push(event));
+
+      try {
+        // The keystore is locked before our polynomial could be saved
+        keystore.lock();
+        const error = await session.run().then(() => null, error => error);
+
+        expect(error.message).to.match(/Keystore was locked while session .* was running/);
+        expect(error.keystoreLocked).to.be.true;
+        expect(failures.map(({ phase }) => phase)).to.deep.equal(['commit']);
+      } finally {
+        await session.close();
+        await keystore.wipe();
+      }
+    });
+
+    it('should fail a run at once when its session is closed', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id];
+      const manager = createSessionManager({ orbitdb: orbitdb1 });
+      const session = await manager.create('closed-mid-run', { threshold: 2, participants, deadlines: { commit: 20000 } });
+
+      // Participant 2 never joins, so the run waits in the commit phase
+      const progress = new Promise(resolve => session.events.once('progress', resolve));
+      const running = session.run().then(() => null, error => error);
+      await progress;
+
+      const started = Date.now();
+      await manager.closeAll();
+      const error = await running;
+
+      expect(error.message).to.equal('Session closed');
+      expect(error.phase).to.equal('commit');
+      expect(Date.now() - started).to.be.below(5000);
+      expect(session.phase).to.equal('failed');
+    });
+
+    it('should reject unknown phase deadlines', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id];
+      let error = null;
+      try {
+        await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, deadlines: { verifying: 1000 } });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Unknown phase verifying/);
+    });
+
+    it('should resume a participant that restarts mid-protocol', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const restartedId = orbitdb3.identity.id;
+      const secretStore = new Map();
+      // Well inside the test's own timeout, so a hang fails with its cause
+      const timeout = 10000;
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'resumed-session', timeout });
+      const sessions = [
+        first,
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address, timeout }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, secretStore, timeout })
+      ];
+      expect(sessions[2].resumed).to.be.false;
+
+      const running = sessions.slice(0, 2).map(session => session.run());
+      let resumed = null;
+
+      try {
+        // Participant 3 commits and deals its shares, then goes down
+        const { participant } = sessions[2];
+        await participant.generatePolynomialAndShares();
+        await waitFor(() => participant.encryptionKeys.size === participants.length - 1, () => true);
+        await participant.distributeShares();
+        const saved = secretStore.get(first.address);
+        expect(saved.polynomial).to.deep.equal(participant.exportSecrets().polynomial);
+        // Only once both peers' shares are on its disk
+        const peers = participants.filter(id => id !== restartedId);
+        await waitFor(() => peers.every(id => participant.receivedShares.has(id)), () => true, timeout);
+        await sessions[2].close();
+
+        // It comes back with only its saved secrets and the log on disk, and
+        // has handled every entry on disk once the session is open
+        resumed = await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, secretStore, timeout });
+        expect(resumed.resumed).to.be.true;
+        expect(resumed.participant.manifest).to.not.be.null;
+        expect(resumed.participant.publicCommitments.size).to.equal(participants.length - 1);
+        expect([...resumed.participant.receivedShares.keys()]).to.have.members(peers);
+
+        const results = await Promise.all([...running, resumed.run()]);
+        for (const result of results) {
+          expect(result.qualified).to.have.members(participants);
+          expect(result.groupPublicKey).to.equal(results[0].groupPublicKey);
+        }
+
+        // Nothing it had written was written again
+        const writtenBy = (type) => first.view.messages(type).filter(value => value.from === restartedId);
+        expect(writtenBy('public_commitment')).to.have.lengthOf(1);
+        expect(writtenBy('share_distribution')).to.have.lengthOf(2);
+
+        console.log('✅ Restarted participant resumed from the persisted log');
+      } finally {
+        await Promise.allSettled(running);
+        for (const session of [...sessions, resumed].filter(Boolean)) await session.close();
+      }
+    });
+
+    it('should deliver shares point to point and log only receipts', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const [id1, id2, id3] = participants;
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'direct-delivery-session', directDelivery: true });
+      const sessions = [
+        first,
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address, directDelivery: true }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, directDelivery: true })
+      ];
+
+      try {
+        // Participant 3 announces a peer id but cannot be reached on it
+        await sessions[2].participant.delivery.stop();
+
+        const results = await Promise.all(sessions.map(session => session.run()));
+        for (const result of results) {
+          expect(result.qualified).to.have.members(participants);
+          expect(result.groupPublicKey).to.equal(results[0].groupPublicKey);
+        }
+
+        // Only participant 3's shares went through the log
+        const { view } = sessions[1];
+        expect(view.messages('share_distribution').map(({ to }) => to)).to.deep.equal([id3, id3]);
+        const receipts = view.messages('share_receipt').map(({ from, dealer }) => `${dealer}->${from}`);
+        expect(receipts).to.have.members([`${id2}->${id1}`, `${id3}->${id1}`, `${id1}->${id2}`, `${id3}->${id2}`]);
+        expect(sessions[0].participant.directShares.size).to.equal(2);
+
+        console.log('✅ Shares delivered directly, with the log as fallback');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+
+    it('should track which participants are online through heartbeats', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const [, , id3] = participants;
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'presence-session', presence: true });
+      const sessions = [
+        first,
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address, presence: true }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, presence: true })
+      ];
+      const open = new Set(sessions);
+
+      try {
+        await waitFor(() => sessions.every(session => session.onlineParticipants().length === 3), () => {}, 10000);
+        const results = await Promise.all(sessions.map(session => session.run()));
+        expect(results[1].groupPublicKey).to.equal(results[0].groupPublicKey);
+
+        const changes = [];
+        first.events.on('presence', change => changes.push(change));
+        await sessions[2].close();
+        open.delete(sessions[2]);
+        await waitFor(() => changes.length > 0, () => {}, 10000);
+        expect(first.onlineParticipants()).to.deep.equal(participants.filter(id => id !== id3).sort());
+        expect(changes).to.deep.equal([{ participant: id3, online: false }]);
+
+        // Participant 2 cannot keep participant 3 online with heartbeats it signs
+        const time = Date.now();
+        const signature = await orbitdb2.identity.sign(orbitdb2.identity, JSON.stringify({ from: id3, time, topic: `${first.address}/presence` }));
+        const forged = { from: id3, identity: orbitdb3.identity.hash, time, signature };
+        await ipfs2.libp2p.services.pubsub.publish(`${first.address}/presence`, new TextEncoder().encode(JSON.stringify(forged)));
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        expect(first.onlineParticipants()).to.not.include(id3);
+
+        console.log('✅ Presence follows participants coming and going');
+      } finally {
+        for (const session of open) await session.close();
+      }
+    });
+
+    it('should pin the session parameters in a manifest that joiners check', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id];
+      const creator = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'manifest-session', mode: 'pedersen' });
+
+      try {
+        expect(creator.manifest).to.include({ type: 'session_manifest', version: PROTOCOL_VERSION, curve: 'secp256k1', threshold: 2, mode: 'pedersen' });
+        expect(creator.manifest.participants).to.deep.equal(creator.roster.ids);
+        expect(creator.manifest.deadlines.commit).to.equal(30000);
+
+        // A peer configured for a different threshold and mode refuses to join
+        let error = null;
+        try {
+          await createDKGSession({ orbitdb: orbitdb2, threshold: 1, participants, address: creator.address });
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.match(/Session manifest does not match/);
+        expect(error.mismatches).to.have.members(['threshold', 'mode']);
+
+        // Listing the roster in another order is fine
+        const joiner = await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants: [...participants].reverse(), address: creator.address, mode: 'pedersen' });
+        expect(joiner.manifest).to.deep.equal(creator.manifest);
+        await joiner.close();
+      } finally {
+        await creator.close();
+      }
+    });
+
+    it('should run a session started by a version 1 client in version 1', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const roster = createRoster(participants);
+
+      // An older client created the log and wrote its manifest
+      const db = await orbitdb1.open('legacy-session', { AccessController: DKGAccessController({ write: roster.ids }) });
+      await db.add({
+        type: 'session_manifest',
+        from: orbitdb1.identity.id,
+        version: 1,
+        curve: 'secp256k1',
+        threshold: 2,
+        participants: roster.ids,
+        mode: 'feldman',
+        randomness: 'csprng',
+        deadlines: { commit: 30000, distribute: 30000, verify: 30000, justify: 30000, extract: 30000, finalize: 30000 },
+        timestamp: Date.now()
+      });
+
+      const sessions = [];
+      for (const orbitdb of [orbitdb1, orbitdb2, orbitdb3]) {
+        sessions.push(await createDKGSession({ orbitdb, threshold: 2, participants, address: db.address }));
+      }
+
+      try {
+        const results = await Promise.all(sessions.map(session => session.run()));
+        expect(results[1].groupPublicKey).to.equal(results[0].groupPublicKey);
+
+        // Everything was written without the version field old clients lack
+        const entries = await sessions[1].db.all();
+        expect(entries.length).to.be.greaterThan(10);
+        for (const { value } of entries) {
+          expect(value.version).to.equal(value.type === 'session_manifest' ? 1 : undefined);
+        }
+
+        console.log('✅ New clients spoke version 1 in a version 1 session');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+
+    it('should refuse entries whose sender does not match the signing identity', async function() {
+      const victimId = orbitdb1.identity.id;
+      const spooferId = orbitdb2.identity.id;
+      const participants = [victimId, spooferId];
+
+      const victim = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'spoofing-session' });
+      const spoofer = await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: victim.address });
+
+      const violations = [];
+      victim.events.on('violation', violation => violations.push(violation));
+
+      try {
+        // The spoofer's own access controller refuses the forgery
+        let error = null;
+        try {
+          await spoofer.db.add({ type: 'complaint', from: victimId, against: spooferId, reason: 'forged', timestamp: Date.now() });
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.match(/not allowed to write/);
+
+        // A modified client that skips the check gets it refused on replication
+        spoofer.db.access.canAppend = async () => true;
+        const hash = await spoofer.db.add({ type: 'complaint', from: victimId, against: spooferId, reason: 'forged', timestamp: Date.now() });
+
+        await waitFor(() => violations.length > 0, () => true);
+
+        expect(violations[0]).to.include({ entry: hash, type: 'complaint', claimed: victimId, signer: spooferId });
+        expect(violations[0].reason).to.match(/signed by/);
+        expect(await victim.db.log.has(hash)).to.be.false;
+        expect(victim.participant.complaints.size).to.equal(0);
+
+        console.log('✅ Spoofed entry refused at the replication layer');
+      } finally {
+        await victim.close();
+        await spoofer.close();
+      }
+    });
+
+    it('should refuse a second commitment from the same dealer', async function() {
+      const honestId = orbitdb1.identity.id;
+      const dealerId = orbitdb2.identity.id;
+      const participants = [honestId, dealerId];
+
+      const honest = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'double-commitment-session' });
+      const dealer = await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: honest.address });
+
+      const violations = [];
+      honest.events.on('violation', violation => violations.push(violation));
+
+      try {
+        await dealer.participant.generatePolynomialAndShares();
+        await waitFor(() => honest.participant.publicCommitments.has(dealerId), () => true);
+        const first = honest.participant.publicCommitments.get(dealerId);
+
+        // Re-dealing after seeing the other commitments would let the dealer
+        // choose its contribution to the key
+        dealer.db.access.canAppend = async () => true;
+        dealer.participant.polynomial = null;
+        dealer.participant.written.clear();
+        await dealer.participant.generatePolynomialAndShares();
+
+        await waitFor(() => violations.length > 0, () => true);
+
+        expect(violations[0].type).to.equal('public_commitment');
+        expect(violations[0].reason).to.match(/already published commitments/);
+        expect(honest.participant.publicCommitments.get(dealerId)).to.deep.equal(first);
+
+        console.log('✅ Second commitment refused');
+      } finally {
+        await honest.close();
+        await dealer.close();
+      }
+    });
+
+    it('should file a complaint automatically for a tampered share', async function() {
+      const dealerId = orbitdb1.identity.id;
+      const recipientId = orbitdb2.identity.id;
+      const participants = [dealerId, recipientId];
+
+      const dealer = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'tampered-share-session' });
+      const recipient = await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: dealer.address });
+
+      try {
+        // Both publish commitments and encryption keys
+        await Promise.all([
+          dealer.participant.generatePolynomialAndShares(),
+          recipient.participant.generatePolynomialAndShares()
+        ]);
+        await waitFor(() => dealer.participant.encryptionKeys.has(recipientId), () => true);
+
+        // The dealer posts a correctly encrypted share whose ciphertext was altered
+        const encryptedShare = dealer.participant.encryptShare(dealer.participant.shares.get(recipientId), recipientId);
+        encryptedShare.ciphertext = (encryptedShare.ciphertext[0] === '0' ? '1' : '0') + encryptedShare.ciphertext.slice(1);
+        await dealer.db.add({
+          type: 'share_distribution',
+          from: dealerId,
+          to: recipientId,
+          encryptedShare,
+          timestamp: Date.now()
+        });
+
+        // The recipient cannot decrypt it and complains instead of crashing
+        await waitFor(() => dealer.participant.complaints.has(`${recipientId}->${dealerId}`), () => true);
+        expect(recipient.participant.receivedShares.has(dealerId)).to.be.false;
+        expect(recipient.participant.complaintsFiled.has(dealerId)).to.be.true;
+      } finally {
+        await dealer.close();
+        await recipient.close();
+      }
+    });
+
+    it('should retry an entry whose handler failed without dropping the rest of its batch', async function() {
+      const firstId = orbitdb1.identity.id;
+      const secondId = orbitdb2.identity.id;
+      const participants = [firstId, secondId];
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'failing-handler-session' });
+      const second = await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address });
+
+      try {
+        // Both commitments reach the second participant in one batch, and
+        // handling the first participant's fails once
+        second.participant.stop();
+        const handleMessage = second.participant.handleMessage.bind(second.participant);
+        let failures = 0;
+        second.participant.handleMessage = async (data) => {
+          if (data.type === 'public_commitment' && data.from === firstId && failures === 0) {
+            failures++;
+            throw new Error('Could not append entry: not allowed to write');
+          }
+          return handleMessage(data);
+        };
+
+        await first.participant.generatePolynomialAndShares();
+        await second.participant.generatePolynomialAndShares();
+        await waitFor(async () => (await second.db.log.values()).length === 3, () => true);
+
+        const ingestHeads = async () => {
+          for (const head of await second.db.log.heads()) {
+            await second.participant.ingest(head);
+          }
+        };
+        const handled = [];
+        second.participant.events.on('message', ({ type, from }) => handled.push(`${type}|${from}`));
+        await ingestHeads();
+        expect(failures).to.equal(1);
+        expect(handled).to.include(`public_commitment|${secondId}`);
+        expect(handled).to.not.include(`public_commitment|${firstId}`);
+        expect(second.participant.publicCommitments.has(firstId)).to.be.false;
+
+        // The next update reaching it handles it again
+        await ingestHeads();
+        expect(handled.filter(message => message === `public_commitment|${firstId}`)).to.have.lengthOf(1);
+        expect(second.participant.publicCommitments.has(firstId)).to.be.true;
+        expect(second.participant.encryptionKeys.get(firstId)).to.be.a('string');
+
+        console.log('✅ Failed entry handled on retry');
+      } finally {
+        await first.close();
+        await second.close();
+      }
+    });
+  });
+
+  describe('Pedersen (GJKR) Mode', () => {
+    const openSessions = async (name) => {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name, mode: 'pedersen' });
+      return [
+        first,
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address, mode: 'pedersen' }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, mode: 'pedersen' })
+      ];
+    };
+
+    it('should only reveal g^a0 after QUAL is fixed', async function() {
+      const sessions = await openSessions('pedersen-dkg-session');
+
+      try {
+        const results = await Promise.all(sessions.map(session => session.run()));
+
+        for (const result of results) {
+          expect(result.mode).to.equal('pedersen');
+          expect(result.groupPublicKey).to.equal(results[0].groupPublicKey);
+          expect(result.qualified).to.have.length(3);
+        }
+
+        // The commitments dealt with the shares hide the constant terms
+        for (const session of sessions) {
+          const { participant } = session;
+          const a0 = ec.g.mul(participant.polynomial[0].toString(16)).encode('hex');
+          expect(participant.commitments[0]).to.not.equal(a0);
+          expect(participant.feldmanCommitments[0]).to.equal(a0);
+        }
+
+        const groupSecret = interpolateAtZero([results[1], results[2]].map(({ index, finalShare }) => ({ x: index, y: finalShare })));
+        expect(new ethers.Wallet('0x' + field.toHex(groupSecret)).address).to.equal(results[0].address);
+
+        console.log('✅ Pedersen DKG agreed on the group key');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+
+    it('should reconstruct a dealer that extracts a different secret', async function() {
+      const sessions = await openSessions('pedersen-biasing-session');
+
+      // Participant 3 tries to swap its g^a0 at extraction time
+      const cheater = sessions[2].participant;
+      const publishExtractionCommitments = cheater.publishExtractionCommitments.bind(cheater);
+      cheater.publishExtractionCommitments = async () => {
+        cheater.feldmanCommitments = [ec.g.mul('05').encode('hex'), ...cheater.feldmanCommitments.slice(1)];
+        return publishExtractionCommitments();
+      };
+
+      try {
+        const results = await Promise.allSettled(sessions.map(session => session.run()));
+        const [honest1, honest2] = results.slice(0, 2).map(result => result.value);
+
+        // The honest peers rebuilt the cheater's real polynomial from their shares
+        expect(honest1.groupPublicKey).to.equal(honest2.groupPublicKey);
+        const expectedKey = sessions
+          .map(session => ec.g.mul(session.participant.polynomial[0].toString(16)))
+          .reduce((sum, point) => sum.add(point));
+        expect(honest1.groupPublicKey).to.equal(expectedKey.encode('hex', true));
+        expect(sessions[0].participant.reconstructionTargets()).to.deep.equal([cheater.participantId]);
+        const groupSecret = interpolateAtZero([honest1, honest2].map(({ index, finalShare }) => ({ x: index, y: finalShare })));
+        expect(new ethers.Wallet('0x' + field.toHex(groupSecret)).address).to.equal(honest1.address);
+
+        // The cheater's own view of the key disagrees, so its run fails
+        expect(results[2].status).to.equal('rejected');
+
+        console.log('✅ Biasing attempt undone by public reconstruction');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+  });
+
+  describe('FROST Threshold Signing', () => {
+    it('should produce a Schnorr signature from 2 of 3 participants', async function() {
+      const message = 'Transfer 1 ETH to 0x1234567890abcdef1234567890abcdef12345678';
+      const signers = [orbitdb1.identity.id, orbitdb3.identity.id];
+
+      const [signature1, signature3] = await Promise.all([
+        session1.signSchnorr(message, { signers }),
+        session3.signSchnorr(message, { signers })
+      ]);
+
+      const groupPublicKey = session1.participant.groupPublicKey;
+      expect(signature1.R).to.equal(signature3.R);
+      expect(signature1.z).to.equal(signature3.z);
+      expect(verifySchnorr(signature1, message, groupPublicKey)).to.be.true;
+      expect(verifySchnorr(signature1, 'another message', groupPublicKey)).to.be.false;
+
+      // The request's state is dropped once it settles, and its id not reused
+      const error = await session1.signSchnorr(message, { signers }).then(() => null, e => e);
+      expect(error.message).to.match(/already signed or failed/);
+
+      console.log('✅ FROST signature verifies against the group public key');
+    });
+
+    it('should identify a signer that publishes a bad signature share', async function() {
+      const message = 'Cheating signer test';
+      const signers = [orbitdb1.identity.id, orbitdb2.identity.id];
+
+      // Participant 2 corrupts its share on the way into the log
+      const db2 = session2.db;
+      const add = db2.add;
+      db2.add = async (entry) => add(entry.type === 'frost_signature_share'
+        ? { ...entry, z: field.toHex(field.add(field.fromHex(entry.z), 1n)) }
+        : entry);
+
+      try {
+        const results = await Promise.allSettled([
+          session1.signSchnorr(message, { signers }),
+          session2.signSchnorr(message, { signers })
+        ]);
+
+        for (const result of results) {
+          expect(result.status).to.equal('rejected');
+          expect(result.reason.cheaters).to.deep.equal([orbitdb2.identity.id]);
+        }
+      } finally {
+        db2.add = add;
+      }
+
+      console.log('✅ Cheating signer identified');
+    });
+
+    it('should sign after a restart with shares loaded from the keystore', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const signers = [orbitdb1.identity.id, orbitdb3.identity.id];
+      const keystores = [createKeystore({ orbitdb: orbitdb1 }), createKeystore({ orbitdb: orbitdb3 })];
+      for (const keystore of keystores) await keystore.unlock('wallet passphrase');
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'keystore-session', secretStore: keystores[0] });
+      const sessions = [
+        first,
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, secretStore: keystores[1] })
+      ];
+      const restarted = [];
+
+      try {
+        const [{ groupPublicKey }] = await Promise.all(sessions.map(session => session.run()));
+        await sessions[0].close();
+        await sessions[2].close();
+
+        // Both signers come back and unlock their keystores, without running the DKG again
+        for (const [i, orbitdb] of [orbitdb1, orbitdb3].entries()) {
+          const keystore = createKeystore({ orbitdb });
+          await keystore.unlock('wallet passphrase');
+          restarted.push(await createDKGSession({ orbitdb, threshold: 2, participants, address: first.address, secretStore: keystore }));
+          expect(restarted[i].resumed).to.be.true;
+          expect(restarted[i].participant.groupPublicKey).to.equal(groupPublicKey);
+        }
+
+        const message = 'Signed with a share from the keystore';
+        const [signature] = await Promise.all(restarted.map(session => session.signSchnorr(message, { signers })));
+        expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+        console.log('✅ Restarted signers signed with their stored shares');
+      } finally {
+        await sessions[1].close();
+        for (const session of restarted) await session.close();
+        for (const keystore of keystores) await keystore.wipe();
+      }
+    });
+  });
+
+  describe('Threshold ECDSA Signing', function() {
+    this.timeout(120000); // Paillier keys and their proofs take a while
+
+    it('should produce an Ethereum signature from laptop and custodian', async function() {
+      const digest = ethers.utils.hashMessage('Transfer 1 ETH to 0x1234567890abcdef1234567890abcdef12345678');
+      const signers = [orbitdb1.identity.id, orbitdb3.identity.id];
+
+      const [signature1, signature3] = await Promise.all([
+        session1.signECDSA(digest, { signers }),
+        session3.signECDSA(digest, { signers })
+      ]);
+
+      expect(signature1.signature).to.equal(signature3.signature);
+      expect(ethers.utils.recoverAddress(digest, signature1.signature)).to.equal(session1.participant.ethereumAddress);
+      expect(ethers.utils.verifyMessage('Transfer 1 ETH to 0x1234567890abcdef1234567890abcdef12345678', signature1.signature))
+        .to.equal(session1.participant.ethereumAddress);
+
+      console.log('✅ Threshold ECDSA signature recovers to the group address');
+    });
+
+    it('should sign again with a different pair of participants', async function() {
+      const digest = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('second transaction'));
+      const signers = [orbitdb2.identity.id, orbitdb3.identity.id];
+
+      const [signature2] = await Promise.all([
+        session2.signECDSA(digest, { signers }),
+        session3.signECDSA(digest, { signers })
+      ]);
+
+      expect(ethers.utils.recoverAddress(digest, signature2.signature)).to.equal(session2.participant.ethereumAddress);
+
+      // The request's state is dropped once it settles, and its id not reused
+      const error = await session2.signECDSA(digest, { signers }).then(() => null, e => e);
+      expect(error.message).to.match(/already signed or failed/);
+    });
+
+    it('should stop at a Paillier key its owner cannot prove', async function() {
+      const digest = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('forged key'));
+      const signers = [orbitdb1.identity.id, orbitdb2.identity.id];
+      const requestId = 'forged-key';
+
+      // A well-formed key, but proven for someone else
+      const { privateKey } = paillier.generateKeyPair(2048);
+      await session2.participant.publish({
+        type: 'ecdsa_key',
+        from: orbitdb2.identity.id,
+        requestId,
+        paillierN: privateKey.N.toString(16),
+        keyProof: proveKey(privateKey, `${session1.address}|ecdsa-key|${orbitdb3.identity.id}`),
+        timestamp: Date.now()
+      });
+
+      let error = null;
+      try {
+        await session1.signECDSA(digest, { signers, requestId });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Invalid Paillier key/);
+      expect(error.cheaters).to.deep.equal([orbitdb2.identity.id]);
+
+      // Nobody got as far as encrypting k
+      const entries = await session1.db.all();
+      expect(entries.some(({ value }) => value.type === 'ecdsa_commitment' && value.requestId === requestId)).to.be.false;
+    });
+  });
+
+  describe('Proactive Share Refresh', () => {
+    it('should refresh every share without changing the group key', async function() {
+      const sessions = [session1, session2, session3];
+      const old = sessions.map(({ participant }) => ({ x: participant.indexOf(participant.participantId), y: participant.finalShareValue }));
+      const groupPublicKey = session1.participant.groupPublicKey;
+
+      const results = await Promise.all(sessions.map(session => session.refresh()));
+
+      for (const [i, result] of results.entries()) {
+        expect(result.epoch).to.equal(1);
+        expect(result.finalShare).to.not.equal(old[i].y);
+        expect(result.verificationShares).to.deep.equal(results[0].verificationShares);
+        expect(sessions[i].participant.groupPublicKey).to.equal(groupPublicKey);
+        expect(ec.g.mul(result.finalShare).encode('hex', true)).to.equal(result.verificationShares[sessions[i].participant.participantId]);
+      }
+
+      // New shares still open the same secret; old and new ones together do not
+      const fresh = results.map((result, i) => ({ x: old[i].x, y: result.finalShare }));
+      const secret = interpolateAtZero([old[0], old[1]]);
+      expect(interpolateAtZero([fresh[0], fresh[1]])).to.equal(secret);
+      expect(interpolateAtZero([fresh[1], fresh[2]])).to.equal(secret);
+      expect(interpolateAtZero([old[0], fresh[1]])).to.not.equal(secret);
+
+      const message = 'Signed after a refresh';
+      const signers = [orbitdb2.identity.id, orbitdb3.identity.id];
+      const [signature] = await Promise.all([session2, session3].map(session => session.signSchnorr(message, { signers })));
+      expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+      console.log('✅ Shares refreshed, group key unchanged');
+    });
+
+    it('should leave out a refresh dealer whose justification fails', async function() {
+      const sessions = [session1, session2, session3];
+      const [id1, id2] = sessions.map(({ participant }) => participant.participantId);
+      const groupPublicKey = session1.participant.groupPublicKey;
+
+      // Participant 2 commits to a different polynomial than it deals, so
+      // the shares it reveals to answer the complaints do not check out
+      const db2 = session2.db;
+      const add = db2.add;
+      db2.add = async (entry) => add(entry.type === 'refresh_commitment'
+        ? { ...entry, commitments: [session2.participant.groupPublicKey] }
+        : entry);
+
+      let results;
+      try {
+        results = await Promise.all(sessions.map(session => session.refresh()));
+      } finally {
+        db2.add = add;
+      }
+
+      for (const [i, result] of results.entries()) {
+        expect(result.epoch).to.equal(2);
+        expect(result.qualified).to.deep.equal(session1.roster.ids.filter(id => id !== id2));
+        expect(result.disqualified).to.deep.equal([id2]);
+        expect(result.verificationShares).to.deep.equal(results[0].verificationShares);
+        expect(ec.g.mul(result.finalShare).encode('hex', true)).to.equal(result.verificationShares[sessions[i].participant.participantId]);
+      }
+      expect(session1.view.messages('refresh_justification').filter(({ epoch }) => epoch === 2).map(({ from }) => from)).to.deep.equal([id2, id2]);
+
+      const message = 'Signed after leaving out a refresh dealer';
+      const [signature] = await Promise.all([session1, session2].map(session => session.signSchnorr(message, { signers: [id1, id2] })));
+      expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+      console.log('✅ Invalid refresh dealer left out, shares refreshed');
+    });
+
+    it('should finish a refresh after a dealer restarts between dealing and applying it', async function() {
+      const sessions = [session1, session2, session3];
+      const { participant } = session1;
+      const secretStore = new Map();
+      participant.secretStore = secretStore;
+
+      // Participant 1 goes down right after its refresh deal reaches the log
+      const db1 = session1.db;
+      const add = db1.add;
+      db1.add = async (entry) => {
+        const hash = await add(entry);
+        if (entry.type === 'refresh_commitment') {
+          throw new Error('Process killed');
+        }
+        return hash;
+      };
+
+      try {
+        const others = [session2, session3].map(session => session.refresh({ epoch: 3 }));
+        let error = null;
+        try {
+          await session1.refresh({ epoch: 3 });
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.equal('Process killed');
+        db1.add = add;
+
+        // It comes back with what it saved before dealing
+        const saved = secretStore.get(session1.address);
+        expect(saved.refreshDeal.epoch).to.equal(3);
+        participant.restoreSecrets(saved);
+
+        const results = await Promise.all([session1.refresh({ epoch: 3 }), ...others]);
+        for (const [i, result] of results.entries()) {
+          expect(result.epoch).to.equal(3);
+          expect(result.verificationShares).to.deep.equal(results[0].verificationShares);
+          expect(ec.g.mul(result.finalShare).encode('hex', true)).to.equal(result.verificationShares[sessions[i].participant.participantId]);
+        }
+        expect(secretStore.get(session1.address).refreshDeal).to.be.null;
+        expect(session1.view.messages('refresh_commitment').filter(({ epoch, from }) => epoch === 3 && from === participant.participantId)).to.have.lengthOf(1);
+
+        console.log('✅ Refresh finished from the saved deal');
+      } finally {
+        db1.add = add;
+        participant.secretStore = null;
+      }
+    });
+
+    it('should not let a false complaint stop a refresh', async function() {
+      const sessions = [session1, session2, session3];
+      const [id1, , id3] = sessions.map(({ participant }) => participant.participantId);
+
+      // Participant 3 complains about participant 1's valid share
+      const db3 = session3.db;
+      const add = db3.add;
+      db3.add = async (entry) => add(entry.type === 'refresh_verification' ? { ...entry, complaints: [id1] } : entry);
+
+      let results;
+      try {
+        results = await Promise.all(sessions.map(session => session.refresh({ epoch: 4 })));
+      } finally {
+        db3.add = add;
+      }
+
+      for (const [i, result] of results.entries()) {
+        expect(result.qualified).to.deep.equal(session1.roster.ids);
+        expect(result.disqualified).to.deep.equal([]);
+        expect(result.verificationShares).to.deep.equal(results[0].verificationShares);
+        expect(ec.g.mul(result.finalShare).encode('hex', true)).to.equal(result.verificationShares[sessions[i].participant.participantId]);
+      }
+      const justifications = session2.view.messages('refresh_justification').filter(({ epoch }) => epoch === 4);
+      expect(justifications.map(({ from, to }) => `${from}->${to}`)).to.deep.equal([`${id1}->${id3}`]);
+      console.log('✅ False refresh complaint answered, refresh finished');
+    });
+
+    it('should abort a refresh with fewer than threshold valid dealers and keep the shares', async function() {
+      const sessions = [session1, session2, session3];
+      const [id1] = sessions.map(({ participant }) => participant.participantId);
+      const before = sessions.map(({ participant }) => participant.finalShareValue);
+
+      // Participants 2 and 3 both commit to something other than what they deal
+      const adds = [session2.db, session3.db].map(db => {
+        const add = db.add;
+        db.add = async (entry) => add(entry.type === 'refresh_commitment' ? { ...entry, commitments: [session1.participant.groupPublicKey] } : entry);
+        return [db, add];
+      });
+
+      try {
+        const results = await Promise.allSettled(sessions.map(session => session.refresh({ epoch: 5 })));
+        for (const result of results) {
+          expect(result.status).to.equal('rejected');
+          expect(result.reason.message).to.match(/only 1 of 2 dealers qualified/);
+          expect(result.reason.cheaters).to.deep.equal(session1.roster.ids.filter(id => id !== id1));
+        }
+      } finally {
+        for (const [db, add] of adds) db.add = add;
+      }
+
+      expect(sessions.map(({ participant }) => participant.finalShareValue)).to.deep.equal(before);
+      expect(session1.participant.refreshEpoch).to.equal(4);
+      console.log('✅ Refresh aborted without enough valid dealers, shares kept');
+    });
+  });
+
+  describe('Resharing', () => {
+    it('should reshare a 2-of-3 key to 3-of-3 without changing it', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const dealers = [orbitdb1.identity.id, orbitdb3.identity.id];
+      const old = [session1, session2, session3];
+      const { groupPublicKey, ethereumAddress } = session1.participant;
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 3, participants, name: 'reshared-session', reshare: { session: session1, dealers } });
+      const sessions = [
+        first,
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 3, participants, address: first.address, reshare: { session: session2, dealers } }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 3, participants, address: first.address, reshare: { session: session3, dealers } })
+      ];
+
+      try {
+        expect(first.previous).to.deep.equal({ address: session1.address, groupPublicKey, threshold: 2, dealers: [...dealers].sort() });
+
+        const results = await Promise.all(sessions.map(session => session.run()));
+        for (const result of results) {
+          expect(result.groupPublicKey).to.equal(groupPublicKey);
+          expect(result.address).to.equal(ethereumAddress);
+          expect(result.qualified).to.have.members(dealers);
+        }
+
+        // Three new shares open the old secret; two no longer do, nor do old and new ones mixed
+        const share = ({ index, finalShare }) => ({ x: index, y: finalShare });
+        const before = old.map(({ participant }) => ({ x: participant.indexOf(participant.participantId), y: participant.finalShareValue }));
+        const secret = interpolateAtZero(before.slice(0, 2));
+        expect(interpolateAtZero(results.map(share))).to.equal(secret);
+        expect(interpolateAtZero(results.slice(0, 2).map(share))).to.not.equal(secret);
+        expect(interpolateAtZero([before[0], before[1], share(results[2])])).to.not.equal(secret);
+
+        const message = 'Signed by the reshared 3-of-3 group';
+        const [signature] = await Promise.all(sessions.map(session => session.signSchnorr(message, { signers: participants })));
+        expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+        console.log('✅ Reshared to 3-of-3 under the same group key');
+      } finally {
+        for (const session of sessions) await session.close();
+      }
+    });
+
+    it('should enroll a new member that only knows the old address, group key and threshold', async function() {
+      const [id1, id2, id3] = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const pair = [id1, id2];
+
+      const original = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants: pair, name: 'two-device-session' });
+      const partner = await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants: pair, address: original.address });
+      const opened = [original, partner];
+
+      try {
+        const [{ groupPublicKey }] = await Promise.all([original.run(), partner.run()]);
+        const link = { address: original.address, groupPublicKey, threshold: 2 };
+
+        const participants = [id1, id2, id3];
+        const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'three-device-session', reshare: { session: original, dealers: pair } });
+        opened.push(first);
+
+        // A joiner expecting another key refuses the session
+        let error = null;
+        try {
+          await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, reshare: { ...link, groupPublicKey: session1.participant.groupPublicKey, dealers: pair } });
+        } catch (e) {
+          error = e;
+        }
+        expect(error.mismatches).to.deep.equal(['previous']);
+
+        const sessions = [
+          first,
+          await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address, reshare: { session: partner, dealers: pair } }),
+          await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, reshare: { ...link, dealers: pair } })
+        ];
+        opened.push(...sessions.slice(1));
+
+        const results = await Promise.all(sessions.map(session => session.run()));
+        expect(results.map(result => result.groupPublicKey)).to.deep.equal([groupPublicKey, groupPublicKey, groupPublicKey]);
+
+        // The new member signs with an old holder
+        const message = 'Signed by a newly enrolled device';
+        const signers = [id2, id3];
+        const [signature] = await Promise.all(sessions.slice(1).map(session => session.signSchnorr(message, { signers })));
+        expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+        console.log('✅ New member enrolled by resharing');
+      } finally {
+        for (const session of opened) await session.close();
+      }
+    });
+  });
+
+  describe('Resharing to a New Group', () => {
+    const nodes = []; // { ipfs, orbitdb, directory } of members joining the group
+
+    before(async () => {
+      for (const n of [5, 6, 7]) {
+        const ipfs = await createHelia({ directory: `./ipfs-dkg${n}` });
+        for (const peer of [ipfs1, ipfs2, ipfs3, ...nodes.map(node => node.ipfs)]) {
+          await connectPeers(ipfs, peer);
+        }
+        const orbitdb = await createOrbitDB({ ipfs, id: `dkg-new-member${n}`, directory: `./orbitdb-dkg${n}` });
+        nodes.push({ ipfs, orbitdb, n });
+      }
+    });
+
+    after(async () => {
+      for (const { ipfs, orbitdb, n } of nodes) {
+        await orbitdb.stop();
+        await ipfs.blockstore.child.child.child.close();
+        await ipfs.stop();
+        await rimraf(`./orbitdb-dkg${n}`);
+        await rimraf(`./ipfs-dkg${n}`);
+      }
+    });
+
+    it('should reshare a 2-of-3 key to 3-of-5 with a departing member as one of the dealers', async function() {
+      const [id1, id2, id3] = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const joiners = nodes.map(({ orbitdb }) => orbitdb);
+      // Participant 3 leaves the group, handing over its share on the way out
+      const participants = [id1, id2, ...joiners.map(orbitdb => orbitdb.identity.id)];
+      const dealers = [id1, id3];
+      const { groupPublicKey, ethereumAddress, threshold } = session1.participant;
+      const link = { address: session1.address, groupPublicKey, threshold, dealers };
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 3, participants, name: 'handover-session', reshare: { session: session1, dealers } });
+      const sessions = [first];
+      let departing = null;
+
+      try {
+        sessions.push(await createDKGSession({ orbitdb: orbitdb2, threshold: 3, participants, address: first.address, reshare: { session: session2, dealers } }));
+        for (const orbitdb of joiners) {
+          sessions.push(await createDKGSession({ orbitdb, threshold: 3, participants, address: first.address, reshare: link }));
+        }
+        departing = await createDKGSession({ orbitdb: orbitdb3, threshold: 3, participants, address: first.address, reshare: { session: session3, dealers } });
+
+        const [handover, ...results] = await Promise.all([departing.run(), ...sessions.map(session => session.run())]);
+        for (const result of results) {
+          expect(result.groupPublicKey).to.equal(groupPublicKey);
+          expect(result.address).to.equal(ethereumAddress);
+          expect(result.qualified).to.have.members(dealers);
+        }
+        expect(handover).to.include({ index: null, finalShare: null, groupPublicKey });
+
+        // Its deal is in the log, but it holds no share of the new group
+        expect(first.view.byDealer('reshare_commitment').has(id3)).to.be.true;
+        expect(first.roster.has(id3)).to.be.false;
+
+        // Any three of the five open the secret, two do not
+        const share = ({ index, finalShare }) => ({ x: index, y: finalShare });
+        const secret = interpolateAtZero([session1, session2].map(({ participant }) => ({ x: participant.indexOf(participant.participantId), y: participant.finalShareValue })));
+        expect(interpolateAtZero(results.slice(2).map(share))).to.equal(secret);
+        expect(interpolateAtZero([results[0], results[3], results[4]].map(share))).to.equal(secret);
+        expect(interpolateAtZero(results.slice(3).map(share))).to.not.equal(secret);
+
+        const message = 'Signed by the group without its departed member';
+        const signers = [id2, ...joiners.slice(0, 2).map(orbitdb => orbitdb.identity.id)];
+        const signing = [sessions[1], sessions[2], sessions[3]];
+        const [signature] = await Promise.all(signing.map(session => session.signSchnorr(message, { signers })));
+        expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+        console.log('✅ Departing member handed over its share to a 3-of-5 group');
+      } finally {
+        for (const session of [...sessions, departing].filter(Boolean)) await session.close();
+      }
+    });
+
+    it('should not let a false complaint from a new holder stop a resharing', async function() {
+      const [id1, id2, id3] = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const joiner = nodes[0].orbitdb;
+      const participants = [id1, id2, joiner.identity.id];
+      const dealers = [id1, id2, id3];
+      const { groupPublicKey, threshold } = session1.participant;
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'false-complaint-session', reshare: { session: session1, dealers } });
+      const sessions = [first];
+      let departing = null;
+
+      try {
+        sessions.push(await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address, reshare: { session: session2, dealers } }));
+        sessions.push(await createDKGSession({ orbitdb: joiner, threshold: 2, participants, address: first.address, reshare: { address: session1.address, groupPublicKey, threshold, dealers } }));
+        departing = await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, reshare: { session: session3, dealers } });
+
+        // The new member complains about participant 1's valid share
+        const db = sessions[2].db;
+        const add = db.add;
+        db.add = async (entry) => add(entry.type === 'reshare_verification' ? { ...entry, complaints: [id1] } : entry);
+
+        const [handover, ...results] = await Promise.all([departing.run(), ...sessions.map(session => session.run())]);
+        for (const result of [handover, ...results]) {
+          expect(result.groupPublicKey).to.equal(groupPublicKey);
+          expect(result.qualified).to.deep.equal([...dealers].sort());
+        }
+        const justifications = first.view.messages('reshare_justification');
+        expect(justifications.map(({ from, to }) => `${from}->${to}`)).to.deep.equal([`${id1}->${joiner.identity.id}`]);
+
+        const message = 'Signed after a false complaint against a resharing dealer';
+        const signers = [id2, joiner.identity.id];
+        const [signature] = await Promise.all(sessions.slice(1).map(session => session.signSchnorr(message, { signers })));
+        expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+        console.log('✅ False resharing complaint answered, resharing finished');
+      } finally {
+        for (const session of [...sessions, departing].filter(Boolean)) await session.close();
+      }
+    });
+
+    it('should leave out a resharing dealer whose justification fails and reshare from the rest', async function() {
+      const [id1, id2, id3] = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const joiner = nodes[1].orbitdb;
+      const participants = [id1, id2, joiner.identity.id];
+      const dealers = [id1, id2, id3];
+      const { groupPublicKey, threshold } = session1.participant;
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'failed-dealer-session', reshare: { session: session1, dealers } });
+      const sessions = [first];
+      let departing = null;
+
+      try {
+        sessions.push(await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address, reshare: { session: session2, dealers } }));
+        sessions.push(await createDKGSession({ orbitdb: joiner, threshold: 2, participants, address: first.address, reshare: { address: session1.address, groupPublicKey, threshold, dealers } }));
+        departing = await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address, reshare: { session: session3, dealers } });
+
+        // The departing dealer commits to another constant than it deals, so
+        // every holder complains and the shares it reveals do not check out
+        const db = departing.db;
+        const add = db.add;
+        db.add = async (entry) => add(entry.type === 'reshare_commitment'
+          ? { ...entry, commitments: [groupPublicKey, ...entry.commitments.slice(1)] }
+          : entry);
+
+        const [handover, ...results] = await Promise.all([departing.run(), ...sessions.map(session => session.run())]);
+        const kept = [...dealers].sort().filter(id => id !== id3);
+        for (const result of [handover, ...results]) {
+          expect(result.groupPublicKey).to.equal(groupPublicKey);
+          expect(result.qualified).to.deep.equal(kept);
+        }
+        expect(first.view.messages('reshare_justification').map(({ from }) => from)).to.deep.equal([id3, id3, id3]);
+
+        // The other two deals, weighted over the two of them, still add up to the old secret
+        const share = ({ index, finalShare }) => ({ x: index, y: finalShare });
+        const secret = interpolateAtZero([session1, session2].map(({ participant }) => ({ x: participant.indexOf(participant.participantId), y: participant.finalShareValue })));
+        expect(interpolateAtZero(results.slice(1).map(share))).to.equal(secret);
+
+        const message = 'Signed after leaving out a resharing dealer';
+        const signers = [id1, joiner.identity.id];
+        const [signature] = await Promise.all([sessions[0], sessions[2]].map(session => session.signSchnorr(message, { signers })));
+        expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+        console.log('✅ Invalid resharing dealer left out, key reshared by the rest');
+      } finally {
+        for (const session of [...sessions, departing].filter(Boolean)) await session.close();
+      }
+    });
+  });
+
+  describe('Session Manager', () => {
+    it('should run several named sessions side by side on each OrbitDB instance', async function() {
+      const [id1, id2, id3] = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const managers = [orbitdb1, orbitdb2, orbitdb3].map(orbitdb => createSessionManager({ orbitdb }));
+      const [manager1, manager2, manager3] = managers;
+
+      try {
+        const completed = [];
+        manager2.events.on('complete', ({ session, groupPublicKey }) => completed.push({ session, groupPublicKey }));
+
+        // A 2-of-3 key for all three and a 2-of-2 key for the first two
+        const shared = await manager1.create('shared-key', { threshold: 2, participants: [id1, id2, id3] });
+        const pair = await manager1.create('pair-key', { threshold: 2, participants: [id1, id2] });
+        await manager2.join('shared-key', { address: shared.address, threshold: 2, participants: [id1, id2, id3] });
+        await manager2.join('pair-key', { address: pair.address, threshold: 2, participants: [id1, id2] });
+        await manager3.join('shared-key', { address: shared.address, threshold: 2, participants: [id1, id2, id3] });
+
+        expect(manager1.list().map(({ name, role, phase }) => ({ name, role, phase }))).to.deep.equal([
+          { name: 'shared-key', role: 'creator', phase: 'idle' },
+          { name: 'pair-key', role: 'creator', phase: 'idle' }
+        ]);
+
+        const runs = managers.flatMap(manager => manager.list().map(({ name }) => manager.get(name).run()));
+        await Promise.all(runs);
+
+        const keys = manager2.list().map(({ groupPublicKey }) => groupPublicKey);
+        expect(keys[0]).to.equal(manager1.get('shared-key').participant.groupPublicKey);
+        expect(keys[1]).to.equal(manager1.get('pair-key').participant.groupPublicKey);
+        expect(keys[0]).to.not.equal(keys[1]);
+        expect(completed.map(({ session }) => session)).to.have.members(['shared-key', 'pair-key']);
+        expect(manager2.list().every(({ phase }) => phase === 'done')).to.be.true;
+
+        // Each session signs over its own log
+        const message = 'Signed in one of several sessions';
+        const [signature] = await Promise.all([manager1, manager2].map(manager => manager.get('pair-key').signSchnorr(message, { signers: [id1, id2] })));
+        expect(verifySchnorr(signature, message, keys[1])).to.be.true;
+
+        expect(await manager2.closeFinished()).to.deep.equal(['shared-key', 'pair-key']);
+        expect(manager2.list()).to.deep.equal([]);
+
+        console.log('✅ Several sessions managed side by side');
+      } finally {
+        for (const manager of managers) await manager.closeAll();
+      }
+    });
+  });
+
+  describe('Lost-Share Recovery', () => {
+    let ipfs4, orbitdb4;
+
+    before(async () => {
+      ipfs4 = await createHelia({ directory: './ipfs-dkg4' });
+      await connectPeers(ipfs4, ipfs1);
+      await connectPeers(ipfs4, ipfs2);
+      await connectPeers(ipfs4, ipfs3);
+      orbitdb4 = await createOrbitDB({ ipfs: ipfs4, id: 'dkg-replacement-device', directory: './orbitdb-dkg4' });
+    });
+
+    after(async () => {
+      await orbitdb4.stop();
+      await ipfs4.blockstore.child.child.child.close();
+      await ipfs4.stop();
+      await rimraf('./orbitdb-dkg4');
+      await rimraf('./ipfs-dkg4');
+    });
+
+    it('should rebuild a lost share at the same index on a new device', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const [id1, id2, id3] = participants;
+      const device = orbitdb4.identity.id;
+      const helpers = [id1, id2];
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'recoverable-session' });
+      const sessions = [
+        first,
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address })
+      ];
+      const open = new Set(sessions);
+
+      try {
+        const results = await Promise.all(sessions.map(session => session.run()));
+        const { groupPublicKey, index, finalShare } = results[2];
+
+        // Participant 3's device is lost
+        await sessions[2].close();
+        open.delete(sessions[2]);
+
+        const recovered = await createDKGSession({ orbitdb: orbitdb4, threshold: 2, participants, address: first.address, recover: { participant: id3, groupPublicKey } });
+        open.add(recovered);
+        const [result] = await Promise.all([
+          recovered.run(),
+          ...sessions.slice(0, 2).map(session => session.enrollDevice({ participant: id3, device, helpers }))
+        ]);
+        expect(recovered.address).to.equal(first.address);
+        expect(result.index).to.equal(index);
+        expect(result.finalShare).to.equal(finalShare);
+        expect(result.groupPublicKey).to.equal(groupPublicKey);
+
+        // Each contribution is masked: none is the helper's weighted share
+        const indices = helpers.map(id => first.participant.indexOf(id));
+        for await (const { value } of recovered.db.iterator()) {
+          if (value.type !== 'recovery_contribution') continue;
+          const helper = sessions[helpers.indexOf(value.from)].participant;
+          const plaintext = ecies.decrypt(recovered.participant.encryptionKey, value.contribution, `${first.address}|recovery|${device}|${value.from}`);
+          const weighted = field.mul(lagrangeCoefficient(helper.indexOf(value.from), indices, index), field.fromHex(helper.finalShareValue));
+          expect(field.fromHex(plaintext.toString())).to.not.equal(weighted);
+        }
+
+        // The new device signs for participant 3 with a helper
+        const message = 'Signed by a recovered device';
+        const signers = [id1, id3];
+        const [signature] = await Promise.all([first, recovered].map(session => session.signSchnorr(message, { signers })));
+        expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+        // The lost identity can no longer write to the session
+        const lost = await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address });
+        open.add(lost);
+        await waitFor(() => lost.participant.devices.has(device), () => {}, 10000);
+        let error = null;
+        try {
+          await lost.participant.publish({ type: 'equivocation', from: id3, accused: id2, entries: ['zdpuA', 'zdpuB'], timestamp: Date.now() });
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.not.be.null;
+
+        console.log('✅ Lost share recovered onto a new device');
+      } finally {
+        for (const session of open) await session.close();
+      }
+    });
+
+    it('should refresh with a recovered device, which then signs under its own identity', async function() {
+      const participants = [orbitdb1.identity.id, orbitdb2.identity.id, orbitdb3.identity.id];
+      const [id1, id2, id3] = participants;
+      const device = orbitdb4.identity.id;
+
+      const first = await createDKGSession({ orbitdb: orbitdb1, threshold: 2, participants, name: 'refreshed-recovery-session' });
+      const sessions = [
+        first,
+        await createDKGSession({ orbitdb: orbitdb2, threshold: 2, participants, address: first.address }),
+        await createDKGSession({ orbitdb: orbitdb3, threshold: 2, participants, address: first.address })
+      ];
+      const open = new Set(sessions);
+
+      try {
+        const results = await Promise.all(sessions.map(session => session.run()));
+        const { groupPublicKey, index, finalShare } = results[2];
+
+        // Participant 3's device is lost and a new one takes its place
+        await sessions[2].close();
+        open.delete(sessions[2]);
+        const recovered = await createDKGSession({ orbitdb: orbitdb4, threshold: 2, participants, address: first.address, recover: { participant: id3, groupPublicKey } });
+        open.add(recovered);
+        await Promise.all([
+          recovered.run(),
+          ...sessions.slice(0, 2).map(session => session.enrollDevice({ participant: id3, device, helpers: [id1, id2] }))
+        ]);
+
+        // Everyone refreshes, the device in participant 3's place
+        const holders = [first, sessions[1], recovered];
+        const refreshed = await Promise.all(holders.map(session => session.refresh()));
+        for (const result of refreshed) {
+          expect(result.qualified).to.deep.equal(first.roster.ids);
+          expect(result.verificationShares).to.deep.equal(refreshed[0].verificationShares);
+        }
+
+        // The lost copy of the share no longer combines with the refreshed ones
+        const fresh = { x: first.participant.indexOf(id1), y: refreshed[0].finalShare };
+        const secret = interpolateAtZero([fresh, { x: index, y: refreshed[2].finalShare }]);
+        expect(refreshed[2].finalShare).to.not.equal(finalShare);
+        expect(interpolateAtZero([fresh, { x: index, y: finalShare }])).to.not.equal(secret);
+
+        const message = 'Signed by a recovered device after a refresh';
+        const signers = [id1, id3];
+        const [signature] = await Promise.all([first, recovered].map(session => session.signSchnorr(message, { signers })));
+        expect(verifySchnorr(signature, message, groupPublicKey)).to.be.true;
+
+        // What the device wrote is from participant 3, but signed by the device
+        const written = [];
+        for await (const { hash, value } of first.db.iterator()) {
+          if (value.from === id3 && /^(refresh|frost)_/.test(value.type)) {
+            written.push({ type: value.type, signer: await first.participant.signerOf(await first.db.log.get(hash)) });
+          }
+        }
+        expect(written.map(({ type }) => type)).to.include.members(['refresh_commitment', 'refresh_verification', 'frost_commitment', 'frost_signature_share']);
+        expect(written.every(({ signer }) => signer === device)).to.be.true;
+
+        console.log('✅ Recovered device refreshed its share and signed in its place');
+      } finally {
+        for (const session of open) await session.close();
+      }
     });
   });
 });
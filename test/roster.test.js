@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import createRoster from '../src/roster.js';
+
+describe('Roster', function() {
+  const ids = [
+    'zdpuAmLcm6NJ1XBEx3ktpXRjg5ScPUVzsKWxaCaR6zX5vN9C4',
+    '03a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90',
+    'laptop',
+    'Mobile Phone',
+    'custodian-ü'
+  ];
+
+  it('should assign distinct non-zero indices to arbitrary ids', function() {
+    const roster = createRoster(ids);
+    const indices = ids.map(id => roster.indexOf(id));
+
+    expect(roster.size).to.equal(5);
+    expect(indices).to.have.members([1, 2, 3, 4, 5]);
+    for (const id of ids) {
+      expect(roster.idOf(roster.indexOf(id))).to.equal(id);
+    }
+  });
+
+  it('should derive the same indices from rosters given in any order', function() {
+    const reference = createRoster(ids);
+    const shuffled = [
+      [...ids].reverse(),
+      [ids[2], ids[0], ids[4], ids[1], ids[3]],
+      [ids[3], ids[4], ids[0], ids[2], ids[1]]
+    ];
+
+    for (const order of shuffled) {
+      const roster = createRoster(order);
+      expect(roster.ids).to.deep.equal(reference.ids);
+      for (const id of ids) {
+        expect(roster.indexOf(id)).to.equal(reference.indexOf(id));
+      }
+    }
+  });
+
+  it('should not depend on participant-N naming', function() {
+    const roster = createRoster(['participant10', 'participant2', 'participant1']);
+    expect(roster.indexOf('participant1')).to.equal(1);
+    expect(roster.indexOf('participant10')).to.equal(2);
+    expect(roster.indexOf('participant2')).to.equal(3);
+  });
+
+  it('should list the other participants', function() {
+    const roster = createRoster(['b', 'a', 'c']);
+    expect(roster.others('b')).to.deep.equal(['a', 'c']);
+    expect(roster.has('a')).to.be.true;
+    expect(roster.has('d')).to.be.false;
+  });
+
+  it('should reject unknown ids and indices', function() {
+    const roster = createRoster(['a', 'b']);
+    expect(() => roster.indexOf('c')).to.throw('Unknown participant c');
+    expect(() => roster.idOf(0)).to.throw('No participant at index 0');
+    expect(() => roster.idOf(3)).to.throw('No participant at index 3');
+  });
+
+  it('should reject empty, duplicate and non-string ids', function() {
+    expect(() => createRoster([])).to.throw('at least one participant');
+    expect(() => createRoster(['a', 'a'])).to.throw('duplicate');
+    expect(() => createRoster(['a', ''])).to.throw('Invalid participant id');
+    expect(() => createRoster(['a', 3])).to.throw('Invalid participant id');
+  });
+});
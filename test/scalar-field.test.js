@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import * as field from '../src/scalar-field.js';
+
+describe('Scalar Field Arithmetic', function() {
+  const { N } = field;
+
+  it('should reduce every result modulo the secp256k1 order', function() {
+    expect(field.add(N - 1n, 2n)).to.equal(1n);
+    expect(field.sub(1n, 2n)).to.equal(N - 1n);
+    expect(field.mul(N - 1n, N - 1n)).to.equal(1n);
+    expect(field.neg(1n)).to.equal(N - 1n);
+    expect(field.mod(-5n)).to.equal(N - 5n);
+  });
+
+  it('should compute inverses for random scalars', function() {
+    for (let i = 0; i < 20; i++) {
+      const a = field.random();
+      expect(field.mul(a, field.inv(a))).to.equal(1n);
+    }
+    expect(() => field.inv(0n)).to.throw('Zero has no inverse');
+    expect(() => field.inv(N)).to.throw('Zero has no inverse');
+  });
+
+  it('should compute powers consistent with repeated multiplication and Fermat', function() {
+    const a = field.random();
+    let expected = 1n;
+    for (let e = 0; e < 12; e++) {
+      expect(field.pow(a, e)).to.equal(expected);
+      expected = field.mul(expected, a);
+    }
+    // a^(n-1) = 1 and a^(n-2) = a^-1 since n is prime
+    expect(field.pow(a, N - 1n)).to.equal(1n);
+    expect(field.pow(a, N - 2n)).to.equal(field.inv(a));
+  });
+
+  it('should round-trip scalars through fixed-width hex', function() {
+    const a = field.random();
+    const hex = field.toHex(a);
+    expect(hex).to.have.length(64);
+    expect(field.fromHex(hex)).to.equal(a);
+    expect(field.fromHex('0x' + hex)).to.equal(a);
+    expect(field.toHex(1n)).to.equal('0'.repeat(63) + '1');
+    expect(() => field.fromHex('not-hex')).to.throw('Invalid scalar hex');
+  });
+
+  it('should evaluate a degree-12 polynomial without overflowing the field', function() {
+    const degree = 12;
+    const coefficients = field.randomPolynomial(degree);
+    expect(coefficients).to.have.length(degree + 1);
+
+    for (const x of [1n, 2n, 17n, 1000n, N - 1n]) {
+      // Naive evaluation with explicit powers must agree with Horner's rule
+      let expected = 0n;
+      for (let i = 0; i <= degree; i++) {
+        expected = field.add(expected, field.mul(coefficients[i], field.pow(x, i)));
+      }
+      const result = field.evaluatePolynomial(coefficients, x);
+      expect(result).to.equal(expected);
+      expect(result < N).to.be.true;
+    }
+  });
+
+  it('should keep the requested constant term', function() {
+    const secret = field.random();
+    const coefficients = field.randomPolynomial(10, secret);
+    expect(coefficients[0]).to.equal(secret);
+    expect(field.evaluatePolynomial(coefficients, 0n)).to.equal(secret);
+  });
+});
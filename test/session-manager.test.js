@@ -0,0 +1,90 @@
+import { expect } from 'chai';
+import { EventEmitter } from 'events';
+import createSessionManager from '../src/session-manager.js';
+import createRoster from '../src/roster.js';
+
+// Stands in for createDKGSession: a session whose phase the test sets
+const createFakeSession = async ({ name, address, threshold, participants }) => {
+  const events = new EventEmitter();
+  const session = {
+    address: address || `/orbitdb/${name}`,
+    roster: createRoster(participants),
+    participant: { threshold, groupPublicKey: null },
+    events,
+    phase: 'idle',
+    closed: false,
+    finish: (phase = 'done') => {
+      session.phase = phase;
+      events.emit(phase === 'done' ? 'complete' : 'failed', { phase });
+    },
+    close: async () => {
+      session.closed = true;
+    }
+  };
+  return session;
+};
+
+describe('Session Manager', function() {
+  const orbitdb = { identity: { id: 'alice' } };
+  const participants = ['alice', 'bob', 'carol'];
+  const log = () => {};
+
+  it('should open sessions under distinct names and list them with their role', async function() {
+    const manager = createSessionManager({ orbitdb, createSession: createFakeSession, log });
+
+    const wallet = await manager.create('wallet', { threshold: 2, participants });
+    await manager.join('savings', { address: '/orbitdb/savings', threshold: 2, participants });
+    await manager.join('moved', { address: '/orbitdb/moved', threshold: 3, participants, reshare: { dealers: ['alice', 'bob'] } });
+    await manager.join('phone', { address: '/orbitdb/phone', threshold: 2, participants, recover: { participant: 'carol' } });
+
+    expect(manager.get('wallet')).to.equal(wallet);
+    expect(manager.list().map(({ name, role, phase }) => ({ name, role, phase }))).to.deep.equal([
+      { name: 'wallet', role: 'creator', phase: 'idle' },
+      { name: 'savings', role: 'participant', phase: 'idle' },
+      { name: 'moved', role: 'dealer', phase: 'idle' },
+      { name: 'phone', role: 'device', phase: 'idle' }
+    ]);
+
+    let error = null;
+    try {
+      await manager.create('wallet', { threshold: 2, participants });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/already open/);
+    expect(() => manager.join('other', { threshold: 2, participants })).to.throw(/needs the session's address/);
+    expect(() => manager.get('missing')).to.throw(/No open session named missing/);
+  });
+
+  it('should tag session events with their name and close finished sessions', async function() {
+    const manager = createSessionManager({ orbitdb, createSession: createFakeSession, log });
+    const seen = [];
+    for (const event of ['complete', 'failed', 'closed']) {
+      manager.events.on(event, payload => seen.push({ event, ...payload }));
+    }
+
+    const first = await manager.create('first', { threshold: 2, participants });
+    const second = await manager.create('second', { threshold: 2, participants });
+    const third = await manager.create('third', { threshold: 2, participants });
+    first.finish();
+    third.finish('failed');
+
+    expect(await manager.closeFinished()).to.deep.equal(['first', 'third']);
+    expect(first.closed && third.closed).to.be.true;
+    expect(second.closed).to.be.false;
+    expect(manager.list().map(({ name }) => name)).to.deep.equal(['second']);
+
+    // A closed session's events no longer reach the manager
+    first.finish();
+    expect(seen).to.deep.equal([
+      { event: 'complete', session: 'first', phase: 'done' },
+      { event: 'failed', session: 'third', phase: 'failed' },
+      { event: 'closed', session: 'first', address: '/orbitdb/first' },
+      { event: 'closed', session: 'third', address: '/orbitdb/third' }
+    ]);
+
+    await manager.closeAll();
+    expect(second.closed).to.be.true;
+    expect(manager.has('second')).to.be.false;
+  });
+});
@@ -0,0 +1,102 @@
+import { expect } from 'chai';
+import { EventEmitter } from 'events';
+import createSessionView from '../src/session-view.js';
+
+// Just enough of an OrbitDB events database: a chain of entries
+const createLog = () => {
+  const entries = new Map();
+  let head = null;
+  const events = new EventEmitter();
+
+  const append = (value) => {
+    const entry = { hash: `entry${entries.size}`, next: head ? [head.hash] : [], clock: { time: entries.size + 1 }, payload: { value } };
+    entries.set(entry.hash, entry);
+    head = entry;
+    return entry;
+  };
+
+  return {
+    append,
+    db: {
+      events,
+      log: {
+        heads: async () => (head ? [head] : []),
+        get: async (hash) => entries.get(hash)
+      }
+    }
+  };
+};
+
+describe('Session View', function() {
+  it('should index entries already in the log and ancestors of synced heads', async function() {
+    const { db, append } = createLog();
+    append({ type: 'session_manifest', from: 'alice' });
+    append({ type: 'public_commitment', from: 'alice', commitments: ['a'] });
+
+    const view = await createSessionView({ db });
+    expect(view.size).to.equal(2);
+    expect([...view.byDealer().keys()]).to.deep.equal(['alice']);
+
+    // A sync reports only the new head
+    append({ type: 'public_commitment', from: 'bob', commitments: ['b'] });
+    append('not a message');
+    const head = append({ type: 'public_commitment', from: 'alice', commitments: ['c'] });
+
+    const seen = [];
+    view.events.on('entry', ({ message }) => seen.push(message.from));
+    db.events.emit('update', head);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(view.size).to.equal(5);
+    expect(seen).to.deep.equal(['bob', 'alice']);
+    expect(view.messages('public_commitment')).to.have.lengthOf(3);
+    expect(view.byDealer().get('alice').commitments).to.deep.equal(['a']);
+    expect(view.byDealer().get('bob').commitments).to.deep.equal(['b']);
+    view.close();
+  });
+
+  it('should find shares addressed to a participant and open complaints', async function() {
+    const { db, append } = createLog();
+    append({ type: 'share_distribution', from: 'alice', to: 'bob', encryptedShare: 1 });
+    append({ type: 'share_distribution', from: 'alice', to: 'carol', encryptedShare: 2 });
+    append({ type: 'share_distribution', from: 'carol', to: 'bob', encryptedShare: 3 });
+    append({ type: 'complaint', from: 'bob', against: 'alice' });
+    append({ type: 'complaint', from: 'bob', against: 'carol' });
+    append({ type: 'justification', from: 'alice', to: 'bob', share: {} });
+
+    const view = await createSessionView({ db });
+    const shares = view.addressedTo('bob');
+    expect([...shares.keys()]).to.deep.equal(['alice', 'carol']);
+    expect(shares.get('carol').encryptedShare).to.equal(3);
+    expect(view.addressedTo('alice').size).to.equal(0);
+
+    expect(view.openComplaints()).to.deep.equal([{ type: 'complaint', from: 'bob', against: 'carol' }]);
+    expect(view.messages('gossip')).to.deep.equal([]);
+  });
+
+  it('should report entries it could not index and index them on a later update', async function() {
+    const { db, append } = createLog();
+    const view = await createSessionView({ db, log: () => {} });
+
+    append({ type: 'public_commitment', from: 'alice', commitments: ['a'] });
+    const head = append({ type: 'public_commitment', from: 'bob', commitments: ['b'] });
+    const get = db.log.get;
+    db.log.get = async () => {
+      throw new Error('block unavailable');
+    };
+
+    const errors = [];
+    view.events.on('error', ({ hash, error }) => errors.push(`${hash}: ${error.message}`));
+    db.events.emit('update', head);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(errors).to.deep.equal(['entry1: block unavailable']);
+    expect(view.size).to.equal(0);
+
+    db.log.get = get;
+    db.events.emit('update', head);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(view.size).to.equal(2);
+    expect([...view.byDealer().keys()]).to.deep.equal(['alice', 'bob']);
+    view.close();
+  });
+});
@@ -1,5 +1,7 @@
 import { expect } from 'chai';
 import crypto from 'crypto';
+import * as field from '../src/scalar-field.js';
+import { interpolateAtZero } from '../src/lagrange.js';
 
 describe('Simple Real DKG Test', function() {
   it('should demonstrate basic polynomial evaluation', function() {
@@ -47,26 +49,8 @@ describe('Simple Real DKG Test', function() {
       { x: 3, y: secret + randomCoeff * 3 }  // (3, 1732)
     ];
     
-    // Reconstruct secret using Lagrange interpolation with any 2 shares
-    function reconstructSecret(selectedShares) {
-      let result = 0;
-      
-      for (let i = 0; i < selectedShares.length; i++) {
-        let numerator = 1;
-        let denominator = 1;
-        
-        for (let j = 0; j < selectedShares.length; j++) {
-          if (i !== j) {
-            numerator *= (0 - selectedShares[j].x);
-            denominator *= (selectedShares[i].x - selectedShares[j].x);
-          }
-        }
-        
-        result += selectedShares[i].y * (numerator / denominator);
-      }
-      
-      return Math.round(result);
-    }
+    // Reconstruct secret using Lagrange interpolation mod n with any 2 shares
+    const reconstructSecret = (selectedShares) => Number(interpolateAtZero(selectedShares));
     
     // Test with shares 1 and 2
     const reconstructed1 = reconstructSecret([shares[0], shares[1]]);
@@ -84,4 +68,21 @@ describe('Simple Real DKG Test', function() {
     console.log(`Original secret: ${secret}`);
     console.log(`Reconstructed: ${reconstructed1}, ${reconstructed2}, ${reconstructed3}`);
   });
+
+  it('should reconstruct real 256-bit secrets', function() {
+    console.log('Testing Shamir secret sharing with 256-bit scalars...');
+
+    // Degree 2 polynomial, so any 3 of 5 shares recover the secret
+    const polynomial = field.randomPolynomial(2);
+    const shares = [1, 2, 3, 4, 5].map(x => ({ x, y: field.evaluatePolynomial(polynomial, x) }));
+
+    for (const subset of [[0, 1, 2], [0, 2, 4], [1, 3, 4]]) {
+      expect(interpolateAtZero(subset.map(i => shares[i]))).to.equal(polynomial[0]);
+    }
+
+    // Two shares are not enough
+    expect(interpolateAtZero(shares.slice(0, 2))).to.not.equal(polynomial[0]);
+
+    console.log('✅ 256-bit secret reconstructed from any 3 of 5 shares');
+  });
 });
@@ -0,0 +1,131 @@
+import { expect } from 'chai';
+import EC from 'elliptic';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import * as field from '../src/scalar-field.js';
+import * as feldman from '../src/feldman-vss.js';
+import * as paillier from '../src/paillier.js';
+import * as tecdsa from '../src/threshold-ecdsa.js';
+import { computeGroupKey, toEthereumAddress } from '../src/group-key.js';
+
+const ec = new EC.ec('secp256k1');
+
+describe('Threshold ECDSA', function() {
+  this.timeout(60000);
+
+  // Simulated DKG output: 2-of-3, as in the laptop/mobile/custodian wallet
+  const threshold = 2;
+  const dealers = Array.from({ length: 3 }, () => field.randomPolynomial(threshold - 1));
+  const address = toEthereumAddress(computeGroupKey(dealers.map(polynomial => feldman.commit(polynomial))));
+  const secretShare = (index) => field.toHex(dealers.reduce(
+    (sum, polynomial) => field.add(sum, field.evaluatePolynomial(polynomial, index)), 0n
+  ));
+
+  const paillierKeys = new Map([1, 2, 3].map(index => [index, paillier.generateKeyPair(2048)]));
+
+  // Runs every signer's side of the protocol in one process
+  const runSigning = (digest, signers) => {
+    const state = new Map(signers.map(index => {
+      const gamma = field.random();
+      return [index, {
+        k: field.random(),
+        gamma,
+        Gamma: ec.g.mul(field.toHex(gamma)).encode('hex', true),
+        w: tecdsa.additiveShare(index, signers, secretShare(index))
+      }];
+    }));
+    for (const signer of state.values()) {
+      signer.delta = field.mul(signer.k, signer.gamma);
+      signer.sigma = field.mul(signer.k, signer.w);
+    }
+
+    for (const i of signers) {
+      const { publicKey, privateKey } = paillierKeys.get(i);
+      const encryptedK = paillier.encrypt(publicKey, state.get(i).k);
+      for (const j of signers.filter(j => j !== i)) {
+        const gammaResponse = tecdsa.mtaRespond(publicKey, encryptedK, state.get(j).gamma);
+        const wResponse = tecdsa.mtaRespond(publicKey, encryptedK, state.get(j).w);
+        state.get(j).delta = field.add(state.get(j).delta, gammaResponse.beta);
+        state.get(j).sigma = field.add(state.get(j).sigma, wResponse.beta);
+        state.get(i).delta = field.add(state.get(i).delta, tecdsa.mtaFinalize(privateKey, gammaResponse.ciphertext));
+        state.get(i).sigma = field.add(state.get(i).sigma, tecdsa.mtaFinalize(privateKey, wResponse.ciphertext));
+      }
+    }
+
+    const delta = [...state.values()].reduce((sum, { delta }) => field.add(sum, delta), 0n);
+    const R = tecdsa.computeR([...state.values()].map(({ Gamma }) => Gamma), delta);
+    const r = field.mod(BigInt('0x' + R.getX().toString(16)));
+    const shares = [...state.values()].map(({ k, sigma }) =>
+      tecdsa.signatureShare({ digest: digest.slice(2), k, sigma, r })
+    );
+    return tecdsa.combineSignature(R, shares);
+  };
+
+  it('should convert Shamir shares into additive shares of the secret', function() {
+    const secret = dealers.reduce((sum, polynomial) => field.add(sum, polynomial[0]), 0n);
+    for (const signers of [[1, 2], [2, 3], [1, 2, 3]]) {
+      const total = signers.reduce((sum, index) => field.add(sum, tecdsa.additiveShare(index, signers, secretShare(index))), 0n);
+      expect(total).to.equal(secret);
+    }
+  });
+
+  it('should produce additive shares of a product with MtA', function() {
+    const { publicKey, privateKey } = paillierKeys.get(1);
+    const a = field.random();
+    const b = field.random();
+    const { ciphertext, beta } = tecdsa.mtaRespond(publicKey, paillier.encrypt(publicKey, a), b);
+    expect(field.add(tecdsa.mtaFinalize(privateKey, ciphertext), beta)).to.equal(field.mul(a, b));
+  });
+
+  it('should produce signatures that recover to the group address', function() {
+    const digest = ethers.utils.hashMessage('Transfer 1 ETH to 0x1234');
+    for (const signers of [[1, 2], [1, 3], [2, 3], [1, 2, 3]]) {
+      const signature = runSigning(digest, signers);
+      expect(ethers.utils.recoverAddress(digest, signature), `signers ${signers}`).to.equal(address);
+    }
+  });
+
+  it('should always produce low-s signatures', function() {
+    const digest = '0x' + crypto.randomBytes(32).toString('hex');
+    for (let i = 0; i < 4; i++) {
+      const { s } = runSigning(digest, [1, 2]);
+      expect(BigInt(s) <= field.N >> 1n).to.be.true;
+    }
+  });
+
+  it('should reject a malformed MtA ciphertext', function() {
+    const { publicKey } = paillierKeys.get(1);
+    expect(() => tecdsa.mtaRespond(publicKey, 0n, 1n)).to.throw('Invalid Paillier ciphertext');
+  });
+
+  it('should refuse Paillier keys too small to hide MtA products', function() {
+    expect(tecdsa.checkPaillierKey(paillierKeys.get(1).publicKey.N)).to.be.null;
+    const small = paillier.generateKeyPair(1024).publicKey;
+    expect(tecdsa.checkPaillierKey(small.N)).to.match(/below 2048 bits/);
+    expect(() => tecdsa.mtaRespond(small, paillier.encrypt(small, 1n), 1n)).to.throw(/below 2048 bits/);
+    expect(tecdsa.checkPaillierBits(2048)).to.be.null;
+    expect(tecdsa.checkPaillierBits(1024)).to.match(/at least 2048/);
+    expect(tecdsa.checkPaillierBits(2049)).to.match(/even number/);
+  });
+
+  it('should check R against the signers\' k_i before any s_i is revealed', function() {
+    const k = [field.random(), field.random()];
+    const gamma = [field.random(), field.random()];
+    const Gammas = gamma.map(g => ec.g.mul(field.toHex(g)).encode('hex', true));
+    const delta = field.mul(field.add(k[0], k[1]), field.add(gamma[0], gamma[1]));
+
+    const R = tecdsa.computeR(Gammas, delta);
+    expect(tecdsa.checkR(k.map(ki => R.mul(field.toHex(ki))))).to.be.true;
+
+    // A wrong δ share moves R, and the R^{k_i} no longer add up to g
+    const wrong = tecdsa.computeR(Gammas, field.add(delta, 1n));
+    expect(tecdsa.checkR(k.map(ki => wrong.mul(field.toHex(ki))))).to.be.false;
+  });
+
+  it('should detect a tampered Γ opening', function() {
+    const Gamma = ec.g.mul('05').encode('hex', true);
+    const commitment = tecdsa.commitPoint(Gamma, 'blind');
+    expect(tecdsa.commitPoint(Gamma, 'blind')).to.equal(commitment);
+    expect(tecdsa.commitPoint(ec.g.mul('06').encode('hex', true), 'blind')).to.not.equal(commitment);
+  });
+});